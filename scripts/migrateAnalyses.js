@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Bulk-assign legacy user-level analyses (users/{uid}/analyses) to personas
+ *
+ * Usage:
+ *   npm run migrate:analyses -- --uid <userId> --rules <rules.json> [--dry-run]
+ *
+ * rules.json holds the same rules array accepted by POST /api/analysis/unassigned/migrate, e.g.
+ *   [{ "personaId": "abc123", "usePersonaTags": true },
+ *    { "personaId": "def456", "text": ["quarterly review"] }]
+ */
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--uid':
+        args.uid = argv[++i];
+        break;
+      case '--rules':
+        args.rules = argv[++i];
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!args.uid || !args.rules) {
+    throw new Error('Usage: migrateAnalyses.js --uid <userId> --rules <rules.json> [--dry-run]');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const rules = JSON.parse(fs.readFileSync(path.resolve(args.rules), 'utf8'));
+
+  const historyService = require('../src/services/historyService');
+  const vectorService = require('../src/services/vectorService');
+
+  // Memories move with the analyses, so wait for ChromaDB before starting
+  await vectorService.initialize();
+
+  const report = await historyService.migrateAnalyses(args.uid, rules, { dryRun: args.dryRun });
+  console.log(JSON.stringify(report, null, 2));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`[MigrateAnalyses] ${error.message}`);
+    process.exit(1);
+  });
@@ -5,12 +5,15 @@ const aiRoutes = require('./src/routes/aiRoutes');
 const analysisRoutes = require('./src/routes/analysisRoutes');
 const personaRoutes = require('./src/routes/personaRoutes');
 const docsRoutes = require('./src/routes/docsRoutes');
+const personaService = require('./src/services/personaService');
 const { errorHandler, notFoundHandler } = require('./src/middleware/errorMiddleware');
 
 const app = express();
 
 // Middleware
 app.use(cors({ origin: config.corsOrigin }));
+app.use('/api/personas/import', express.json({ limit: config.importMaxSize }));
+app.use(['/api/analysis/analyze', '/api/analysis/batch'], express.json({ limit: config.analysisMaxSize }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -77,4 +80,14 @@ app.listen(config.port, () => {
   console.log(`🔧 Environment: ${config.nodeEnv}`);
 });
 
+// Purge trashed personas whose purge window has passed
+if (config.personaPurgeIntervalMinutes > 0) {
+  const runPurge = () => personaService.purgeExpiredPersonas().catch(error => {
+    console.error('[Server] Persona purge failed:', error.message);
+  });
+
+  runPurge();
+  setInterval(runPurge, config.personaPurgeIntervalMinutes * 60 * 1000).unref();
+}
+
 module.exports = app;
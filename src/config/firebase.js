@@ -130,102 +130,6 @@ function getInitializationError() {
   return initializationError;
 }
 
-/**
- * Save analysis result to Firestore
- * @param {string} uid - User ID
- * @param {Object} analysisData - Analysis data to save
- * @returns {Promise<string>} Document ID
- */
-async function saveAnalysis(uid, analysisData) {
-  if (!isInitialized || !db) {
-    throw new Error('Firebase not initialized. Cannot save analysis.');
-  }
-
-  try {
-    const analysisRef = db
-      .collection('users')
-      .doc(uid)
-      .collection('analyses');
-
-    const docRef = await analysisRef.add({
-      ...analysisData,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      createdAt: new Date().toISOString()
-    });
-
-    console.log(`[Firebase] Analysis saved for user ${uid}: ${docRef.id}`);
-    return docRef.id;
-
-  } catch (error) {
-    console.error('[Firebase] Failed to save analysis:', error.message);
-    throw new Error(`Failed to save analysis: ${error.message}`);
-  }
-}
-
-/**
- * Get user's analysis history
- * @param {string} uid - User ID
- * @param {number} limit - Number of results to return
- * @returns {Promise<Array>} Array of analyses
- */
-async function getUserAnalyses(uid, limit = 10) {
-  if (!isInitialized || !db) {
-    throw new Error('Firebase not initialized. Cannot retrieve analyses.');
-  }
-
-  try {
-    const analysesRef = db
-      .collection('users')
-      .doc(uid)
-      .collection('analyses')
-      .orderBy('timestamp', 'desc')
-      .limit(limit);
-
-    const snapshot = await analysesRef.get();
-    
-    const analyses = [];
-    snapshot.forEach(doc => {
-      analyses.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-
-    return analyses;
-
-  } catch (error) {
-    console.error('[Firebase] Failed to retrieve analyses:', error.message);
-    throw new Error(`Failed to retrieve analyses: ${error.message}`);
-  }
-}
-
-/**
- * Delete an analysis
- * @param {string} uid - User ID
- * @param {string} analysisId - Analysis document ID
- * @returns {Promise<void>}
- */
-async function deleteAnalysis(uid, analysisId) {
-  if (!isInitialized || !db) {
-    throw new Error('Firebase not initialized. Cannot delete analysis.');
-  }
-
-  try {
-    await db
-      .collection('users')
-      .doc(uid)
-      .collection('analyses')
-      .doc(analysisId)
-      .delete();
-
-    console.log(`[Firebase] Analysis deleted: ${analysisId}`);
-
-  } catch (error) {
-    console.error('[Firebase] Failed to delete analysis:', error.message);
-    throw new Error(`Failed to delete analysis: ${error.message}`);
-  }
-}
-
 module.exports = {
   admin,
   db: getFirestore(),
@@ -233,8 +137,5 @@ module.exports = {
   getFirestore,
   getAuth,
   isFirebaseInitialized,
-  getInitializationError,
-  saveAnalysis,
-  getUserAnalyses,
-  deleteAnalysis
+  getInitializationError
 };
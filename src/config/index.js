@@ -17,11 +17,34 @@ module.exports = {
   // Upload
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '50', 10),
 
+  // Persona bundle imports can exceed the default 100kb JSON body limit
+  importMaxSize: process.env.IMPORT_MAX_SIZE || '50mb',
+
+  // Long texts (up to 100k characters, chunked for analysis) also exceed it
+  analysisMaxSize: process.env.ANALYSIS_MAX_SIZE || '2mb',
+
   // Ollama
   ollamaUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
   ollamaModel: process.env.OLLAMA_MODEL || 'llama3.1:8b',
   ollamaTimeout: parseInt(process.env.OLLAMA_TIMEOUT || '30000', 10),
 
+  // Storage ('firestore' or 'sqlite')
+  storageBackend: process.env.STORAGE_BACKEND || 'firestore',
+  sqlitePath: process.env.SQLITE_PATH || 'data/k-psyche.db',
+
+  // Documents read and deleted per round trip when deleting a persona's analyses and revisions
+  // (Firestore batches hold at most 500 writes)
+  deleteBatchSize: Math.min(Math.max(parseInt(process.env.DELETE_BATCH_SIZE || '200', 10), 1), 500) || 200,
+
+  // Trashed personas are kept for N days, then purged by a background job every N minutes (0 disables)
+  personaPurgeDays: parseInt(process.env.PERSONA_PURGE_DAYS || '30', 10),
+  personaPurgeIntervalMinutes: parseInt(process.env.PERSONA_PURGE_INTERVAL_MINUTES || '60', 10),
+
+  // Auth ('firebase' or 'local' - local trusts every request as LOCAL_USER_ID)
+  authMode: process.env.AUTH_MODE || 'firebase',
+  localUserId: process.env.LOCAL_USER_ID || 'local-user',
+  localUserEmail: process.env.LOCAL_USER_EMAIL || 'local@localhost',
+
   // Paths
   uploadsDir: 'uploads',
   
@@ -113,11 +113,52 @@ To get an ID token:
               description: 'Tags for categorization',
               example: ['client', 'tech', 'startup']
             },
+            status: {
+              type: 'string',
+              enum: ['active', 'archived', 'deleted'],
+              description: 'Lifecycle state (missing on personas created before states existed = active)',
+              example: 'active'
+            },
+            archivedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            purgeAfter: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a trashed persona is deleted permanently'
+            },
+            mergedInto: {
+              type: 'string',
+              description: 'Set on a persona archived by a merge: the persona it was merged into'
+            },
+            customFields: {
+              type: 'object',
+              description: 'Values for the user-defined fields (see GET /api/personas/fields)',
+              example: { department: 'Sales', age: 34, languages: ['en', 'fr'] }
+            },
+            revisionCount: {
+              type: 'number',
+              description: 'Number of the latest profile revision (0 = never edited)',
+              example: 3
+            },
             analysisCount: {
               type: 'number',
               description: 'Number of analyses performed',
               example: 15
             },
+            reviewCount: {
+              type: 'number',
+              description: 'Analyses flagged needs_review (measured confidence below the review threshold) and not yet reviewed',
+              example: 2
+            },
             lastAnalyzedAt: {
               type: 'string',
               format: 'date-time',
@@ -136,13 +177,93 @@ To get an ID token:
             }
           }
         },
+        CustomField: {
+          type: 'object',
+          required: ['key', 'type'],
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Field key (letters, digits, underscore; starts with a letter)',
+              example: 'department'
+            },
+            label: {
+              type: 'string',
+              description: 'Display label, also used in LLM prompts (defaults to key)',
+              example: 'Department'
+            },
+            type: {
+              type: 'string',
+              enum: ['string', 'number', 'date', 'enum', 'list']
+            },
+            options: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Allowed values (required for enum, optional for list)',
+              example: ['Sales', 'Marketing', 'Engineering']
+            },
+            required: {
+              type: 'boolean',
+              default: false,
+              description: 'Must be set when a persona is created'
+            }
+          }
+        },
+        PersonaEdge: {
+          type: 'object',
+          description: 'Directed relationship between two personas: "from is <type> of to"',
+          properties: {
+            id: {
+              type: 'string',
+              example: 'edge123abc'
+            },
+            fromPersonaId: {
+              type: 'string',
+              example: 'persona123abc'
+            },
+            toPersonaId: {
+              type: 'string',
+              example: 'persona456def'
+            },
+            type: {
+              type: 'string',
+              description: 'Relationship type (lowercase)',
+              example: 'manager'
+            },
+            notes: {
+              type: 'string',
+              example: 'Since the 2023 reorg'
+            },
+            direction: {
+              type: 'string',
+              enum: ['out', 'in'],
+              description: 'Only in per-persona listings: whether the persona is the edge source or target'
+            },
+            otherPersona: {
+              type: 'object',
+              description: 'Only in per-persona listings: the persona on the other end',
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                status: { type: 'string' }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         Analysis: {
           type: 'object',
           properties: {
             sentiment: {
               type: 'string',
               enum: ['Positive', 'Negative', 'Neutral', 'Anxious', 'Sad', 'Angry', 'Excited'],
-              description: 'Detected sentiment',
+              description: 'Detected sentiment (enum shown for the built-in taxonomy)',
               example: 'Positive'
             },
             personality_traits: {
@@ -159,6 +280,99 @@ To get an ID token:
               enum: ['low', 'medium', 'high'],
               description: 'Confidence level of analysis',
               example: 'high'
+            },
+            evidence: {
+              $ref: '#/components/schemas/Evidence'
+            },
+            big_five: {
+              type: 'object',
+              nullable: true,
+              description: 'Only with mode big_five: 0-1 score and rationale per OCEAN dimension (null if the output could not be parsed)',
+              example: {
+                openness: { score: 0.8, rationale: 'Describes trying new tools eagerly' },
+                conscientiousness: { score: 0.6, rationale: 'Mentions planning the week ahead' },
+                extraversion: { score: 0.4, rationale: 'Prefers small meetings' },
+                agreeableness: { score: 0.7, rationale: 'Offers help to a colleague' },
+                neuroticism: { score: 0.3, rationale: 'Calm about the deadline' }
+              }
+            },
+            emotions: {
+              type: 'object',
+              nullable: true,
+              description: 'Only with mode emotions: 0-1 intensity per emotion (null if the output could not be parsed)',
+              example: {
+                joy: 0.7, sadness: 0.1, anger: 0, fear: 0.4,
+                surprise: 0.2, disgust: 0, trust: 0.5, anticipation: 0.8
+              }
+            },
+            valence: {
+              type: 'number',
+              nullable: true,
+              description: 'Only with mode emotions: -1 (unpleasant) to 1 (pleasant)',
+              example: 0.6
+            },
+            arousal: {
+              type: 'number',
+              nullable: true,
+              description: 'Only with mode emotions: 0 (calm) to 1 (activated)',
+              example: 0.7
+            },
+            dominant_emotion: {
+              type: 'string',
+              nullable: true,
+              description: 'Only with mode emotions: strongest emotion (null if none reaches 0.2). sentiment is derived from it',
+              example: 'anticipation'
+            },
+            taxonomy: {
+              type: 'object',
+              description: 'Taxonomy (vocabulary) the labels come from',
+              properties: {
+                id: { type: 'string', example: 'default' },
+                version: { type: 'number', example: 1 }
+              }
+            }
+          }
+        },
+        Evidence: {
+          type: 'object',
+          description: 'Verbatim quotes from the analyzed text supporting the sentiment and each trait (start/end are character offsets; quotes not found in the text are dropped)',
+          properties: {
+            sentiment: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/EvidenceSpan' }
+            },
+            traits: {
+              type: 'object',
+              description: 'Keyed by trait',
+              additionalProperties: {
+                type: 'array',
+                items: { $ref: '#/components/schemas/EvidenceSpan' }
+              }
+            },
+            rejected_quotes: {
+              type: 'number',
+              description: 'Quotes dropped because they do not appear in the text (or back an unselected trait)',
+              example: 0
+            }
+          }
+        },
+        EvidenceSpan: {
+          type: 'object',
+          properties: {
+            quote: { type: 'string', example: 'nothing ever works out for me' },
+            start: { type: 'number', example: 42 },
+            end: { type: 'number', example: 71 }
+          }
+        },
+        ScoreSummary: {
+          type: 'object',
+          description: 'Average of a score and its counts in five equal-width bins',
+          properties: {
+            average: { type: 'number', nullable: true, example: 0.42 },
+            distribution: {
+              type: 'object',
+              additionalProperties: { type: 'number' },
+              example: { '0.0 to 0.2': 3, '0.2 to 0.4': 1, '0.4 to 0.6': 4, '0.6 to 0.8': 2, '0.8 to 1.0': 0 }
             }
           }
         },
@@ -1,4 +1,6 @@
 const aiService = require('../services/aiService');
+const personaService = require('../services/personaService');
+const { savePersonaTranscript } = require('../utils/mediaStorage');
 const fs = require('fs');
 
 /**
@@ -29,21 +31,50 @@ class AIController {
         model: req.body.model || process.env.WHISPER_MODEL || 'small'
       };
 
+      // With a personaId the transcript is kept with the persona (exported in its bundle)
+      const personaId = req.body.personaId || null;
+      if (personaId) {
+        if (!req.user) {
+          this._cleanupFile(filePath);
+          return res.status(401).json({
+            success: false,
+            error: 'Authentication required to save a transcript to a persona'
+          });
+        }
+
+        const persona = await personaService.getPersonaDetails(req.user.uid, personaId);
+        if (!personaService.isActive(persona)) {
+          this._cleanupFile(filePath);
+          return res.status(409).json({
+            success: false,
+            error: `Persona is ${personaService.getStatus(persona)}. Restore it before adding transcripts.`
+          });
+        }
+      }
+
       // Call service layer for transcription
       const transcription = await aiService.transcribeAudio(filePath, options);
 
       // Clean up uploaded file
       this._cleanupFile(filePath);
 
+      const savedTranscript = personaId
+        ? await savePersonaTranscript(req.user.uid, personaId, req.file.originalname, transcription.text)
+        : null;
+
       // Return successful response
       return res.status(200).json({
         success: true,
-        transcription: transcription,
+        transcription: transcription.text,
         metadata: {
           filename: req.file.originalname,
           size: req.file.size,
           model: options.model,
           language: options.language,
+          // Pass on as `language` to /api/analysis/analyze
+          detectedLanguage: transcription.language,
+          languageProbability: transcription.languageProbability,
+          ...(savedTranscript ? { personaId: personaId, savedTranscript: savedTranscript } : {}),
           processedAt: new Date().toISOString()
         }
       });
@@ -57,7 +88,12 @@ class AIController {
       }
 
       // Determine appropriate status code
-      const statusCode = error.message.includes('timeout') ? 504 : 500;
+      let statusCode = 500;
+      if (error.message.includes('timeout')) {
+        statusCode = 504;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
 
       // Return error response
       return res.status(statusCode).json({
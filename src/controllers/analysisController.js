@@ -1,7 +1,13 @@
 const analysisService = require('../services/analysisService');
 const vectorService = require('../services/vectorService');
 const personaService = require('../services/personaService');
-const { saveAnalysis, getUserAnalyses, deleteAnalysis } = require('../config/firebase');
+const historyService = require('../services/historyService');
+const taxonomyService = require('../services/taxonomyService');
+const promptService = require('../services/promptService');
+const modelService = require('../services/modelService');
+const languageService = require('../services/languageService');
+const cacheService = require('../services/cacheService');
+const { parseAnalysisFilters } = require('../utils/listFilters');
 
 /**
  * Analysis Controller - Handles text analysis requests with RAG
@@ -15,12 +21,15 @@ class AnalysisController {
    * 1. Retrieve relevant past context from ChromaDB
    * 2. Augment prompt with context
    * 3. Generate analysis with Ollama
-   * 4. Store new memory in ChromaDB
+   * 4. Store new memory in ChromaDB (optionally translated to English)
    */
   async analyze(req, res) {
     try {
       // Validate request body
-      const { text, saveToHistory = true, useRAG = true, personaId } = req.body;
+      const {
+        text, saveToHistory = true, useRAG = true, personaId, taxonomyId, mode = 'labels', model, ensemble, selfConsistency,
+        language, translate = languageService.translateByDefault, bypassCache = false
+      } = req.body;
 
       if (!text) {
         return res.status(400).json({
@@ -43,6 +52,20 @@ class AnalysisController {
         });
       }
 
+      if (!analysisService.modes.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid mode. Use one of: ${analysisService.modes.join(', ')}`
+        });
+      }
+
+      if (ensemble && selfConsistency) {
+        return res.status(400).json({
+          success: false,
+          error: 'Use either ensemble or selfConsistency, not both'
+        });
+      }
+
       // Get user ID from authenticated request
       const adminUid = req.user.uid;
       const userEmail = req.user.email;
@@ -52,6 +75,29 @@ class AnalysisController {
         : `Analyzing text for user: ${userEmail} (${text.length} chars)`;
       console.log(`[AnalysisController] ${logMsg}`);
 
+      // Archived and trashed personas don't accept new analyses
+      if (personaId) {
+        const persona = await personaService.getPersonaDetails(adminUid, personaId);
+        if (!personaService.isActive(persona)) {
+          return res.status(409).json({
+            success: false,
+            error: `Persona is ${personaService.getStatus(persona)}. Restore it before adding analyses.`
+          });
+        }
+      }
+
+      // Sentiment/trait vocabulary for this analysis (built-in unless one is named)
+      const taxonomy = await taxonomyService.getTaxonomy(adminUid, taxonomyId);
+
+      // Requested model, else the user's default for analyses, else the server default
+      const analysisModel = await modelService.resolveModel(adminUid, model, 'analysis');
+      const ensembleOptions = selfConsistency
+        ? await modelService.resolveSelfConsistency(selfConsistency, analysisModel)
+        : await modelService.resolveEnsemble(ensemble, analysisModel);
+
+      // Given language (e.g. from the transcription), else detected from the text
+      const textLanguage = languageService.fromRequest(language);
+
       // STEP 1: RETRIEVAL - Get relevant past context from ChromaDB (persona-specific if provided)
       let relevantMemories = [];
       let contextUsed = false;
@@ -63,7 +109,10 @@ class AnalysisController {
             : `Retrieving relevant memories for user ${adminUid}`;
           console.log(`[AnalysisController] ${searchMsg}`);
           
-          relevantMemories = await vectorService.searchMemory(adminUid, text, null, personaId);
+          // User-wide search skips memories of archived/trashed personas
+          const excludePersonaIds = personaId ? [] : await personaService.getInactivePersonaIds(adminUid);
+
+          relevantMemories = await vectorService.searchMemory(adminUid, text, null, personaId, { excludePersonaIds, bypassCache: bypassCache === true });
           
           if (relevantMemories.length > 0) {
             console.log(`[AnalysisController] Found ${relevantMemories.length} relevant memories`);
@@ -77,55 +126,136 @@ class AnalysisController {
         }
       }
 
-      // STEP 2: AUGMENTATION - Format context for prompt
-      const contextString = vectorService.formatMemoriesForContext(relevantMemories);
+      // STEP 2: AUGMENTATION - Format context for prompt (with the prompt versions an admin pinned in settings/prompts)
+      const prompts = await promptService.getActivePrompts();
+      const contextString = vectorService.formatMemoriesForContext(relevantMemories, prompts);
 
-      // STEP 3: GENERATION - Call service layer for analysis with context
-      const analysis = await analysisService.analyzeText(text, contextString);
+      // STEP 3: GENERATION - Call service layer for analysis with context (long texts are chunked)
+      const analysis = await analysisService.analyzeDocument(text, contextString, {
+        taxonomy, mode, prompts, model: analysisModel, ensemble: ensembleOptions, language: textLanguage,
+        userId: adminUid, bypassCache: bypassCache === true
+      });
+      const promptVersions = {
+        [analysis.prompt_name]: analysis.prompt_version,
+        ...(contextString ? { 'memory-context': promptService.resolve(prompts, 'memory-context').version } : {})
+      };
 
-      // STEP 4: STORAGE - Save to ChromaDB and Firestore
-      let vectorDocId = null;
+      // STEP 4: STORAGE - Save to ChromaDB and persistent storage
+      const vectorDocIds = [];
       let savedDocId = null;
 
+      let translated = false;
+
       if (saveToHistory) {
+        // Long texts get one memory per chunk (failed chunks have no analysis to remember)
+        const memories = analysis.chunks
+          ? analysis.chunks.filter(chunk => !chunk.error).map(chunk => ({
+            text: chunk.text,
+            result: chunk.analysis,
+            chunk: chunk,
+            fields: {
+              chunk_index: chunk.index,
+              chunk_count: analysis.chunks.length,
+              chunk_start: chunk.start,
+              chunk_end: chunk.end
+            }
+          }))
+          : [{ text: text, result: analysis, fields: {} }];
+
+        // Non-English texts can be remembered in English, which embeds and reads better as RAG context
+        if (translate && languageService.needsTranslation(analysis.language)) {
+          try {
+            for (const memory of memories) {
+              memory.translation = await languageService.translate(memory.text, analysis.language, { model: analysisModel, prompts });
+            }
+            memories.forEach(memory => {
+              if (memory.chunk) {
+                memory.chunk.translated_text = memory.translation;
+              }
+            });
+            translated = true;
+          } catch (translationError) {
+            console.error('[AnalysisController] Translation failed:', translationError.message);
+            // Don't fail the request; memories keep the original text
+            memories.forEach(memory => delete memory.translation);
+          }
+        }
+
         // Save to ChromaDB (with persona context if provided)
         if (vectorService.isReady()) {
           try {
-            if (personaId) {
-              vectorDocId = await vectorService.addMemory(adminUid, personaId, text, {
-                sentiment: analysis.sentiment,
-                personality_traits: analysis.personality_traits,
-                confidence: analysis.confidence,
-                user_email: userEmail,
-                type: 'analysis'
-              });
-            } else {
-              vectorDocId = await vectorService.saveMemory(adminUid, text, {
-                sentiment: analysis.sentiment,
-                personality_traits: analysis.personality_traits,
-                confidence: analysis.confidence,
+            for (const memory of memories) {
+              const metadata = {
+                sentiment: memory.result.sentiment,
+                personality_traits: memory.result.personality_traits,
+                confidence: memory.result.confidence,
+                taxonomy_id: analysis.taxonomy.id,
+                taxonomy_version: analysis.taxonomy.version,
+                language: analysis.language.code,
+                translated: !!memory.translation,
+                ...this._emotionMetadata(memory.result),
+                ...memory.fields,
                 user_email: userEmail
-              });
+              };
+              const memoryText = memory.translation || memory.text;
+
+              const memoryId = personaId
+                ? await vectorService.addMemory(adminUid, personaId, memoryText, { ...metadata, type: 'analysis' })
+                : await vectorService.saveMemory(adminUid, memoryText, metadata);
+              if (memoryId) {
+                vectorDocIds.push(memoryId);
+              }
             }
-            console.log(`[AnalysisController] Memory saved to ChromaDB: ${vectorDocId}`);
+            console.log(`[AnalysisController] Memory saved to ChromaDB: ${vectorDocIds.join(', ')}`);
           } catch (vectorError) {
             console.error('[AnalysisController] Failed to save to ChromaDB:', vectorError.message);
             // Don't fail the request
           }
         }
 
-        // Save to Firestore (persona-specific or user-level)
+        // Save to storage (persona-specific or user-level)
         try {
           const analysisData = {
             inputText: text,
             sentiment: analysis.sentiment,
             personality_traits: analysis.personality_traits,
             confidence: analysis.confidence,
-            model_used: process.env.OLLAMA_MODEL || 'llama3.1:8b',
+            ...(analysis.confidence_score !== undefined ? {
+              confidence_score: analysis.confidence_score,
+              needs_review: analysis.needs_review
+            } : {}),
+            evidence: analysis.evidence,
+            output_fallback: analysis.fallback,
+            taxonomy_id: analysis.taxonomy.id,
+            taxonomy_version: analysis.taxonomy.version,
+            analysis_mode: analysis.mode,
+            language: analysis.language.code,
+            language_source: analysis.language.source,
+            language_confidence: analysis.language.confidence,
+            languages: analysis.language.languages,
+            ...(translated && !analysis.chunks ? { translated_text: memories[0].translation } : {}),
+            ...(analysis.mode === 'big_five' ? { big_five: analysis.big_five } : {}),
+            ...(analysis.mode === 'emotions' ? {
+              emotions: analysis.emotions,
+              valence: analysis.valence,
+              arousal: analysis.arousal,
+              dominant_emotion: analysis.dominant_emotion
+            } : {}),
+            ...(analysis.chunks ? {
+              chunk_count: analysis.chunks.length,
+              chunks: analysis.chunks.map(chunk => this._chunkSummary(chunk, { stored: true })),
+              chunks_failed: analysis.chunks_failed,
+              sentiment_agreement: analysis.agreement,
+              vector_ids: vectorDocIds
+            } : {}),
+            ...(analysis.ensemble ? { ensemble: this._storedEnsemble(analysis.ensemble) } : {}),
+            model_used: analysis.model_used,
+            prompt_versions: promptVersions,
             text_length: text.length,
             user_email: userEmail,
             rag_context_used: contextUsed,
-            rag_memories_count: relevantMemories.length
+            rag_memories_count: relevantMemories.length,
+            vector_id: analysis.chunks ? null : vectorDocIds[0] || null
           };
 
           if (personaId) {
@@ -134,11 +264,11 @@ class AnalysisController {
             console.log(`[AnalysisController] Analysis saved to persona ${personaId}: ${savedDocId}`);
           } else {
             // Save to user's root collection (legacy)
-            savedDocId = await saveAnalysis(adminUid, analysisData);
-            console.log(`[AnalysisController] Analysis saved to Firestore: ${savedDocId}`);
+            savedDocId = await historyService.saveAnalysis(adminUid, analysisData);
+            console.log(`[AnalysisController] Analysis saved to history: ${savedDocId}`);
           }
         } catch (saveError) {
-          console.error('[AnalysisController] Failed to save to Firestore:', saveError.message);
+          console.error('[AnalysisController] Failed to save analysis:', saveError.message);
           // Don't fail the request if save fails, just log it
         }
       }
@@ -149,19 +279,41 @@ class AnalysisController {
         analysis: {
           sentiment: analysis.sentiment,
           personality_traits: analysis.personality_traits,
-          confidence: analysis.confidence
+          confidence: analysis.confidence,
+          confidence_score: analysis.confidence_score,
+          needs_review: analysis.needs_review,
+          evidence: analysis.evidence,
+          big_five: analysis.big_five,
+          emotions: analysis.emotions,
+          valence: analysis.valence,
+          arousal: analysis.arousal,
+          dominant_emotion: analysis.dominant_emotion,
+          taxonomy: analysis.taxonomy,
+          language: analysis.language
         },
         metadata: {
           text_length: text.length,
           analyzed_at: new Date().toISOString(),
           saved: !!savedDocId,
           document_id: savedDocId,
-          vector_id: vectorDocId,
+          vector_id: analysis.chunks ? null : vectorDocIds[0] || null,
+          vector_ids: analysis.chunks ? vectorDocIds : undefined,
+          chunk_count: analysis.chunks ? analysis.chunks.length : 1,
+          chunks_failed: analysis.chunks ? analysis.chunks_failed : undefined,
+          sentiment_agreement: analysis.chunks ? analysis.agreement : undefined,
           user_id: adminUid,
           persona_id: personaId || null,
           rag_enabled: contextUsed,
-          context_memories: relevantMemories.length
+          context_memories: relevantMemories.length,
+          output_repairs: analysis.repairs,
+          output_fallback: analysis.fallback,
+          prompt_versions: promptVersions,
+          model_used: analysis.model_used,
+          translated: translated,
+          cached: analysis.cached
         },
+        chunks: analysis.chunks ? analysis.chunks.map(chunk => this._chunkSummary(chunk)) : null,
+        ensemble: analysis.ensemble || null,
         context: contextUsed ? {
           memories_used: relevantMemories.length,
           memories: relevantMemories.map(m => ({
@@ -178,11 +330,15 @@ class AnalysisController {
 
       // Determine appropriate status code
       let statusCode = 500;
-      if (error.message.includes('timeout')) {
+      if (error.message.includes('Persona not found') || error.message.includes('Taxonomy not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('timeout')) {
         statusCode = 504;
-      } else if (error.message.includes('Cannot connect')) {
+      } else if (error.message.includes('Cannot connect') || error.message.includes('not available')) {
         statusCode = 503;
-      } else if (error.message.includes('too long')) {
+      } else if (error.message.includes('too long') || error.message.includes('Invalid model') ||
+        error.message.includes('Invalid ensemble') || error.message.includes('Invalid selfConsistency') ||
+        error.message.includes('Invalid language')) {
         statusCode = 400;
       }
 
@@ -199,7 +355,7 @@ class AnalysisController {
    */
   async batchAnalyze(req, res) {
     try {
-      const { texts } = req.body;
+      const { texts, taxonomyId, mode = 'labels', model, ensemble, selfConsistency, language, bypassCache = false } = req.body;
 
       if (!texts) {
         return res.status(400).json({
@@ -222,10 +378,38 @@ class AnalysisController {
         });
       }
 
+      if (!analysisService.modes.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid mode. Use one of: ${analysisService.modes.join(', ')}`
+        });
+      }
+
       console.log(`[AnalysisController] Batch analyzing ${texts.length} texts`);
 
+      const taxonomy = await taxonomyService.getTaxonomy(req.user.uid, taxonomyId);
+      const prompts = await promptService.getActivePrompts();
+      if (ensemble && selfConsistency) {
+        return res.status(400).json({
+          success: false,
+          error: 'Use either ensemble or selfConsistency, not both'
+        });
+      }
+
+      const analysisModel = await modelService.resolveModel(req.user.uid, model, 'analysis');
+      const ensembleOptions = selfConsistency
+        ? await modelService.resolveSelfConsistency(selfConsistency, analysisModel)
+        : await modelService.resolveEnsemble(ensemble, analysisModel);
+
+      // One language for every text, else each text's own
+      const textLanguage = languageService.fromRequest(language);
+
       // Call service layer
-      const results = await analysisService.batchAnalyze(texts);
+      const results = (await analysisService.batchAnalyze(texts, {
+        taxonomy, mode, prompts, model: analysisModel, ensemble: ensembleOptions, language: textLanguage,
+        userId: req.user.uid, bypassCache: bypassCache === true
+      }))
+        .map(result => (result.chunks ? { ...result, chunks: result.chunks.map(chunk => this._chunkSummary(chunk)) } : result));
 
       // Count successes and failures
       const successful = results.filter(r => r.success).length;
@@ -244,7 +428,17 @@ class AnalysisController {
     } catch (error) {
       console.error('[AnalysisController] Batch analysis error:', error.message);
 
-      return res.status(500).json({
+      let statusCode = 500;
+      if (error.message.includes('Taxonomy not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Invalid model') || error.message.includes('Invalid ensemble') ||
+        error.message.includes('Invalid selfConsistency') || error.message.includes('Invalid language')) {
+        statusCode = 400;
+      } else if (error.message.includes('not available')) {
+        statusCode = 503;
+      }
+
+      return res.status(statusCode).json({
         success: false,
         error: error.message
       });
@@ -292,17 +486,162 @@ class AnalysisController {
 
       console.log(`[AnalysisController] Fetching history for user: ${req.user.email}`);
 
-      const analyses = await getUserAnalyses(userId, limit);
+      const { analyses, nextCursor } = await historyService.getUserAnalyses(userId, {
+        limit,
+        cursor: req.query.cursor,
+        filters: parseAnalysisFilters(req.query)
+      });
 
       return res.status(200).json({
         success: true,
         count: analyses.length,
-        analyses: analyses
+        analyses: analyses,
+        nextCursor: nextCursor
       });
 
     } catch (error) {
       console.error('[AnalysisController] Failed to get history:', error.message);
 
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get analyses saved without a persona (the unassigned inbox)
+   * Requires authentication
+   */
+  async getUnassigned(req, res) {
+    try {
+      const userId = req.user.uid;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const [page, total] = await Promise.all([
+        historyService.getUserAnalyses(userId, {
+          limit,
+          cursor: req.query.cursor,
+          filters: parseAnalysisFilters(req.query)
+        }),
+        historyService.countAnalyses(userId)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        total: total,
+        count: page.analyses.length,
+        analyses: page.analyses,
+        nextCursor: page.nextCursor
+      });
+
+    } catch (error) {
+      console.error('[AnalysisController] Failed to get unassigned analyses:', error.message);
+
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Assign unassigned analyses to a persona
+   * Requires authentication
+   */
+  async assignAnalyses(req, res) {
+    try {
+      const userId = req.user.uid;
+      const { personaId, analysisIds } = req.body;
+
+      if (!personaId || !Array.isArray(analysisIds) || analysisIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'personaId and a non-empty analysisIds array are required'
+        });
+      }
+
+      const report = await historyService.assignToPersona(userId, personaId, analysisIds);
+
+      return res.status(200).json({
+        success: true,
+        report: report
+      });
+
+    } catch (error) {
+      console.error('[AnalysisController] Failed to assign analyses:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot assign')) {
+        statusCode = 409;
+      } else if (error.message.includes('not available')) {
+        statusCode = 503;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Assign unassigned analyses to personas by rules
+   * Requires authentication
+   */
+  async migrateUnassigned(req, res) {
+    try {
+      const userId = req.user.uid;
+      const { rules, dryRun = false } = req.body;
+
+      const report = await historyService.migrateAnalyses(userId, rules, { dryRun });
+
+      return res.status(200).json({
+        success: true,
+        report: report
+      });
+
+    } catch (error) {
+      console.error('[AnalysisController] Failed to migrate analyses:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not available')) {
+        statusCode = 503;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List the built-in taxonomy and the user's own
+   * Requires authentication
+   */
+  async getTaxonomies(req, res) {
+    try {
+      const taxonomies = await taxonomyService.listTaxonomies(req.user.uid);
+
+      return res.status(200).json({
+        success: true,
+        taxonomies: taxonomies
+      });
+
+    } catch (error) {
+      console.error('[AnalysisController] Failed to list taxonomies:', error.message);
+
       return res.status(500).json({
         success: false,
         error: error.message
@@ -310,6 +649,305 @@ class AnalysisController {
     }
   }
 
+  /**
+   * Get one taxonomy
+   * Requires authentication
+   */
+  async getTaxonomy(req, res) {
+    try {
+      const taxonomy = await taxonomyService.getTaxonomy(req.user.uid, req.params.taxonomyId);
+
+      return res.status(200).json({
+        success: true,
+        taxonomy: taxonomy
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Taxonomy');
+    }
+  }
+
+  /**
+   * Create a taxonomy
+   * Requires authentication
+   */
+  async createTaxonomy(req, res) {
+    try {
+      const taxonomy = await taxonomyService.createTaxonomy(req.user.uid, req.body);
+
+      return res.status(201).json({
+        success: true,
+        taxonomy: taxonomy
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Taxonomy');
+    }
+  }
+
+  /**
+   * Replace a taxonomy (bumps its version when the labels change)
+   * Requires authentication
+   */
+  async updateTaxonomy(req, res) {
+    try {
+      const taxonomy = await taxonomyService.updateTaxonomy(req.user.uid, req.params.taxonomyId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        taxonomy: taxonomy
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Taxonomy');
+    }
+  }
+
+  /**
+   * Delete a taxonomy
+   * Requires authentication
+   */
+  async deleteTaxonomy(req, res) {
+    try {
+      await taxonomyService.deleteTaxonomy(req.user.uid, req.params.taxonomyId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Taxonomy deleted'
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Taxonomy');
+    }
+  }
+
+  /**
+   * Per-chunk result of a long-text analysis, without the chunk text
+   * @private
+   * @param {Object} options - { stored: also leave out the ensemble members' raw output }
+   */
+  _chunkSummary(chunk, options = {}) {
+    const summary = {
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      sentiment: chunk.analysis.sentiment,
+      personality_traits: chunk.analysis.personality_traits,
+      confidence: chunk.analysis.confidence,
+      confidence_score: chunk.analysis.confidence_score,
+      needs_review: chunk.analysis.needs_review,
+      big_five: chunk.analysis.big_five,
+      emotions: chunk.analysis.emotions,
+      valence: chunk.analysis.valence,
+      arousal: chunk.analysis.arousal,
+      dominant_emotion: chunk.analysis.dominant_emotion,
+      ensemble: chunk.analysis.ensemble && options.stored ? this._storedEnsemble(chunk.analysis.ensemble) : chunk.analysis.ensemble,
+      translated_text: chunk.translated_text,
+      fallback: chunk.analysis.fallback,
+      error: chunk.error
+    };
+
+    // Mode-specific fields are absent in other modes (Firestore rejects undefined values)
+    Object.keys(summary).forEach(key => {
+      if (summary[key] === undefined) {
+        delete summary[key];
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Ensemble details without the members' raw model output
+   * Raw outputs are only returned in the response; stored with every member of
+   * every chunk they could push an analysis past Firestore's 1 MiB document limit.
+   * @private
+   */
+  _storedEnsemble(ensemble) {
+    return {
+      ...ensemble,
+      members: ensemble.members.map(({ raw_output, ...member }) => member)
+    };
+  }
+
+  /**
+   * Flatten emotion scores into scalar ChromaDB metadata (emotion_joy, ..., valence, arousal)
+   * @private
+   */
+  _emotionMetadata(analysis) {
+    if (analysis.mode !== 'emotions' || !analysis.emotions) {
+      return {};
+    }
+
+    const metadata = {};
+    analysisService.emotions.forEach(emotion => {
+      metadata[`emotion_${emotion}`] = analysis.emotions[emotion];
+    });
+    metadata.valence = analysis.valence;
+    metadata.arousal = analysis.arousal;
+    metadata.dominant_emotion = analysis.dominant_emotion || 'none';
+
+    return metadata;
+  }
+
+  /**
+   * List prompt templates with their versions and the active one
+   * Requires authentication
+   */
+  async getPrompts(req, res) {
+    try {
+      const prompts = await promptService.listPrompts();
+
+      return res.status(200).json({
+        success: true,
+        count: prompts.length,
+        prompts: prompts
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Prompt');
+    }
+  }
+
+  /**
+   * Get one prompt with the text of every version
+   * Requires authentication
+   */
+  async getPrompt(req, res) {
+    try {
+      const prompt = await promptService.getPrompt(req.params.name);
+
+      return res.status(200).json({
+        success: true,
+        prompt: prompt
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Prompt');
+    }
+  }
+
+  /**
+   * Select the active version of a prompt (null = latest)
+   * Requires authentication
+   */
+  async setActivePrompt(req, res) {
+    try {
+      const { version } = req.body;
+
+      if (version === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'version is required (null selects the latest version)'
+        });
+      }
+
+      const result = await promptService.setActiveVersion(req.user.uid, req.params.name, version);
+
+      return res.status(200).json({
+        success: true,
+        prompt: result
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Prompt');
+    }
+  }
+
+  /**
+   * Installed and allowed models, the server default and the user's defaults
+   * Requires authentication
+   */
+  async getModels(req, res) {
+    try {
+      const status = await analysisService.checkOllamaStatus();
+      const allowlist = await modelService.getAllowlist();
+      const installed = status.installedModels || [];
+
+      return res.status(200).json({
+        success: true,
+        available: status.available,
+        defaultModel: modelService.defaultModel,
+        installed: installed,
+        allowlist: allowlist,
+        selectable: allowlist.models
+          ? installed.filter(model => allowlist.models.includes(model) || allowlist.models.includes(model.replace(/:latest$/, '')))
+          : installed,
+        userDefaults: await modelService.getUserDefaults(req.user.uid)
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Model');
+    }
+  }
+
+  /**
+   * Set the user's default models ({ analysis?, query? }, null = server default)
+   * Requires authentication
+   */
+  async setDefaultModels(req, res) {
+    try {
+      const defaults = await modelService.setUserDefaults(req.user.uid, req.body);
+
+      return res.status(200).json({
+        success: true,
+        userDefaults: defaults
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Model');
+    }
+  }
+
+  /**
+   * Replace the model allowlist (admin role)
+   */
+  async setModelAllowlist(req, res) {
+    try {
+      const { models } = req.body;
+
+      if (models === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'models is required (null allows every installed model)'
+        });
+      }
+
+      const allowlist = await modelService.setAllowlist(models, req.user.uid);
+
+      return res.status(200).json({
+        success: true,
+        allowlist: allowlist
+      });
+
+    } catch (error) {
+      return this._settingsError(res, error, 'Model');
+    }
+  }
+
+  /**
+   * Map taxonomy, prompt and model settings errors to status codes
+   * @private
+   */
+  _settingsError(res, error, kind) {
+    console.error(`[AnalysisController] ${kind} error:`, error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    } else if (error.message.includes('not available')) {
+      statusCode = 503;
+    } else if (error.message.includes('Cannot')) {
+      statusCode = 409;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
   /**
    * Get user's memory count from ChromaDB
    * Requires authentication
@@ -394,7 +1032,8 @@ class AnalysisController {
       return res.status(200).json({
         success: true,
         rag: vectorStatus,
-        ollama: ollamaStatus
+        ollama: ollamaStatus,
+        cache: cacheService.getStats()
       });
 
     } catch (error) {
@@ -425,7 +1064,7 @@ class AnalysisController {
 
       console.log(`[AnalysisController] Deleting analysis ${analysisId} for user: ${req.user.email}`);
 
-      await deleteAnalysis(userId, analysisId);
+      await historyService.deleteAnalysis(userId, analysisId);
 
       return res.status(200).json({
         success: true,
@@ -1,6 +1,11 @@
 const personaService = require('../services/personaService');
-const vectorService = require('../services/vectorService');
 const queryService = require('../services/queryService');
+const bundleService = require('../services/bundleService');
+const revisionService = require('../services/revisionService');
+const relationshipService = require('../services/relationshipService');
+const customFieldService = require('../services/customFieldService');
+const modelService = require('../services/modelService');
+const { parsePersonaFilters, parseAnalysisFilters } = require('../utils/listFilters');
 
 /**
  * Persona Controller - Handles persona management requests
@@ -12,7 +17,7 @@ class PersonaController {
   async createPersona(req, res) {
     try {
       const adminUid = req.user.uid;
-      const { name, relationship, summary, notes, tags } = req.body;
+      const { name, relationship, summary, notes, tags, customFields } = req.body;
 
       if (!name) {
         return res.status(400).json({
@@ -28,7 +33,8 @@ class PersonaController {
         relationship,
         summary,
         notes,
-        tags
+        tags,
+        customFields
       });
 
       return res.status(201).json({
@@ -39,7 +45,9 @@ class PersonaController {
     } catch (error) {
       console.error('[PersonaController] Create persona error:', error.message);
 
-      return res.status(500).json({
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+      return res.status(statusCode).json({
         success: false,
         error: error.message
       });
@@ -52,23 +60,53 @@ class PersonaController {
   async getPersonas(req, res) {
     try {
       const adminUid = req.user.uid;
-      const { limit, orderBy, order } = req.query;
+      const { limit, orderBy, order, cursor, includeArchived } = req.query;
 
-      const personas = await personaService.getPersonas(adminUid, {
+      const { personas, nextCursor } = await personaService.getPersonas(adminUid, {
         limit: limit ? parseInt(limit) : undefined,
         orderBy,
-        order
+        order,
+        cursor,
+        includeArchived: includeArchived === 'true',
+        filters: parsePersonaFilters(req.query)
       });
 
       return res.status(200).json({
         success: true,
         count: personas.length,
-        personas: personas
+        personas: personas,
+        nextCursor: nextCursor
       });
 
     } catch (error) {
       console.error('[PersonaController] Get personas error:', error.message);
 
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the user's custom persona field schema
+   * GET /api/personas/fields
+   */
+  async getFieldSchema(req, res) {
+    try {
+      const schema = await customFieldService.getSchema(req.user.uid);
+
+      return res.status(200).json({
+        success: true,
+        fields: schema.fields,
+        updatedAt: schema.updatedAt
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Get field schema error:', error.message);
+
       return res.status(500).json({
         success: false,
         error: error.message
@@ -76,6 +114,32 @@ class PersonaController {
     }
   }
 
+  /**
+   * Replace the user's custom persona field schema
+   * PUT /api/personas/fields
+   */
+  async setFieldSchema(req, res) {
+    try {
+      const schema = await customFieldService.setSchema(req.user.uid, req.body.fields);
+
+      return res.status(200).json({
+        success: true,
+        fields: schema.fields,
+        updatedAt: schema.updatedAt
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Set field schema error:', error.message);
+
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get persona details
    */
@@ -126,7 +190,9 @@ class PersonaController {
         });
       }
 
-      const persona = await personaService.updatePersona(adminUid, personaId, updates);
+      const persona = await personaService.updatePersona(adminUid, personaId, updates, {
+        actor: { uid: req.user.uid, email: req.user.email }
+      });
 
       return res.status(200).json({
         success: true,
@@ -136,7 +202,12 @@ class PersonaController {
     } catch (error) {
       console.error('[PersonaController] Update persona error:', error.message);
 
-      const statusCode = error.message.includes('not found') ? 404 : 500;
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
 
       return res.status(statusCode).json({
         success: false,
@@ -147,11 +218,13 @@ class PersonaController {
 
   /**
    * Delete persona
+   * Moves the persona to the trash unless ?permanent=true is passed
    */
   async deletePersona(req, res) {
     try {
       const adminUid = req.user.uid;
       const { personaId } = req.params;
+      const permanent = req.query.permanent === 'true';
 
       if (!personaId) {
         return res.status(400).json({
@@ -160,23 +233,94 @@ class PersonaController {
         });
       }
 
-      // Delete persona from Firestore
-      await personaService.deletePersona(adminUid, personaId);
+      if (!permanent) {
+        const persona = await personaService.trashPersona(adminUid, personaId);
 
-      // Delete persona's memories from ChromaDB
-      if (vectorService.isReady()) {
-        await vectorService.deleteMemory(adminUid, null, personaId);
+        return res.status(200).json({
+          success: true,
+          message: 'Persona moved to trash',
+          persona: persona
+        });
       }
 
+      // Delete persona, analyses, memories, revisions and media
+      const deleted = await personaService.deletePersona(adminUid, personaId);
+
       return res.status(200).json({
         success: true,
-        message: 'Persona deleted successfully'
+        message: 'Persona deleted successfully',
+        deleted: deleted
       });
 
     } catch (error) {
       console.error('[PersonaController] Delete persona error:', error.message);
 
-      const statusCode = error.message.includes('not found') ? 404 : 500;
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot trash')) {
+        statusCode = 409;
+      } else if (error.message.includes('not available')) {
+        statusCode = 503;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Archive persona
+   */
+  async archivePersona(req, res) {
+    return this._changeStatus(req, res, 'archive', personaService.archivePersona);
+  }
+
+  /**
+   * Restore an archived or trashed persona
+   */
+  async restorePersona(req, res) {
+    return this._changeStatus(req, res, 'restore', personaService.restorePersona);
+  }
+
+  /**
+   * Merge a source persona into the target persona
+   */
+  async mergePersonas(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { targetId } = req.params;
+      const { sourceId } = req.body;
+
+      if (!targetId || !sourceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Target persona ID and sourceId are required'
+        });
+      }
+
+      console.log(`[PersonaController] Merging persona ${sourceId} into ${targetId}`);
+
+      const report = await personaService.mergePersonas(adminUid, targetId, sourceId);
+
+      return res.status(200).json({
+        success: true,
+        report: report
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Merge personas error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot merge')) {
+        statusCode = 409;
+      } else if (error.message.includes('not available')) {
+        statusCode = 503;
+      }
 
       return res.status(statusCode).json({
         success: false,
@@ -185,6 +329,309 @@ class PersonaController {
     }
   }
 
+  /**
+   * Export a persona as a portable bundle
+   * GET /api/personas/:personaId/export
+   */
+  async exportPersona(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId } = req.params;
+      const includeEmbeddings = req.query.includeEmbeddings === 'true';
+
+      console.log(`[PersonaController] Exporting persona ${personaId}`);
+
+      const bundle = await bundleService.exportPersona(adminUid, personaId, { includeEmbeddings });
+
+      res.setHeader('Content-Disposition', `attachment; filename="persona-${personaId}.json"`);
+      return res.status(200).json(bundle);
+
+    } catch (error) {
+      console.error('[PersonaController] Export persona error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not available')) {
+        statusCode = 503;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Import a persona bundle as a new persona
+   * POST /api/personas/import
+   */
+  async importPersona(req, res) {
+    try {
+      const adminUid = req.user.uid;
+
+      console.log(`[PersonaController] Importing persona bundle for user ${adminUid}`);
+
+      const report = await bundleService.importPersona(adminUid, req.body);
+
+      return res.status(201).json({
+        success: true,
+        report: report
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Import persona error:', error.message);
+
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get personas in the trash
+   */
+  async getTrash(req, res) {
+    try {
+      const adminUid = req.user.uid;
+
+      const personas = await personaService.getTrash(adminUid);
+
+      return res.status(200).json({
+        success: true,
+        count: personas.length,
+        purgeAfterDays: personaService.purgeAfterDays,
+        personas: personas
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Get trash error:', error.message);
+
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a persona's edit history
+   * GET /api/personas/:personaId/revisions
+   */
+  async getRevisions(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId } = req.params;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const persona = await personaService.getPersonaDetails(adminUid, personaId);
+      const { revisions, nextCursor } = await revisionService.getRevisions(adminUid, personaId, {
+        limit,
+        cursor: req.query.cursor
+      });
+
+      return res.status(200).json({
+        success: true,
+        currentRevision: persona.revisionCount || 0,
+        count: revisions.length,
+        revisions: revisions,
+        nextCursor: nextCursor
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Get revisions error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Compare a persona's profile at two revisions
+   * GET /api/personas/:personaId/revisions/diff?from=&to=
+   */
+  async diffRevisions(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId } = req.params;
+
+      const persona = await personaService.getPersonaDetails(adminUid, personaId);
+      const from = Number(req.query.from);
+      // Default to the current revision
+      const to = req.query.to === undefined ? (persona.revisionCount || 0) : Number(req.query.to);
+
+      const diff = await revisionService.diffRevisions(adminUid, persona, from, to);
+
+      return res.status(200).json({
+        success: true,
+        diff: diff
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Diff revisions error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Roll a persona's profile back to a revision
+   * POST /api/personas/:personaId/revisions/:revision/rollback
+   */
+  async rollbackPersona(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId } = req.params;
+      const revision = Number(req.params.revision);
+
+      const persona = await personaService.rollbackPersona(adminUid, personaId, revision, {
+        actor: { uid: req.user.uid, email: req.user.email }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Persona rolled back to revision ${revision}`,
+        persona: persona
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Rollback persona error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Link this persona to another one
+   * POST /api/personas/:personaId/edges
+   */
+  async addEdge(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId } = req.params;
+      const { toPersonaId, type, notes } = req.body;
+
+      const edge = await relationshipService.addEdge(adminUid, personaId, { toPersonaId, type, notes });
+
+      return res.status(201).json({
+        success: true,
+        edge: edge
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Add edge error:', error.message);
+      return this._edgeError(res, error);
+    }
+  }
+
+  /**
+   * List a persona's edges
+   * GET /api/personas/:personaId/edges
+   */
+  async getEdges(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId } = req.params;
+
+      const edges = await relationshipService.getEdges(adminUid, personaId, {
+        direction: req.query.direction
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: edges.length,
+        edges: edges
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Get edges error:', error.message);
+      return this._edgeError(res, error);
+    }
+  }
+
+  /**
+   * Remove one of a persona's edges
+   * DELETE /api/personas/:personaId/edges/:edgeId
+   */
+  async removeEdge(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId, edgeId } = req.params;
+
+      const edge = await relationshipService.removeEdge(adminUid, personaId, edgeId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Edge removed',
+        edge: edge
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Remove edge error:', error.message);
+      return this._edgeError(res, error);
+    }
+  }
+
+  /**
+   * Get all personas and edges for visualization
+   * GET /api/personas/graph
+   */
+  async getGraph(req, res) {
+    try {
+      const adminUid = req.user.uid;
+      const includeArchived = req.query.includeArchived === 'true';
+
+      const graph = await relationshipService.getGraph(adminUid, { includeArchived });
+
+      return res.status(200).json({
+        success: true,
+        nodes: graph.nodes,
+        edges: graph.edges
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Get graph error:', error.message);
+
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get persona's analyses
    */
@@ -201,18 +648,63 @@ class PersonaController {
         });
       }
 
-      const analyses = await personaService.getPersonaAnalyses(adminUid, personaId, limit);
+      const { analyses, nextCursor } = await personaService.getPersonaAnalyses(adminUid, personaId, {
+        limit,
+        cursor: req.query.cursor,
+        filters: parseAnalysisFilters(req.query)
+      });
 
       return res.status(200).json({
         success: true,
         count: analyses.length,
-        analyses: analyses
+        analyses: analyses,
+        nextCursor: nextCursor
       });
 
     } catch (error) {
       console.error('[PersonaController] Get persona analyses error:', error.message);
 
-      return res.status(500).json({
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark an analysis flagged for review as reviewed
+   * POST /api/personas/:personaId/analyses/:analysisId/review
+   */
+  async reviewAnalysis(req, res) {
+    try {
+      const { personaId, analysisId } = req.params;
+      const { note } = req.body || {};
+
+      if (note !== undefined && note !== null && typeof note !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'note must be a string'
+        });
+      }
+
+      const analysis = await personaService.markAnalysisReviewed(req.user.uid, personaId, analysisId, {
+        reviewedBy: req.user.uid,
+        note: note
+      });
+
+      return res.status(200).json({
+        success: true,
+        analysis: analysis
+      });
+
+    } catch (error) {
+      console.error('[PersonaController] Review analysis error:', error.message);
+
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+
+      return res.status(statusCode).json({
         success: false,
         error: error.message
       });
@@ -258,7 +750,7 @@ class PersonaController {
     try {
       const adminUid = req.user.uid;
       const { personaId } = req.params;
-      const { question } = req.body;
+      const { question, includeArchived = false, includeConnected = false, stream = false, model } = req.body;
 
       // Validate inputs
       if (!personaId) {
@@ -291,14 +783,23 @@ class PersonaController {
 
       console.log(`[PersonaController] User ${req.user.email} asking about persona ${personaId}: "${question.substring(0, 50)}..."`);
 
+      // Requested model, else the user's default for queries, else the server default
+      const queryModel = await modelService.resolveModel(adminUid, model, 'query');
+
+      // Stream the answer as Server-Sent Events on request
+      if (stream) {
+        return await this._streamAnswer(res, adminUid, personaId, question, { includeArchived, includeConnected, model: queryModel });
+      }
+
       // Query the persona using RAG
-      const result = await queryService.queryPersona(adminUid, personaId, question);
+      const result = await queryService.queryPersona(adminUid, personaId, question, { includeArchived, includeConnected, model: queryModel });
 
       return res.status(200).json({
         success: true,
         question: question,
         answer: result.answer,
         context_used: result.context_used,
+        connected_context: result.connected_context,
         persona: result.persona,
         metadata: result.metadata
       });
@@ -310,6 +811,10 @@ class PersonaController {
       let statusCode = 500;
       if (error.message.includes('not found')) {
         statusCode = 404;
+      } else if (/Persona is (archived|deleted)/.test(error.message)) {
+        statusCode = 409;
+      } else if (error.message.includes('Invalid model')) {
+        statusCode = 400;
       } else if (error.message.includes('not available')) {
         statusCode = 503;
       } else if (error.message.includes('timeout')) {
@@ -324,6 +829,60 @@ class PersonaController {
     }
   }
 
+  /**
+   * Stream an answer as Server-Sent Events
+   * Events: context (retrieved memories, first), token (answer chunks),
+   * metadata (last) or error. Failures before the first event reject, so
+   * askQuestion still answers them with a JSON error and status code.
+   * @private
+   */
+  async _streamAnswer(res, adminUid, personaId, question, options) {
+    const controller = new AbortController();
+    res.on('close', () => {
+      // Client went away before the answer finished: stop generating
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    try {
+      const result = await queryService.streamQueryPersona(adminUid, personaId, question, {
+        ...options,
+        signal: controller.signal,
+        onContext: (context) => {
+          res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+          });
+          res.flushHeaders();
+          send('context', context);
+        },
+        onToken: (token) => send('token', { text: token })
+      });
+
+      send('metadata', { answer: result.answer, metadata: result.metadata });
+      res.end();
+
+    } catch (error) {
+      if (!res.headersSent) {
+        throw error;
+      }
+
+      if (controller.signal.aborted) {
+        console.log(`[PersonaController] Client disconnected, stopped answer for persona ${personaId}`);
+        return;
+      }
+
+      console.error('[PersonaController] Streaming answer failed:', error.message);
+      send('error', { success: false, error: error.message });
+      res.end();
+    }
+  }
+
   /**
    * Batch ask multiple questions about a persona
    */
@@ -331,7 +890,7 @@ class PersonaController {
     try {
       const adminUid = req.user.uid;
       const { personaId } = req.params;
-      const { questions } = req.body;
+      const { questions, includeArchived = false, includeConnected = false, model } = req.body;
 
       if (!personaId) {
         return res.status(400).json({
@@ -349,7 +908,8 @@ class PersonaController {
 
       console.log(`[PersonaController] Batch asking ${questions.length} questions for persona ${personaId}`);
 
-      const results = await queryService.batchQueryPersona(adminUid, personaId, questions);
+      const queryModel = await modelService.resolveModel(adminUid, model, 'query');
+      const results = await queryService.batchQueryPersona(adminUid, personaId, questions, { includeArchived, includeConnected, model: queryModel });
 
       return res.status(200).json({
         success: true,
@@ -364,7 +924,7 @@ class PersonaController {
     } catch (error) {
       console.error('[PersonaController] Batch ask questions error:', error.message);
 
-      return res.status(500).json({
+      return res.status(error.message.includes('Invalid model') ? 400 : 500).json({
         success: false,
         error: error.message
       });
@@ -402,6 +962,66 @@ class PersonaController {
       });
     }
   }
+
+  /**
+   * Map relationship errors to status codes
+   * @private
+   */
+  _edgeError(res, error) {
+    let statusCode = 500;
+    if (error.message.includes('not found')) {
+      statusCode = 404;
+    } else if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('already exists') || error.message.includes('Cannot link')) {
+      statusCode = 409;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  /**
+   * Shared handler for archive/restore transitions
+   * @private
+   */
+  async _changeStatus(req, res, action, transition) {
+    try {
+      const adminUid = req.user.uid;
+      const { personaId } = req.params;
+
+      if (!personaId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Persona ID is required'
+        });
+      }
+
+      const persona = await transition.call(personaService, adminUid, personaId);
+
+      return res.status(200).json({
+        success: true,
+        persona: persona
+      });
+
+    } catch (error) {
+      console.error(`[PersonaController] ${action} persona error:`, error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes(`Cannot ${action}`)) {
+        statusCode = 409;
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new PersonaController();
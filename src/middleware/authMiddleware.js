@@ -1,10 +1,26 @@
 const { getAuth, isFirebaseInitialized } = require('../config/firebase');
+const config = require('../config');
 
 /**
  * Authentication Middleware
  * Verifies Firebase ID tokens and attaches user info to request
  */
 
+/**
+ * Build the fixed user used when AUTH_MODE=local (no Firebase project)
+ * @private
+ */
+function getLocalUser() {
+  return {
+    uid: config.localUserId,
+    email: config.localUserEmail,
+    emailVerified: true,
+    name: 'Local User',
+    picture: null,
+    firebase: null
+  };
+}
+
 /**
  * Verify Firebase ID token from Authorization header
  * @param {Object} req - Express request object
@@ -13,6 +29,12 @@ const { getAuth, isFirebaseInitialized } = require('../config/firebase');
  */
 async function verifyToken(req, res, next) {
   try {
+    // Local mode: air-gapped / dev deployments without Firebase Auth
+    if (config.authMode === 'local') {
+      req.user = getLocalUser();
+      return next();
+    }
+
     // Check if Firebase is initialized
     if (!isFirebaseInitialized()) {
       console.error('[Auth] Firebase not initialized');
@@ -136,6 +158,11 @@ async function verifyToken(req, res, next) {
  */
 async function optionalAuth(req, res, next) {
   try {
+    if (config.authMode === 'local') {
+      req.user = getLocalUser();
+      return next();
+    }
+
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -170,7 +197,8 @@ async function optionalAuth(req, res, next) {
 }
 
 /**
- * Check if user has specific role (for future use)
+ * Check if user has specific role (Firebase custom claim `role`)
+ * The local user (AUTH_MODE=local) has every role.
  */
 function requireRole(role) {
   return async (req, res, next) => {
@@ -181,10 +209,31 @@ function requireRole(role) {
       });
     }
 
+    if (config.authMode === 'local') {
+      return next();
+    }
+
     // Get user's custom claims
     const auth = getAuth();
-    const userRecord = await auth.getUser(req.user.uid);
-    const customClaims = userRecord.customClaims || {};
+    if (!auth) {
+      return res.status(503).json({
+        success: false,
+        error: 'Authentication service unavailable'
+      });
+    }
+
+    let customClaims;
+    try {
+      const userRecord = await auth.getUser(req.user.uid);
+      customClaims = userRecord.customClaims || {};
+    } catch (error) {
+      console.error('[Auth] Role lookup failed:', error.message);
+      return res.status(503).json({
+        success: false,
+        error: 'Authentication service unavailable',
+        message: 'Could not look up user role'
+      });
+    }
 
     if (!customClaims.role || customClaims.role !== role) {
       return res.status(403).json({
@@ -1,16 +1,21 @@
 const express = require('express');
 const aiController = require('../controllers/aiController');
 const uploadMiddleware = require('../middleware/uploadMiddleware');
+const { optionalAuth } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 /**
  * @route   POST /api/ai/transcribe
  * @desc    Transcribe audio file to text
- * @access  Public
+ * @access  Public (saving to a persona requires authentication)
+ * @body    multipart: audio (file), language?: string ('auto' or an ISO code), model?: string,
+ *          personaId?: string (saves the transcript with that persona; name in metadata.savedTranscript)
+ *          metadata.detectedLanguage is Whisper's language; pass it as `language` to /api/analysis/analyze
  */
 router.post(
   '/transcribe',
+  optionalAuth,
   uploadMiddleware.single('audio'),
   (req, res) => aiController.transcribe(req, res)
 );
@@ -1,6 +1,6 @@
 const express = require('express');
 const analysisController = require('../controllers/analysisController');
-const { verifyToken, optionalAuth } = require('../middleware/authMiddleware');
+const { verifyToken, optionalAuth, requireRole } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -8,7 +8,21 @@ const router = express.Router();
  * @route   POST /api/analysis/analyze
  * @desc    Analyze text for sentiment and personality traits
  * @access  Private (requires authentication)
- * @body    { text: string, saveToHistory?: boolean }
+ * @body    { text: string, saveToHistory?: boolean, personaId?: string, taxonomyId?: string,
+ *            mode?: 'labels' | 'big_five' | 'emotions', model?: string,
+ *            ensemble?: true | { models?: string[], samples?: number },
+ *            selfConsistency?: true | { samples?: number }, language?: string, translate?: boolean,
+ *            bypassCache?: boolean }
+ *          big_five adds 0-1 OCEAN scores with rationales;
+ *          emotions scores 0-1 intensities for eight emotions plus valence/arousal.
+ *          Texts over 4000 characters (max 100k) are analyzed in overlapping chunks;
+ *          the response adds per-chunk results under `chunks`.
+ *          An ensemble votes over several models/samples; members and their raw outputs are under `ensemble`.
+ *          selfConsistency samples one model several times and returns a measured confidence_score (0-1);
+ *          scores under ANALYSIS_REVIEW_THRESHOLD set needs_review.
+ *          language (ISO code, e.g. from the transcription; default 'auto' detects it) picks a language-specific
+ *          prompt when there is one; labels are always the taxonomy's. translate saves an English copy as the memory.
+ *          Results and query embeddings are cached by content; bypassCache recomputes them (metadata.cached tells)
  */
 router.post(
   '/analyze',
@@ -20,7 +34,10 @@ router.post(
  * @route   POST /api/analysis/batch
  * @desc    Batch analyze multiple texts
  * @access  Private (requires authentication)
- * @body    { texts: string[] }
+ * @body    { texts: string[], taxonomyId?: string, mode?: 'labels' | 'big_five' | 'emotions', model?: string,
+ *            ensemble?: true | { models?: string[], samples?: number }, selfConsistency?: true | { samples?: number },
+ *            language?: string, bypassCache?: boolean }
+ *          model must be installed and allowed; defaults to your default analysis model
  */
 router.post(
   '/batch',
@@ -30,9 +47,13 @@ router.post(
 
 /**
  * @route   GET /api/analysis/history
- * @desc    Get user's analysis history
+ * @desc    Get user's analysis history (newest first, cursor-paginated)
  * @access  Private (requires authentication)
  * @query   limit: number (default: 10)
+ * @query   cursor: string - nextCursor from the previous page
+ * @query   sentiment: string - Comma-separated, matches any
+ * @query   trait: string - Comma-separated, all must be present
+ * @query   from, to: ISO date - createdAt range (inclusive)
  */
 router.get(
   '/history',
@@ -51,6 +72,172 @@ router.delete(
   (req, res) => analysisController.deleteHistoryItem(req, res)
 );
 
+/**
+ * @route   GET /api/analysis/unassigned
+ * @desc    Inbox of analyses saved without a persona, with the total still unassigned
+ * @access  Private (requires authentication)
+ * @query   Same paging and filters as /history
+ */
+router.get(
+  '/unassigned',
+  verifyToken,
+  (req, res) => analysisController.getUnassigned(req, res)
+);
+
+/**
+ * @route   POST /api/analysis/unassigned/assign
+ * @desc    Move analyses (and their ChromaDB memories) into a persona
+ * @access  Private (requires authentication)
+ * @body    { personaId: string, analysisIds: string[] }
+ */
+router.post(
+  '/unassigned/assign',
+  verifyToken,
+  (req, res) => analysisController.assignAnalyses(req, res)
+);
+
+/**
+ * @route   POST /api/analysis/unassigned/migrate
+ * @desc    Assign unassigned analyses by rules (first matching rule wins)
+ * @access  Private (requires authentication)
+ * @body    { rules: [{ personaId, text?, pattern?, tags?, usePersonaTags?, sentiments? }], dryRun?: boolean }
+ */
+router.post(
+  '/unassigned/migrate',
+  verifyToken,
+  (req, res) => analysisController.migrateUnassigned(req, res)
+);
+
+/**
+ * @route   GET /api/analysis/taxonomies
+ * @desc    List sentiment/trait taxonomies (built-in "default" first)
+ * @access  Private (requires authentication)
+ */
+router.get(
+  '/taxonomies',
+  verifyToken,
+  (req, res) => analysisController.getTaxonomies(req, res)
+);
+
+/**
+ * @route   POST /api/analysis/taxonomies
+ * @desc    Create a taxonomy
+ * @access  Private (requires authentication)
+ * @body    { name: string, description?: string, sentiments: Entry[], traits: Entry[] }
+ *          Entry = { label: string, description?: string, synonyms?: string[] } or a plain label
+ */
+router.post(
+  '/taxonomies',
+  verifyToken,
+  (req, res) => analysisController.createTaxonomy(req, res)
+);
+
+/**
+ * @route   GET /api/analysis/taxonomies/:taxonomyId
+ * @desc    Get a taxonomy
+ * @access  Private (requires authentication)
+ */
+router.get(
+  '/taxonomies/:taxonomyId',
+  verifyToken,
+  (req, res) => analysisController.getTaxonomy(req, res)
+);
+
+/**
+ * @route   PUT /api/analysis/taxonomies/:taxonomyId
+ * @desc    Replace a taxonomy; changing its labels bumps the version stored on new analyses
+ * @access  Private (requires authentication)
+ * @body    Same as POST /taxonomies
+ */
+router.put(
+  '/taxonomies/:taxonomyId',
+  verifyToken,
+  (req, res) => analysisController.updateTaxonomy(req, res)
+);
+
+/**
+ * @route   DELETE /api/analysis/taxonomies/:taxonomyId
+ * @desc    Delete a taxonomy (past analyses keep its ID and version)
+ * @access  Private (requires authentication)
+ */
+router.delete(
+  '/taxonomies/:taxonomyId',
+  verifyToken,
+  (req, res) => analysisController.deleteTaxonomy(req, res)
+);
+
+/**
+ * @route   GET /api/analysis/models
+ * @desc    Installed, allowed (selectable) and default models, and your default models
+ * @access  Private (requires authentication)
+ */
+router.get(
+  '/models',
+  verifyToken,
+  (req, res) => analysisController.getModels(req, res)
+);
+
+/**
+ * @route   PUT /api/analysis/models/defaults
+ * @desc    Set your default models per purpose
+ * @access  Private (requires authentication)
+ * @body    { analysis?: string | null, query?: string | null } - null uses the server default
+ */
+router.put(
+  '/models/defaults',
+  verifyToken,
+  (req, res) => analysisController.setDefaultModels(req, res)
+);
+
+/**
+ * @route   PUT /api/analysis/models/allowlist
+ * @desc    Restrict the models users may select
+ * @access  Private (requires the admin role)
+ * @body    { models: string[] | null } - null allows every installed model
+ */
+router.put(
+  '/models/allowlist',
+  verifyToken,
+  requireRole('admin'),
+  (req, res) => analysisController.setModelAllowlist(req, res)
+);
+
+/**
+ * @route   GET /api/analysis/prompts
+ * @desc    List prompt templates (analysis and its language variants, query, memory-context, translation)
+ *          with their versions and the active one
+ * @access  Private (requires authentication)
+ */
+router.get(
+  '/prompts',
+  verifyToken,
+  (req, res) => analysisController.getPrompts(req, res)
+);
+
+/**
+ * @route   GET /api/analysis/prompts/:name
+ * @desc    Get a prompt template with the text of every version
+ * @access  Private (requires authentication)
+ */
+router.get(
+  '/prompts/:name',
+  verifyToken,
+  (req, res) => analysisController.getPrompt(req, res)
+);
+
+/**
+ * @route   PUT /api/analysis/prompts/:name/active
+ * @desc    Select the version of a prompt used for every analysis and answer
+ * @access  Private (requires the admin role)
+ * @body    { version: string | null } - null goes back to the latest version
+ */
+router.put(
+  '/prompts/:name/active',
+  verifyToken,
+  requireRole('admin'),
+  (req, res) => analysisController.setActivePrompt(req, res)
+);
+
 /**
  * @route   GET /api/analysis/status
  * @desc    Check Ollama service status
@@ -63,7 +250,7 @@ router.get(
 
 /**
  * @route   GET /api/analysis/rag-status
- * @desc    Check RAG (ChromaDB + Ollama embeddings) status
+ * @desc    Check RAG (ChromaDB + Ollama embeddings) status, with hit/miss counters of the analysis and embedding caches
  * @access  Public
  */
 router.get(
@@ -44,6 +44,10 @@ const router = express.Router();
  *                   type: string
  *                 description: Tags for categorization
  *                 example: ["client", "tech"]
+ *               customFields:
+ *                 type: object
+ *                 description: Values for the fields defined in GET /api/personas/fields
+ *                 example: { "department": "Sales", "age": 34 }
  *     responses:
  *       201:
  *         description: Persona created successfully
@@ -103,9 +107,940 @@ router.post(
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived personas (trashed personas are never listed)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page (must use the same orderBy/order)
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags; personas must have all of them
+ *         example: client,tech
+ *       - in: query
+ *         name: relationship
+ *         schema:
+ *           type: string
+ *         description: Relationship (case-insensitive exact match)
+ *       - in: query
+ *         name: needsReview
+ *         schema:
+ *           type: boolean
+ *         description: Only personas with (true) or without (false) analyses waiting for review
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only personas created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only personas created at or before this date
+ *       - in: query
+ *         name: field.{key}
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Filter on a custom field, e.g. `field.department=Sales,Marketing` (any of, for string/enum),
+ *           `field.languages=en,fr` (all of, for list). Number and date fields also take
+ *           `field.{key}.min` / `field.{key}.max`.
+ *     responses:
+ *       200:
+ *         description: List of personas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 3
+ *                 personas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Persona'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to get the next page; null on the last page (a filtered page can be short and still have one)
+ *       400:
+ *         description: Invalid cursor or filter
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/list',
+  verifyToken,
+  (req, res) => personaController.getPersonas(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/trash:
+ *   get:
+ *     summary: List trashed personas
+ *     description: Personas deleted without ?permanent=true. Each is purged permanently once its purgeAfter date passes.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trashed personas, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                   example: 1
+ *                 purgeAfterDays:
+ *                   type: number
+ *                   example: 30
+ *                 personas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Persona'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/trash',
+  verifyToken,
+  (req, res) => personaController.getTrash(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/fields:
+ *   get:
+ *     summary: Get the custom persona field schema
+ *     description: Fields every persona of this user can carry in `customFields`.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Field schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 fields:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomField'
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   put:
+ *     summary: Replace the custom persona field schema
+ *     description: |
+ *       Persona `customFields` are validated against this schema on create and update.
+ *       Values already stored for fields that are removed are kept but ignored.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fields
+ *             properties:
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CustomField'
+ *     responses:
+ *       200:
+ *         description: Saved schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 fields:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomField'
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid field definitions
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/fields',
+  verifyToken,
+  (req, res) => personaController.getFieldSchema(req, res)
+);
+
+router.put(
+  '/fields',
+  verifyToken,
+  (req, res) => personaController.setFieldSchema(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/import:
+ *   post:
+ *     summary: Import a persona bundle
+ *     description: |
+ *       Recreates a persona from a bundle produced by the export endpoint. The persona and
+ *       its analyses get new IDs under the calling user. Memory embeddings are reused when the
+ *       bundle was exported with the same embedding model, otherwise memories are re-embedded.
+ *       The body limit is IMPORT_MAX_SIZE (default 50mb).
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Bundle returned by GET /api/personas/{personaId}/export
+ *             required:
+ *               - format
+ *               - version
+ *               - persona
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 example: k-psyche-persona
+ *               version:
+ *                 type: number
+ *                 example: 1
+ *               persona:
+ *                 type: object
+ *               analyses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               memories:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               transcripts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     persona:
+ *                       $ref: '#/components/schemas/Persona'
+ *                     analysesImported:
+ *                       type: number
+ *                       example: 12
+ *                     customFieldsDropped:
+ *                       type: array
+ *                       description: Custom fields not accepted by the importing user's field schema
+ *                       items:
+ *                         type: string
+ *                     memoriesImported:
+ *                       type: number
+ *                       example: 12
+ *                     memoriesReembedded:
+ *                       type: number
+ *                       example: 0
+ *                     memoriesFailed:
+ *                       type: number
+ *                       example: 0
+ *                     transcriptsImported:
+ *                       type: number
+ *                       example: 2
+ *       400:
+ *         description: Not a valid bundle (wrong format, unsupported version or missing persona)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       413:
+ *         description: Bundle larger than IMPORT_MAX_SIZE
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/import',
+  verifyToken,
+  (req, res) => personaController.importPersona(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/graph:
+ *   get:
+ *     summary: Get the persona relationship graph
+ *     description: |
+ *       Returns every persona as a node and every persona-to-persona edge, ready for a
+ *       graph visualization. An edge reads "source is <type> of target". Trashed personas
+ *       are never included; archived ones only with includeArchived=true.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived personas and their edges
+ *     responses:
+ *       200:
+ *         description: Nodes and edges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       relationship:
+ *                         type: string
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       status:
+ *                         type: string
+ *                       analysisCount:
+ *                         type: number
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                       target:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         example: manager
+ *                       notes:
+ *                         type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/graph',
+  verifyToken,
+  (req, res) => personaController.getGraph(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}:
+ *   get:
+ *     summary: Get persona details
+ *     description: Retrieve detailed information about a specific persona
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona ID
+ *     responses:
+ *       200:
+ *         description: Persona details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 persona:
+ *                   $ref: '#/components/schemas/Persona'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/:personaId',
+  verifyToken,
+  (req, res) => personaController.getPersonaDetails(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}:
+ *   put:
+ *     summary: Update persona
+ *     description: Update persona information
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               relationship:
+ *                 type: string
+ *               summary:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               customFields:
+ *                 type: object
+ *                 description: Custom field values to change; only the given keys are updated and null clears one
+ *     responses:
+ *       200:
+ *         description: Persona updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 persona:
+ *                   $ref: '#/components/schemas/Persona'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put(
+  '/:personaId',
+  verifyToken,
+  (req, res) => personaController.updatePersona(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}:
+ *   delete:
+ *     summary: Delete persona
+ *     description: |
+ *       Moves the persona to the trash. It can be restored until its purge window
+ *       (PERSONA_PURGE_DAYS, default 30) passes, after which it is deleted permanently.
+ *
+ *       With `permanent=true` the persona and all associated data are deleted right away:
+ *       its analyses, ChromaDB memories, revision history, relationship edges and stored media. The persona document is removed
+ *       last, so a request that fails partway can be retried.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona ID
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Skip the trash and delete everything now
+ *     responses:
+ *       200:
+ *         description: Persona deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Persona moved to trash
+ *                 persona:
+ *                   $ref: '#/components/schemas/Persona'
+ *                 deleted:
+ *                   type: object
+ *                   description: Number of records removed from each store (permanent deletes only)
+ *                   properties:
+ *                     analyses:
+ *                       type: number
+ *                       example: 42
+ *                     memories:
+ *                       type: number
+ *                       example: 42
+ *                     revisions:
+ *                       type: number
+ *                       example: 5
+ *                     edges:
+ *                       type: number
+ *                       example: 2
+ *                     media:
+ *                       type: number
+ *                       example: 0
+ *                     persona:
+ *                       type: number
+ *                       example: 1
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *       409:
+ *         description: Persona is already in the trash
+ *       503:
+ *         description: Vector store unavailable; the persona is kept and the delete can be retried
+ */
+router.delete(
+  '/:personaId',
+  verifyToken,
+  (req, res) => personaController.deletePersona(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}/archive:
+ *   post:
+ *     summary: Archive persona
+ *     description: Hide an active persona from listings, queries and RAG retrieval without deleting anything
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona ID
+ *     responses:
+ *       200:
+ *         description: Persona archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 persona:
+ *                   $ref: '#/components/schemas/Persona'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Persona is not active
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:personaId/archive',
+  verifyToken,
+  (req, res) => personaController.archivePersona(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}/restore:
+ *   post:
+ *     summary: Restore persona
+ *     description: Bring an archived or trashed persona back to active
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona ID
+ *     responses:
+ *       200:
+ *         description: Persona restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 persona:
+ *                   $ref: '#/components/schemas/Persona'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Persona is already active, or is being deleted
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:personaId/restore',
+  verifyToken,
+  (req, res) => personaController.restorePersona(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{targetId}/merge:
+ *   post:
+ *     summary: Merge a duplicate persona into this one
+ *     description: |
+ *       Moves every analysis of the source persona into the target, re-tags the source's
+ *       ChromaDB memories with the target ID, re-points its relationship edges (dropping
+ *       duplicates and self-links), combines tags and notes, recomputes
+ *       analysisCount/lastAnalyzedAt and archives the source (with `mergedInto` set).
+ *       Analyses keep their IDs, so a merge that fails partway can be re-run.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona that survives the merge
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceId
+ *             properties:
+ *               sourceId:
+ *                 type: string
+ *                 description: Duplicate persona to merge and archive
+ *     responses:
+ *       200:
+ *         description: Merge report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     targetId:
+ *                       type: string
+ *                     sourceId:
+ *                       type: string
+ *                     analysesMoved:
+ *                       type: number
+ *                       example: 12
+ *                     memoriesRetagged:
+ *                       type: number
+ *                       example: 12
+ *                     edgesMoved:
+ *                       type: number
+ *                       example: 2
+ *                     tagsAdded:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     notesMerged:
+ *                       type: boolean
+ *                     analysisCount:
+ *                       type: number
+ *                       example: 30
+ *                     lastAnalyzedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     sourceStatus:
+ *                       type: string
+ *                       example: archived
+ *                     persona:
+ *                       $ref: '#/components/schemas/Persona'
+ *       400:
+ *         description: Missing sourceId
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Same persona, target not active, or source deleted
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *       503:
+ *         description: Vector store unavailable; nothing was moved
+ */
+router.post(
+  '/:targetId/merge',
+  verifyToken,
+  (req, res) => personaController.mergePersonas(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}/export:
+ *   get:
+ *     summary: Export a persona as a portable bundle
+ *     description: |
+ *       Returns a JSON bundle with the persona, all of its analyses, its ChromaDB memories
+ *       and stored transcripts, for backup or for moving it to another instance via
+ *       POST /api/personas/import.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona ID
+ *       - in: query
+ *         name: includeEmbeddings
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include memory embedding vectors so the importer can skip re-embedding
+ *     responses:
+ *       200:
+ *         description: Persona bundle (sent as an attachment)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   type: string
+ *                   example: k-psyche-persona
+ *                 version:
+ *                   type: number
+ *                   example: 1
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 embeddingModel:
+ *                   type: string
+ *                   example: nomic-embed-text
+ *                 includesEmbeddings:
+ *                   type: boolean
+ *                 persona:
+ *                   $ref: '#/components/schemas/Persona'
+ *                 analyses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 memories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       text:
+ *                         type: string
+ *                       metadata:
+ *                         type: object
+ *                       embedding:
+ *                         type: array
+ *                         items:
+ *                           type: number
+ *                 transcripts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       text:
+ *                         type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *       503:
+ *         description: Vector store unavailable; memories could not be read
+ */
+router.get(
+  '/:personaId/export',
+  verifyToken,
+  (req, res) => personaController.exportPersona(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}/edges:
+ *   get:
+ *     summary: List a persona's relationships to other personas
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona ID
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [out, in, both]
+ *           default: both
+ *         description: Outgoing edges (this persona is <type> of the other), incoming, or both
+ *     responses:
+ *       200:
+ *         description: Edges with the persona on the other end
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: number
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PersonaEdge'
+ *       400:
+ *         description: Invalid direction
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   post:
+ *     summary: Link this persona to another one
+ *     description: |
+ *       Adds a typed, directed edge. The edge reads "this persona is <type> of toPersonaId",
+ *       e.g. type `manager` means this persona manages the other one.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona the edge starts from
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toPersonaId
+ *               - type
+ *             properties:
+ *               toPersonaId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 description: Relationship type (stored lowercase)
+ *                 example: manager
+ *               notes:
+ *                 type: string
+ *                 example: Since the 2023 reorg
  *     responses:
- *       200:
- *         description: List of personas
+ *       201:
+ *         description: Edge created
  *         content:
  *           application/json:
  *             schema:
@@ -114,30 +1049,90 @@ router.post(
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 count:
- *                   type: number
- *                   example: 3
- *                 personas:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Persona'
+ *                 edge:
+ *                   $ref: '#/components/schemas/PersonaEdge'
+ *       400:
+ *         description: Missing toPersonaId or type, or a self-link
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Same edge already exists, or a persona is in the trash
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 router.get(
-  '/list',
+  '/:personaId/edges',
   verifyToken,
-  (req, res) => personaController.getPersonas(req, res)
+  (req, res) => personaController.getEdges(req, res)
+);
+
+router.post(
+  '/:personaId/edges',
+  verifyToken,
+  (req, res) => personaController.addEdge(req, res)
 );
 
 /**
  * @swagger
- * /api/personas/{personaId}:
+ * /api/personas/{personaId}/edges/{edgeId}:
+ *   delete:
+ *     summary: Remove a relationship edge
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona on either end of the edge
+ *       - in: path
+ *         name: edgeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Edge ID
+ *     responses:
+ *       200:
+ *         description: Edge removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Edge removed
+ *                 edge:
+ *                   $ref: '#/components/schemas/PersonaEdge'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete(
+  '/:personaId/edges/:edgeId',
+  verifyToken,
+  (req, res) => personaController.removeEdge(req, res)
+);
+
+/**
+ * @swagger
+ * /api/personas/{personaId}/revisions:
  *   get:
- *     summary: Get persona details
- *     description: Retrieve detailed information about a specific persona
+ *     summary: List a persona's edit history
+ *     description: |
+ *       Every profile change (update, merge or rollback) is stored as a numbered revision
+ *       with the changed fields, their old and new values, the actor and a timestamp.
+ *       Revision 0 stands for the profile before the first recorded change.
  *     tags: [Personas]
  *     security:
  *       - BearerAuth: []
@@ -148,9 +1143,20 @@ router.get(
  *         schema:
  *           type: string
  *         description: Persona ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
  *     responses:
  *       200:
- *         description: Persona details
+ *         description: Revisions, newest first
  *         content:
  *           application/json:
  *             schema:
@@ -159,8 +1165,54 @@ router.get(
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 persona:
- *                   $ref: '#/components/schemas/Persona'
+ *                 currentRevision:
+ *                   type: number
+ *                   example: 3
+ *                 count:
+ *                   type: number
+ *                   example: 3
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       revision:
+ *                         type: number
+ *                         example: 3
+ *                       action:
+ *                         type: string
+ *                         enum: [update, rollback, merge]
+ *                       changes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                               example: summary
+ *                             oldValue: {}
+ *                             newValue: {}
+ *                       actor:
+ *                         type: object
+ *                         properties:
+ *                           uid:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                             nullable: true
+ *                       rolledBackTo:
+ *                         type: number
+ *                         description: Target revision (rollbacks only)
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid cursor
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -169,17 +1221,17 @@ router.get(
  *         $ref: '#/components/responses/ServerError'
  */
 router.get(
-  '/:personaId',
+  '/:personaId/revisions',
   verifyToken,
-  (req, res) => personaController.getPersonaDetails(req, res)
+  (req, res) => personaController.getRevisions(req, res)
 );
 
 /**
  * @swagger
- * /api/personas/{personaId}:
- *   put:
- *     summary: Update persona
- *     description: Update persona information
+ * /api/personas/{personaId}/revisions/diff:
+ *   get:
+ *     summary: Compare a persona's profile at two revisions
+ *     description: Lists every field whose value differs between revision `from` and revision `to`.
  *     tags: [Personas]
  *     security:
  *       - BearerAuth: []
@@ -190,28 +1242,20 @@ router.get(
  *         schema:
  *           type: string
  *         description: Persona ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               relationship:
- *                 type: string
- *               summary:
- *                 type: string
- *               notes:
- *                 type: string
- *               tags:
- *                 type: array
- *                 items:
- *                   type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision (0 = before the first change)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Newer revision (defaults to the current one)
  *     responses:
  *       200:
- *         description: Persona updated successfully
+ *         description: Field differences
  *         content:
  *           application/json:
  *             schema:
@@ -220,8 +1264,27 @@ router.get(
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 persona:
- *                   $ref: '#/components/schemas/Persona'
+ *                 diff:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: number
+ *                       example: 1
+ *                     to:
+ *                       type: number
+ *                       example: 3
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           field:
+ *                             type: string
+ *                             example: tags
+ *                           from: {}
+ *                           to: {}
+ *       400:
+ *         description: Unknown revision or from is not lower than to
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -229,18 +1292,20 @@ router.get(
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.put(
-  '/:personaId',
+router.get(
+  '/:personaId/revisions/diff',
   verifyToken,
-  (req, res) => personaController.updatePersona(req, res)
+  (req, res) => personaController.diffRevisions(req, res)
 );
 
 /**
  * @swagger
- * /api/personas/{personaId}:
- *   delete:
- *     summary: Delete persona
- *     description: Delete a persona and all associated data
+ * /api/personas/{personaId}/revisions/{revision}/rollback:
+ *   post:
+ *     summary: Roll a persona's profile back to a revision
+ *     description: |
+ *       Restores every field edited after the given revision to its value at that revision.
+ *       The rollback is itself recorded as a new revision, so it can be undone.
  *     tags: [Personas]
  *     security:
  *       - BearerAuth: []
@@ -251,9 +1316,15 @@ router.put(
  *         schema:
  *           type: string
  *         description: Persona ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision to return to (0 = before the first change)
  *     responses:
  *       200:
- *         description: Persona deleted successfully
+ *         description: Persona after the rollback
  *         content:
  *           application/json:
  *             schema:
@@ -264,7 +1335,11 @@ router.put(
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Persona deleted successfully
+ *                   example: Persona rolled back to revision 2
+ *                 persona:
+ *                   $ref: '#/components/schemas/Persona'
+ *       400:
+ *         description: Unknown revision
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -272,10 +1347,10 @@ router.put(
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-router.delete(
-  '/:personaId',
+router.post(
+  '/:personaId/revisions/:revision/rollback',
   verifyToken,
-  (req, res) => personaController.deletePersona(req, res)
+  (req, res) => personaController.rollbackPersona(req, res)
 );
 
 /**
@@ -283,7 +1358,7 @@ router.delete(
  * /api/personas/{personaId}/analyses:
  *   get:
  *     summary: Get persona's analyses
- *     description: Retrieve analysis history for a specific persona
+ *     description: Retrieve analysis history for a specific persona. Analyses carry the `evidence` quotes (with character offsets into `inputText`) that support their sentiment and traits.
  *     tags: [Personas]
  *     security:
  *       - BearerAuth: []
@@ -300,6 +1375,39 @@ router.delete(
  *           type: integer
  *           default: 10
  *         description: Number of analyses to return
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: sentiment
+ *         schema:
+ *           type: string
+ *         description: Comma-separated sentiments; matches any
+ *         example: Anxious,Sad
+ *       - in: query
+ *         name: trait
+ *         schema:
+ *           type: string
+ *         description: Comma-separated traits; analyses must have all of them
+ *       - in: query
+ *         name: needsReview
+ *         schema:
+ *           type: boolean
+ *         description: Only analyses flagged (true) or not flagged (false) for review
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only analyses created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only analyses created at or before this date
  *     responses:
  *       200:
  *         description: List of analyses
@@ -318,6 +1426,39 @@ router.delete(
  *                   type: array
  *                   items:
  *                     type: object
+ *                     properties:
+ *                       inputText:
+ *                         type: string
+ *                       sentiment:
+ *                         type: string
+ *                       personality_traits:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       evidence:
+ *                         $ref: '#/components/schemas/Evidence'
+ *                       confidence_score:
+ *                         type: number
+ *                         description: Measured confidence (0-1), only for selfConsistency/ensemble analyses
+ *                       needs_review:
+ *                         type: boolean
+ *                         description: confidence_score was below ANALYSIS_REVIEW_THRESHOLD
+ *                       language:
+ *                         type: string
+ *                         description: ISO 639 code of the text's language (main language of mixed texts)
+ *                         example: hi
+ *                       language_source:
+ *                         type: string
+ *                         enum: [request, detected, default]
+ *                       translated_text:
+ *                         type: string
+ *                         description: English copy saved as the memory, when the analysis was translated
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to get the next page; null on the last page (a filtered page can be short and still have one)
+ *       400:
+ *         description: Invalid cursor or filter
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
@@ -329,6 +1470,55 @@ router.get(
   (req, res) => personaController.getPersonaAnalyses(req, res)
 );
 
+/**
+ * @swagger
+ * /api/personas/{personaId}/analyses/{analysisId}/review:
+ *   post:
+ *     summary: Mark an analysis as reviewed
+ *     description: |
+ *       Clears the `needs_review` flag of an analysis whose measured confidence was below
+ *       the review threshold, records who reviewed it, and lowers the persona's `reviewCount`.
+ *     tags: [Personas]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: personaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: analysisId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Optional review note
+ *     responses:
+ *       200:
+ *         description: The reviewed analysis (with reviewedAt, reviewedBy, reviewNote)
+ *       400:
+ *         description: Invalid note
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:personaId/analyses/:analysisId/review',
+  verifyToken,
+  (req, res) => personaController.reviewAnalysis(req, res)
+);
+
 /**
  * @swagger
  * /api/personas/{personaId}/stats:
@@ -361,7 +1551,16 @@ router.get(
  *                   properties:
  *                     totalAnalyses:
  *                       type: number
+ *                       description: Analyses the stats were computed from (at most sampleSize)
  *                       example: 15
+ *                     sampleSize:
+ *                       type: number
+ *                       description: Maximum number of newest analyses included
+ *                       example: 100
+ *                     truncated:
+ *                       type: boolean
+ *                       description: True if older analyses were left out of every figure, including the Big Five series
+ *                       example: false
  *                     sentimentDistribution:
  *                       type: object
  *                       example: { "Positive": 8, "Neutral": 4, "Anxious": 3 }
@@ -374,6 +1573,83 @@ router.get(
  *                             type: string
  *                           count:
  *                             type: number
+ *                     byTaxonomy:
+ *                       type: array
+ *                       description: The same counts per taxonomy version (labels are only comparable within one)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           taxonomyId:
+ *                             type: string
+ *                             example: default
+ *                           taxonomyVersion:
+ *                             type: number
+ *                             example: 1
+ *                           taxonomyName:
+ *                             type: string
+ *                             nullable: true
+ *                             description: null if the taxonomy was deleted
+ *                           totalAnalyses:
+ *                             type: number
+ *                           sentimentDistribution:
+ *                             type: object
+ *                           topTraits:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                     bigFive:
+ *                       type: object
+ *                       description: OCEAN scores from analyses made with mode big_five
+ *                       properties:
+ *                         analysesScored:
+ *                           type: number
+ *                         dimensions:
+ *                           type: object
+ *                           description: Keyed by openness, conscientiousness, extraversion, agreeableness, neuroticism
+ *                           additionalProperties:
+ *                             type: object
+ *                             properties:
+ *                               count:
+ *                                 type: number
+ *                               mean:
+ *                                 type: number
+ *                                 nullable: true
+ *                               variance:
+ *                                 type: number
+ *                                 nullable: true
+ *                               series:
+ *                                 type: array
+ *                                 description: Oldest first
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     analysisId:
+ *                                       type: string
+ *                                     createdAt:
+ *                                       type: string
+ *                                       format: date-time
+ *                                     score:
+ *                                       type: number
+ *                                     runningMean:
+ *                                       type: number
+ *                     emotions:
+ *                       type: object
+ *                       description: Emotion intensities from analyses made with mode emotions
+ *                       properties:
+ *                         analysesScored:
+ *                           type: number
+ *                         emotions:
+ *                           type: object
+ *                           description: Keyed by joy, sadness, anger, fear, surprise, disgust, trust, anticipation
+ *                           additionalProperties:
+ *                             $ref: '#/components/schemas/ScoreSummary'
+ *                         valence:
+ *                           $ref: '#/components/schemas/ScoreSummary'
+ *                         arousal:
+ *                           $ref: '#/components/schemas/ScoreSummary'
+ *                         dominantEmotions:
+ *                           type: object
+ *                           description: Analyses per dominant emotion ("none" when no emotion reached 0.2)
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
@@ -414,10 +1690,42 @@ router.get(
  *                 type: string
  *                 description: Question to ask about the persona
  *                 example: What are the dominant personality traits?
+ *               includeArchived:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow questions about an archived persona
+ *               includeConnected:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also draw on memories of directly connected personas (for relational questions)
+ *               model:
+ *                 type: string
+ *                 description: Model to answer with (must be installed and allowed; defaults to your default query model)
+ *                 example: mistral:latest
+ *               stream:
+ *                 type: boolean
+ *                 default: false
+ *                 description: |
+ *                   Stream the answer as Server-Sent Events instead of one JSON response.
+ *                   Events: `context` (first; context_used, connected_context, persona),
+ *                   `token` ({ text }, one per chunk), then `metadata` ({ answer, metadata }) or `error`.
+ *                   Closing the connection stops the generation.
  *     responses:
  *       200:
- *         description: Answer with context
+ *         description: Answer with context (text/event-stream when stream is true)
  *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: context
+ *                 data: {"context_used":[],"persona":{"id":"persona123abc","name":"John Doe"}}
+ *
+ *                 event: token
+ *                 data: {"text":"Based on"}
+ *
+ *                 event: metadata
+ *                 data: {"answer":"Based on ...","metadata":{"memories_used":3}}
  *           application/json:
  *             schema:
  *               type: object
@@ -434,10 +1742,38 @@ router.get(
  *                   type: array
  *                   items:
  *                     type: object
+ *                 connected_context:
+ *                   type: array
+ *                   description: Memories of connected personas (only with includeConnected)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       text:
+ *                         type: string
+ *                       persona_id:
+ *                         type: string
+ *                       persona_name:
+ *                         type: string
+ *                       relation:
+ *                         type: string
+ *                         example: manager
+ *                       direction:
+ *                         type: string
+ *                         enum: [out, in]
+ *                       similarity:
+ *                         type: number
  *                 persona:
  *                   type: object
  *                 metadata:
  *                   type: object
+ *                   properties:
+ *                     model_used:
+ *                       type: string
+ *                       example: llama3.1:8b
+ *                     prompt_versions:
+ *                       type: object
+ *                       description: Version of each prompt template used for the answer
+ *                       example: { query: v1 }
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -482,6 +1818,17 @@ router.post(
  *                   type: string
  *                 maxItems: 5
  *                 example: ["What are the dominant traits?", "How has sentiment changed?"]
+ *               includeArchived:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Allow questions about an archived persona
+ *               includeConnected:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also draw on memories of directly connected personas
+ *               model:
+ *                 type: string
+ *                 description: Model to answer with (must be installed and allowed)
  *     responses:
  *       200:
  *         description: Batch answers
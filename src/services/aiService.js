@@ -17,7 +17,7 @@ class AIService {
    * @param {Object} options - Transcription options
    * @param {string} options.language - Language code or 'auto'
    * @param {string} options.model - Model size
-   * @returns {Promise<string>} Transcribed text
+   * @returns {Promise<Object>} { text, language (given, else detected by Whisper), languageProbability (null when given) }
    */
   async transcribeAudio(filePath, options = {}) {
     // Validate file exists
@@ -37,7 +37,7 @@ class AIService {
     }
 
     // Build Python arguments
-    const args = [this.scriptPath, filePath, '--model', model];
+    const args = [this.scriptPath, filePath, '--model', model, '--json'];
     
     if (options.language && options.language !== 'auto') {
       args.push('--language', options.language);
@@ -51,13 +51,25 @@ class AIService {
         timeout: 5 * 60 * 1000 // 5 minutes
       });
 
+      let output;
+      try {
+        output = JSON.parse(result);
+      } catch (parseError) {
+        throw new Error('Transcription script returned invalid output');
+      }
+
       // Validate result
-      if (!result || result.trim().length === 0) {
+      if (!output.text || output.text.trim().length === 0) {
         throw new Error('Transcription returned empty result. No speech detected in audio.');
       }
 
-      console.log(`[AIService] Transcription completed successfully`);
-      return result.trim();
+      const languageGiven = options.language && options.language !== 'auto';
+      console.log(`[AIService] Transcription completed successfully (language: ${output.language})`);
+      return {
+        text: output.text.trim(),
+        language: output.language,
+        languageProbability: languageGiven ? null : output.language_probability
+      };
 
     } catch (error) {
       console.error(`[AIService] Transcription failed:`, error.message);
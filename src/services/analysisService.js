@@ -1,46 +1,144 @@
+const llmService = require('./llmService');
+const taxonomyService = require('./taxonomyService');
+const promptService = require('./promptService');
+const languageService = require('./languageService');
+const cacheService = require('./cacheService');
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+const MAX_TEXT_LENGTH = 4000; // Conservative limit for context window (longer texts are chunked)
+const MAX_DOCUMENT_LENGTH = 100000;
+const MAX_COMBINED_TRAITS = 4;
+
+// Ensemble analyses: models x samples per model
+const MAX_ENSEMBLE_MEMBERS = 9;
+
+// Evidence quotes per sentiment/trait, and their accepted length
+const MAX_EVIDENCE_PER_LABEL = 3;
+const MIN_QUOTE_LENGTH = 3;
+const MAX_QUOTE_LENGTH = 500;
+
+const ANALYSIS_MODES = ['labels', 'big_five', 'emotions'];
+const BIG_FIVE_DIMENSIONS = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+const MAX_RATIONALE_LENGTH = 300;
+
+// Plutchik's eight basic emotions, scored 0-1 in emotions mode
+const EMOTIONS = ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'trust', 'anticipation'];
+// Below this intensity no emotion counts as dominant
+const DOMINANT_EMOTION_THRESHOLD = 0.2;
+// Sentiment each emotion falls back to when the taxonomy has no label for the emotion itself
+const EMOTION_SENTIMENTS = {
+  joy: 'Positive', trust: 'Positive', sadness: 'Sad', anger: 'Angry',
+  fear: 'Anxious', disgust: 'Negative', surprise: 'Excited', anticipation: 'Excited'
+};
+
+// What the sentiment evidence is about, in the language of each analysis template ("sentiment" is the JSON key)
+const EVIDENCE_SUBJECTS = {
+  analysis: { labels: 'sentiment', emotions: 'overall emotional tone ("sentiment")' },
+  'analysis-es': { labels: 'sentimiento ("sentiment")', emotions: 'tono emocional general ("sentiment")' },
+  'analysis-hi': { labels: 'भावना ("sentiment")', emotions: 'समग्र भावनात्मक स्वर ("sentiment")' }
+};
+
 /**
  * Analysis Service - Text sentiment and personality analysis using Ollama
  */
 class AnalysisService {
   constructor() {
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
     this.model = process.env.OLLAMA_MODEL || 'llama3.1:8b';
-    this.timeout = parseInt(process.env.OLLAMA_TIMEOUT || '30000', 10);
+    // Re-prompts with the validation error before falling back to a best-effort result
+    this.repairAttempts = parseInt(process.env.ANALYSIS_REPAIR_ATTEMPTS || '2', 10);
+    this.modes = ANALYSIS_MODES;
+    this.bigFiveDimensions = BIG_FIVE_DIMENSIONS;
+    this.emotions = EMOTIONS;
+    this.maxTextLength = MAX_TEXT_LENGTH;
+    this.chunkSize = Math.min(parseInt(process.env.ANALYSIS_CHUNK_SIZE || '3500', 10), MAX_TEXT_LENGTH);
+    this.chunkOverlap = Math.min(parseInt(process.env.ANALYSIS_CHUNK_OVERLAP || '300', 10), Math.floor(this.chunkSize / 2));
+    this.maxEnsembleMembers = MAX_ENSEMBLE_MEMBERS;
+    // Repeated samples from one model need some randomness to differ
+    this.ensembleTemperature = parseFloat(process.env.ANALYSIS_ENSEMBLE_TEMPERATURE || '0.8');
+    // Analyses with a measured confidence_score below this are flagged needs_review
+    this.reviewThreshold = parseFloat(process.env.ANALYSIS_REVIEW_THRESHOLD || '0.6');
   }
 
   /**
    * Analyze text for sentiment and personality traits with optional RAG context
    * @param {string} text - Text to analyze
    * @param {string} context - Optional RAG context from past memories
-   * @returns {Promise<Object>} Analysis result with sentiment and personality_traits
+   * @param {Object} options - Analysis options
+   * @param {Object} options.taxonomy - Sentiment/trait vocabulary (default: the built-in taxonomy)
+   * @param {string} options.model - Model to run on (default: OLLAMA_MODEL); callers validate it
+   * @param {number} options.temperature - Sampling temperature (default: 0.3)
+   * @param {boolean} options.includeRaw - Also return the model's last raw output as raw_output
+   * @param {Object} options.prompts - Prompt templates from promptService.getActivePrompts (default: latest versions)
+   * @param {Object} options.language - Language of the text from languageService (default: detected); picks
+   *   the language's own analysis prompt (e.g. analysis-hi) when there is one. Labels are always the taxonomy's
+   * @param {string} options.mode - 'labels' (default), 'big_five' (adds 0-1 OCEAN scores with rationales)
+   *   or 'emotions' (0-1 intensity per emotion plus valence/arousal; sentiment is derived from the dominant emotion)
+   * @returns {Promise<Object>} Analysis result with sentiment, personality_traits, confidence,
+   *   evidence { sentiment: [{ quote, start, end }], traits: { <trait>: [...] }, rejected_quotes },
+   *   mode, big_five (big_five mode), emotions/valence/arousal/dominant_emotion (emotions mode),
+   *   taxonomy { id, version }, language { code, name, source, confidence, mixed, languages }, prompt_name and
+   *   prompt_version (of the analysis template), model_used, repairs (re-prompts needed) and fallback (true if the output never validated)
    */
-  async analyzeText(text, context = '') {
+  async analyzeText(text, context = '', options = {}) {
     // Validate input
     if (!text || typeof text !== 'string' || text.trim().length === 0) {
       throw new Error('Text is required and must be a non-empty string');
     }
 
-    // Check if text is too long (Ollama context limit)
-    const maxLength = 4000; // Conservative limit for context window
-    if (text.length > maxLength) {
-      throw new Error(`Text too long. Maximum ${maxLength} characters allowed.`);
+    // Check if text is too long (Ollama context limit); use analyzeDocument for longer texts
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Text too long. Maximum ${MAX_TEXT_LENGTH} characters allowed.`);
+    }
+
+    const mode = options.mode || 'labels';
+    if (!ANALYSIS_MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Use one of: ${ANALYSIS_MODES.join(', ')}`);
     }
 
+    const model = options.model || this.model;
     const hasContext = context && context.trim().length > 0;
-    console.log(`[AnalysisService] Analyzing text (${text.length} chars) with ${this.model}${hasContext ? ' [RAG enabled]' : ''}`);
+    console.log(`[AnalysisService] Analyzing text (${text.length} chars) with ${model}${hasContext ? ' [RAG enabled]' : ''}${mode !== 'labels' ? ` [${mode}]` : ''}`);
+
+    const language = options.language || languageService.detect(text);
+    const spec = this._buildOutputSpec(options.taxonomy || taxonomyService.getDefaultTaxonomy(), mode, language);
 
     // Create prompt for structured JSON output (with optional context)
-    const prompt = this._buildAnalysisPrompt(text, context);
+    const template = this._analysisTemplate(options.prompts, language);
+    const prompt = this._buildAnalysisPrompt(text, context, spec, template, language);
 
     try {
-      // Call Ollama API
-      const response = await this._callOllama(prompt);
+      let currentPrompt = prompt;
+      let response = '';
+
+      for (let attempt = 0; attempt <= this.repairAttempts; attempt++) {
+        // Call the LLM
+        response = await this._callLLM(currentPrompt, spec, model, options.temperature);
 
-      // Parse and validate response
-      const analysis = this._parseAnalysisResponse(response);
+        // Parse and validate response; on failure, ask the model to fix its own output
+        try {
+          const analysis = this._parseAnalysisResponse(response, spec, text);
 
-      console.log(`[AnalysisService] Analysis complete: ${analysis.sentiment}`);
-      return analysis;
+          console.log(`[AnalysisService] Analysis complete: ${analysis.sentiment}${attempt > 0 ? ` (after ${attempt} repair(s))` : ''}`);
+          return {
+            ...analysis, mode: mode, taxonomy: spec.taxonomy, language: language, prompt_name: template.name, prompt_version: template.version,
+            model_used: model, repairs: attempt, fallback: false,
+            ...(options.includeRaw ? { raw_output: response } : {})
+          };
+
+        } catch (validationError) {
+          console.warn(`[AnalysisService] Invalid output (attempt ${attempt + 1}/${this.repairAttempts + 1}): ${validationError.message}`);
+          currentPrompt = this._buildRepairPrompt(prompt, response, validationError.message);
+        }
+      }
+
+      const analysis = this._fallbackAnalysis(response, spec);
+      console.warn(`[AnalysisService] Using fallback analysis: ${analysis.sentiment} / ${analysis.personality_traits.join(', ') || 'no traits'}`);
+      return {
+        ...analysis, mode: mode, taxonomy: spec.taxonomy, language: language, prompt_name: template.name, prompt_version: template.version,
+        model_used: model, repairs: this.repairAttempts, fallback: true,
+        ...(options.includeRaw ? { raw_output: response } : {})
+      };
 
     } catch (error) {
       console.error(`[AnalysisService] Analysis failed:`, error.message);
@@ -49,109 +147,765 @@ class AnalysisService {
   }
 
   /**
-   * Build analysis prompt with strict JSON output instructions and optional RAG context
-   * @private
+   * Analyze text with an ensemble: several models, several samples of one
+   * model, or both
+   * Members run sequentially. Sentiment is a majority vote, traits are those
+   * most members chose and scores are averaged. Confidence is measured from how
+   * stable the members' answers are (sentiment agreement averaged with trait
+   * stability) rather than taken from the models themselves. Several samples of
+   * one model make this a self-consistency check.
+   * @param {string} text - Text to analyze (up to maxTextLength characters)
+   * @param {string} context - Optional RAG context, shared by every member
+   * @param {Object} options - Analysis options (see analyzeText)
+   * @param {Object} options.ensemble - { models, samples }: validated model names and samples per model;
+   *   with more than one sample, members run at ensembleTemperature so they can differ
+   * @returns {Promise<Object>} Same shape as analyzeText plus agreement, confidence_score (0-1),
+   *   needs_review (confidence_score below reviewThreshold) and
+   *   ensemble { models, samples, agreement, trait_stability, sentiment_votes, trait_frequency,
+   *   members: [{ model, sample, sentiment, personality_traits, confidence, fallback, raw_output } | { model, sample, error }] }
    */
-  _buildAnalysisPrompt(text, context = '') {
-    const basePrompt = `You are a psychological text analyzer. Analyze the following text and respond ONLY with valid JSON (no markdown, no explanations).`;
+  async analyzeEnsemble(text, context = '', options = {}) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Text is required and must be a non-empty string');
+    }
 
-    const contextSection = context ? `
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Text too long. Maximum ${MAX_TEXT_LENGTH} characters allowed.`);
+    }
 
-${context}
+    const { models, samples = 1 } = options.ensemble || {};
+    if (!Array.isArray(models) || models.length === 0 || !Number.isInteger(samples) || samples < 1) {
+      throw new Error('Invalid ensemble: expected { models: [...], samples: <positive integer> }');
+    }
+    if (models.length * samples > MAX_ENSEMBLE_MEMBERS) {
+      throw new Error(`Invalid ensemble: at most ${MAX_ENSEMBLE_MEMBERS} members (models x samples)`);
+    }
 
-Use the past context above to provide more personalized and consistent analysis. Consider patterns and changes over time.` : '';
+    const mode = options.mode || 'labels';
+    if (!ANALYSIS_MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Use one of: ${ANALYSIS_MODES.join(', ')}`);
+    }
 
-    return `${basePrompt}${contextSection}
+    const spec = this._buildOutputSpec(options.taxonomy || taxonomyService.getDefaultTaxonomy(), mode);
+    const memberOptions = {
+      ...options,
+      // Detected once for every member
+      language: options.language || languageService.detect(text),
+      temperature: samples > 1 ? this.ensembleTemperature : undefined,
+      includeRaw: true
+    };
 
-Text to analyze:
-"""
-${text}
-"""
+    console.log(`[AnalysisService] Ensemble analysis: ${models.join(', ')} x ${samples} sample(s)`);
 
-Respond with this exact JSON structure:
-{
-  "sentiment": "<one of: Positive, Negative, Neutral, Anxious, Sad, Angry, Excited>",
-  "personality_traits": ["<trait1>", "<trait2>", "<trait3>"]
-}
+    // Sequential, like batchAnalyze; one failing model doesn't sink the others
+    const members = [];
+    for (const model of models) {
+      for (let sample = 0; sample < samples; sample++) {
+        try {
+          members.push({ model, sample, analysis: await this.analyzeText(text, context, { ...memberOptions, model }) });
+        } catch (error) {
+          console.warn(`[AnalysisService] Ensemble member ${model}#${sample + 1} failed: ${error.message}`);
+          members.push({ model, sample, error: error.message });
+        }
+      }
+    }
+
+    const answered = members.filter(member => member.analysis);
+    if (answered.length === 0) {
+      throw new Error(`Text analysis failed: every ensemble member failed (${members[0].error.replace(/^Text analysis failed: /, '')})`);
+    }
+
+    const parts = answered.map(member => ({ analysis: member.analysis, weight: 1, offset: 0 }));
+    const combined = this._combineAnalyses(parts, spec);
+
+    const valid = answered.filter(member => !member.analysis.fallback);
+    const voters = valid.length > 0 ? valid : answered;
+
+    // Self-reported confidence is mostly the model's default; stability is measured
+    const traitStability = this._traitStability(voters.map(member => member.analysis.personality_traits));
+    const confidenceScore = combined.fallback ? 0 : Math.round((combined.agreement + traitStability) / 2 * 1000) / 1000;
+    combined.confidence = this._agreementConfidence(confidenceScore);
+    const sentimentVotes = {};
+    const traitFrequency = {};
+    voters.forEach(member => {
+      sentimentVotes[member.analysis.sentiment] = (sentimentVotes[member.analysis.sentiment] || 0) + 1;
+      member.analysis.personality_traits.forEach(trait => {
+        traitFrequency[trait] = (traitFrequency[trait] || 0) + 1;
+      });
+    });
+    Object.keys(traitFrequency).forEach(trait => {
+      traitFrequency[trait] = Math.round(traitFrequency[trait] / voters.length * 1000) / 1000;
+    });
+
+    // Traits at least half the members chose (the top two regardless), most frequent first
+    combined.personality_traits = Object.keys(traitFrequency)
+      .sort((a, b) => traitFrequency[b] - traitFrequency[a])
+      .filter((trait, index) => index < 2 || traitFrequency[trait] >= 0.5)
+      .slice(0, MAX_COMBINED_TRAITS);
+    combined.evidence = this._combineEvidence(parts.filter(part => voters.some(member => member.analysis === part.analysis)), combined);
+
+    console.log(`[AnalysisService] Ensemble of ${answered.length}/${members.length}: ${combined.sentiment} (confidence ${confidenceScore})`);
+    return {
+      ...combined,
+      confidence_score: confidenceScore,
+      needs_review: confidenceScore < this.reviewThreshold,
+      mode: mode,
+      taxonomy: spec.taxonomy,
+      language: answered[0].analysis.language,
+      prompt_name: answered[0].analysis.prompt_name,
+      prompt_version: answered[0].analysis.prompt_version,
+      model_used: models.join('+'),
+      ensemble: {
+        models: models,
+        samples: samples,
+        agreement: combined.agreement,
+        trait_stability: traitStability,
+        sentiment_votes: sentimentVotes,
+        trait_frequency: traitFrequency,
+        members: members.map(member => this._ensembleMember(member))
+      }
+    };
+  }
+
+  /**
+   * Analyze a text of any length (map-reduce)
+   * Texts within the model limit go straight to analyzeText. Longer ones are
+   * split into overlapping chunks, each chunk is analyzed with the same context
+   * and options, and the chunk results are combined into one document-level
+   * analysis: length-weighted sentiment vote and trait frequency, averaged scores.
+   * @param {string} text - Text to analyze (up to 100k characters)
+   * @param {string} context - Optional RAG context, shared by every chunk
+   * Results are cached by text, model, ensemble, prompt version, taxonomy, mode and
+   * language, and by the user and the RAG context: results built from one user's memories
+   * are never served to another, and new memories lead to a fresh analysis.
+   * @param {Object} options - Analysis options (see analyzeText); with options.ensemble
+   *   every chunk is analyzed by the ensemble (see analyzeEnsemble)
+   * @param {string} options.userId - User the analysis is for (part of the cache key)
+   * @param {boolean} options.bypassCache - true analyzes even if a result is cached (the new result replaces it)
+   * @returns {Promise<Object>} Same shape as analyzeText plus chunks: null for a single
+   *   chunk, else [{ index, start, end, text, analysis, error? }], agreement (share of text
+   *   that agrees with the combined sentiment), chunks_failed (chunks whose analysis threw;
+   *   they keep the error and are left out of the result, which fails only if every chunk did)
+   *   and cached (true if it came from the cache).
+   *   Ensembles add confidence_score, needs_review and ensemble (for chunked texts
+   *   { models, samples, agreement, trait_stability }, with the members on each chunk's analysis)
+   */
+  async analyzeDocument(text, context = '', options = {}) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Text is required and must be a non-empty string');
+    }
+
+    if (text.length > MAX_DOCUMENT_LENGTH) {
+      throw new Error(`Text too long. Maximum ${MAX_DOCUMENT_LENGTH} characters allowed.`);
+    }
+
+    // The whole document's language applies to every chunk
+    const documentOptions = { ...options, language: options.language || languageService.detect(text) };
+
+    const cacheKey = this._cacheKey(text, context, documentOptions);
+    if (options.bypassCache !== true) {
+      const cached = await cacheService.get('analyses', cacheKey);
+      if (cached) {
+        console.log(`[AnalysisService] Cached analysis (${text.length} chars): ${cached.sentiment}`);
+        return { ...cached, cached: true };
+      }
+    }
 
-Personality traits should be from: Assertive, Curious, Empathetic, Analytical, Creative, Cautious, Confident, Introverted, Extroverted, Optimistic, Pessimistic, Thoughtful, Impulsive, Reserved, Expressive.
+    const result = await this._analyzeChunks(text, context, documentOptions);
 
-Select 2-4 most prominent traits. Respond ONLY with the JSON object, nothing else.`;
+    // A fallback may validate, and a failed chunk succeed, on the next try
+    if (!result.fallback && !result.chunks_failed) {
+      await cacheService.set('analyses', cacheKey, result);
+    }
+    return { ...result, cached: false };
   }
 
   /**
-   * Call Ollama API
+   * analyzeDocument without the cache
    * @private
    */
-  async _callOllama(prompt) {
-    const url = `${this.ollamaUrl}/api/generate`;
-    
-    const payload = {
-      model: this.model,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: 0.3, // Lower temperature for more consistent JSON
-        top_p: 0.9,
-        num_predict: 200 // Limit response length
+  async _analyzeChunks(text, context, options) {
+    const analyze = (piece) => (options.ensemble
+      ? this.analyzeEnsemble(piece, context, options)
+      : this.analyzeText(piece, context, options));
+
+    if (text.length <= MAX_TEXT_LENGTH) {
+      return { ...(await analyze(text)), chunks: null };
+    }
+
+    const mode = options.mode || 'labels';
+    if (!ANALYSIS_MODES.includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}. Use one of: ${ANALYSIS_MODES.join(', ')}`);
+    }
+
+    const spec = this._buildOutputSpec(options.taxonomy || taxonomyService.getDefaultTaxonomy(), mode);
+    const chunks = this.splitText(text).filter(chunk => chunk.text.trim().length > 0);
+
+    console.log(`[AnalysisService] Analyzing long text (${text.length} chars) in ${chunks.length} chunks`);
+
+    // Sequential, like batchAnalyze, to avoid overwhelming the model server.
+    // A chunk that fails is kept with its error and a fallback analysis, which the vote leaves out.
+    for (const chunk of chunks) {
+      try {
+        chunk.analysis = await analyze(chunk.text);
+      } catch (error) {
+        console.error(`[AnalysisService] Chunk ${chunk.index + 1} of ${chunks.length} failed: ${error.message}`);
+        chunk.error = error.message;
+        chunk.analysis = { ...this._fallbackAnalysis('', spec), repairs: 0, fallback: true };
       }
+    }
+
+    const analyzed = chunks.filter(chunk => !chunk.error);
+    if (analyzed.length === 0) {
+      throw new Error(`${chunks[0].error} (all ${chunks.length} chunks failed)`);
+    }
+
+    const combined = this._combineAnalyses(
+      chunks.map(chunk => ({ analysis: chunk.analysis, weight: chunk.end - chunk.start, offset: chunk.start })),
+      spec
+    );
+
+    console.log(`[AnalysisService] Combined ${analyzed.length} of ${chunks.length} chunks: ${combined.sentiment} (agreement ${combined.agreement})`);
+    return {
+      ...combined,
+      mode: mode,
+      taxonomy: spec.taxonomy,
+      language: options.language,
+      prompt_name: analyzed[0].analysis.prompt_name,
+      prompt_version: analyzed[0].analysis.prompt_version,
+      model_used: analyzed[0].analysis.model_used,
+      ...(options.ensemble ? this._combineEnsembleChunks(analyzed, options.ensemble) : {}),
+      chunks_failed: chunks.length - analyzed.length,
+      chunks: chunks
     };
+  }
 
-    console.log(`[AnalysisService] Calling Ollama at ${url}`);
+  /**
+   * Split a text into overlapping chunks of at most chunkSize characters
+   * Chunks end at a paragraph, sentence or word boundary when one falls in
+   * their last third, and the next chunk starts about chunkOverlap characters
+   * earlier, at the start of a word.
+   * @param {string} text - Text to split
+   * @returns {Array<Object>} [{ index, start, end, text }] with offsets into text
+   */
+  splitText(text) {
+    const chunks = [];
+    let start = 0;
 
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    while (start < text.length) {
+      let end = Math.min(start + this.chunkSize, text.length);
+      if (end < text.length) {
+        end = this._breakPoint(text, start, end);
+      }
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
+      chunks.push({ index: chunks.length, start: start, end: end, text: text.slice(start, end) });
+      if (end >= text.length) {
+        break;
+      }
+
+      let next = end - this.chunkOverlap;
+      const boundary = text.slice(next, end).search(/\s/);
+      if (boundary !== -1) {
+        next += boundary + 1;
+      }
+      start = Math.max(next, start + 1);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Best place to end a chunk: the last paragraph break, sentence end or
+   * whitespace in the window's last third (in that order of preference)
+   * @private
+   */
+  _breakPoint(text, start, end) {
+    const from = start + Math.floor((end - start) * 2 / 3);
+    const window = text.slice(from, end);
+
+    for (const pattern of [/\n\s*\n/g, /[.!?]["')\]]?\s/g, /\s/g]) {
+      let last = -1;
+      let match;
+      while ((match = pattern.exec(window)) !== null) {
+        last = match.index + match[0].length;
+      }
+      if (last > 0) {
+        return from + last;
+      }
+    }
+
+    return end;
+  }
+
+  /**
+   * Reduce several analyses into one: chunks of a document (weighted by length)
+   * or ensemble members (equal weights)
+   * Each part is { analysis, weight, offset } where offset shifts its evidence
+   * into the combined text. Fallback parts only count when every part fell back.
+   * @private
+   */
+  _combineAnalyses(parts, spec) {
+    const valid = parts.filter(part => !part.analysis.fallback);
+    const voters = valid.length > 0 ? valid : parts;
+    const weight = part => part.weight;
+    const totalWeight = voters.reduce((sum, part) => sum + weight(part), 0);
+
+    const tally = (values) => {
+      const counts = new Map();
+      values.forEach(({ value, weight: w }) => counts.set(value, (counts.get(value) || 0) + w));
+      return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    };
+    const weightedMean = (read) => {
+      const scored = voters.filter(part => typeof read(part.analysis) === 'number');
+      const scoredWeight = scored.reduce((sum, part) => sum + weight(part), 0);
+      return scored.length > 0
+        ? Math.round(scored.reduce((sum, part) => sum + read(part.analysis) * weight(part), 0) / scoredWeight * 1000) / 1000
+        : null;
+    };
+
+    const combined = {};
+
+    if (spec.mode === 'emotions' && voters.some(part => part.analysis.emotions)) {
+      combined.emotions = {};
+      EMOTIONS.forEach(emotion => {
+        combined.emotions[emotion] = weightedMean(analysis => analysis.emotions && analysis.emotions[emotion]);
       });
+      combined.valence = weightedMean(analysis => analysis.valence);
+      combined.arousal = weightedMean(analysis => analysis.arousal);
+      combined.dominant_emotion = this._dominantEmotion(combined.emotions);
+      combined.sentiment = this._sentimentForEmotion(combined.dominant_emotion, spec);
+    } else {
+      if (spec.mode === 'emotions') {
+        Object.assign(combined, { emotions: null, valence: null, arousal: null, dominant_emotion: null });
+      }
+      combined.sentiment = tally(voters.map(part => ({ value: part.analysis.sentiment, weight: weight(part) })))[0][0];
+    }
+
+    const agreeing = voters
+      .filter(part => part.analysis.sentiment === combined.sentiment)
+      .reduce((sum, part) => sum + weight(part), 0);
+    const agreement = Math.round(agreeing / totalWeight * 1000) / 1000;
+
+    combined.personality_traits = tally(voters.flatMap(part =>
+      part.analysis.personality_traits.map(trait => ({ value: trait, weight: weight(part) }))
+    )).slice(0, MAX_COMBINED_TRAITS).map(([trait]) => trait);
+
+    // The combined result is no more confident than its parts, nor than their agreement
+    const partConfidence = tally(voters.map(part => ({ value: part.analysis.confidence, weight: weight(part) })))[0][0];
+    const agreementConfidence = this._agreementConfidence(agreement);
+    combined.confidence = valid.length === 0
+      ? 'low'
+      : CONFIDENCE_LEVELS[Math.min(CONFIDENCE_LEVELS.indexOf(partConfidence), CONFIDENCE_LEVELS.indexOf(agreementConfidence))];
 
-      clearTimeout(timeoutId);
+    if (spec.mode === 'big_five') {
+      const scored = voters.filter(part => part.analysis.big_five);
+      combined.big_five = scored.length === 0 ? null : {};
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Ollama API error (${response.status}): ${errorText}`);
+      if (scored.length > 0) {
+        BIG_FIVE_DIMENSIONS.forEach(dimension => {
+          const score = weightedMean(analysis => analysis.big_five && analysis.big_five[dimension].score);
+          // Keep the rationale of the part that scored closest to the combined score
+          const closest = scored.reduce((best, part) =>
+            Math.abs(part.analysis.big_five[dimension].score - score) < Math.abs(best.analysis.big_five[dimension].score - score) ? part : best
+          );
+          combined.big_five[dimension] = { score: score, rationale: closest.analysis.big_five[dimension].rationale };
+        });
       }
+    }
+
+    combined.evidence = this._combineEvidence(voters, combined);
+
+    return {
+      ...combined,
+      agreement: agreement,
+      repairs: parts.reduce((sum, part) => sum + part.analysis.repairs, 0),
+      fallback: valid.length === 0
+    };
+  }
 
-      const data = await response.json();
+  /**
+   * Document-level ensemble fields of a chunked text: the chunks' scores
+   * averaged by length, and flagged if any chunk needs review
+   * @private
+   */
+  _combineEnsembleChunks(chunks, ensemble) {
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.end - chunk.start, 0);
+    const mean = (read) => Math.round(chunks.reduce((sum, chunk) => sum + read(chunk.analysis) * (chunk.end - chunk.start), 0) / totalLength * 1000) / 1000;
+    const confidenceScore = mean(analysis => analysis.confidence_score);
 
-      if (!data.response) {
-        throw new Error('Ollama returned empty response');
+    return {
+      confidence: this._agreementConfidence(confidenceScore),
+      confidence_score: confidenceScore,
+      needs_review: confidenceScore < this.reviewThreshold || chunks.some(chunk => chunk.analysis.needs_review),
+      ensemble: {
+        models: ensemble.models,
+        samples: ensemble.samples || 1,
+        agreement: mean(analysis => analysis.ensemble.agreement),
+        trait_stability: mean(analysis => analysis.ensemble.trait_stability)
       }
+    };
+  }
 
-      return data.response;
+  /**
+   * How alike the members' trait sets are: mean pairwise Jaccard similarity
+   * (1 when every member picked the same traits)
+   * @private
+   */
+  _traitStability(traitSets) {
+    if (traitSets.length < 2) {
+      return 1;
+    }
 
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Ollama request timeout (${this.timeout}ms exceeded)`);
+    let total = 0;
+    let pairs = 0;
+    for (let i = 0; i < traitSets.length; i++) {
+      for (let j = i + 1; j < traitSets.length; j++) {
+        const union = new Set([...traitSets[i], ...traitSets[j]]);
+        const shared = traitSets[i].filter(trait => traitSets[j].includes(trait)).length;
+        total += union.size > 0 ? shared / union.size : 1;
+        pairs++;
       }
-      
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to Ollama at ${this.ollamaUrl}. Is Ollama running?`);
+    }
+
+    return Math.round(total / pairs * 1000) / 1000;
+  }
+
+  /**
+   * Confidence level for an agreement or consistency score
+   * @private
+   */
+  _agreementConfidence(agreement) {
+    return agreement >= 0.75 ? 'high' : agreement >= 0.5 ? 'medium' : 'low';
+  }
+
+  /**
+   * What an ensemble keeps of each member: its labels and raw output, or its error
+   * @private
+   */
+  _ensembleMember(member) {
+    if (member.error) {
+      return { model: member.model, sample: member.sample, error: member.error };
+    }
+
+    const { analysis } = member;
+    return {
+      model: member.model,
+      sample: member.sample,
+      sentiment: analysis.sentiment,
+      personality_traits: analysis.personality_traits,
+      confidence: analysis.confidence,
+      ...(analysis.big_five !== undefined ? { big_five: analysis.big_five } : {}),
+      ...(analysis.emotions !== undefined ? { emotions: analysis.emotions, valence: analysis.valence, arousal: analysis.arousal } : {}),
+      repairs: analysis.repairs,
+      fallback: analysis.fallback,
+      raw_output: analysis.raw_output
+    };
+  }
+
+  /**
+   * Evidence for the combined labels, from the parts that agree with them,
+   * with offsets shifted from the part to the whole text
+   * @private
+   */
+  _combineEvidence(parts, combined) {
+    const evidence = { sentiment: [], traits: {}, rejected_quotes: 0 };
+    const add = (spans, list, offset) => {
+      spans.forEach(span => {
+        const shifted = { quote: span.quote, start: span.start + offset, end: span.end + offset };
+        // Overlapping parts can quote the same passage
+        if (list.length < MAX_EVIDENCE_PER_LABEL && !list.some(existing => existing.start === shifted.start)) {
+          list.push(shifted);
+        }
+      });
+      return list;
+    };
+
+    parts.forEach(part => {
+      const partEvidence = part.analysis.evidence;
+      evidence.rejected_quotes += partEvidence.rejected_quotes;
+
+      if (part.analysis.sentiment === combined.sentiment) {
+        add(partEvidence.sentiment, evidence.sentiment, part.offset);
       }
+      combined.personality_traits.forEach(trait => {
+        if (partEvidence.traits[trait]) {
+          evidence.traits[trait] = add(partEvidence.traits[trait], evidence.traits[trait] || [], part.offset);
+        }
+      });
+    });
+
+    return evidence;
+  }
+
+  /**
+   * The analysis prompt for a language: its own variant if there is one (mixed texts use the default)
+   * @private
+   */
+  _analysisTemplate(prompts, language) {
+    return promptService.resolve(prompts, language.mixed ? 'analysis' : promptService.localize('analysis', language.code));
+  }
+
+  /**
+   * Cache key of an analyzeDocument result: the text, its user and everything that shapes the prompt or the answer
+   * @private
+   */
+  _cacheKey(text, context, options) {
+    const taxonomy = options.taxonomy || taxonomyService.getDefaultTaxonomy();
+    const template = this._analysisTemplate(options.prompts, options.language);
+
+    return cacheService.key([
+      text,
+      options.userId || null,
+      context || '',
+      options.model || this.model,
+      options.ensemble || null,
+      options.temperature === undefined ? null : options.temperature,
+      `${template.name}@${template.version}`,
+      // Entries rather than the version: descriptions change the prompt without a new version
+      { id: taxonomy.id, sentiments: taxonomy.sentiments, traits: taxonomy.traits },
+      options.mode || 'labels',
+      options.language.mixed ? options.language.languages.map(entry => entry.code) : options.language.code
+    ]);
+  }
+
+  /**
+   * Build analysis prompt with strict JSON output instructions and optional RAG context
+   * @private
+   * @param {Object} template - The "analysis" prompt template (or its variant for the text's language)
+   * @param {Object} language - Language of the text from languageService
+   */
+  _buildAnalysisPrompt(text, context, spec, template, language) {
+    return promptService.render(template, {
+      context: context && context.trim() ? context : '',
+      text: text,
+      structure: this._describeStructure(spec),
+      sentimentMeanings: spec.mode === 'emotions' ? '' : this._describeLabels('Sentiment meanings', spec.taxonomyEntries.sentiments),
+      traits: spec.traits.join(', '),
+      traitMeanings: this._describeLabels('Trait meanings', spec.taxonomyEntries.traits),
+      modeInstructions: this._describeMode(spec),
+      evidenceSubject: (EVIDENCE_SUBJECTS[template.name] || EVIDENCE_SUBJECTS.analysis)[spec.mode === 'emotions' ? 'emotions' : 'labels'],
+      languageNote: template.name === 'analysis' ? this._describeLanguage(language) : ''
+    });
+  }
+
+  /**
+   * Note on the language of a non-English or mixed text, for the default (English) prompt
+   * @private
+   */
+  _describeLanguage(language) {
+    if (!language || !languageService.needsTranslation(language)) {
+      return '';
+    }
+
+    const names = language.mixed
+      ? `mixes ${language.languages.map(entry => languageService.nameOf(entry.code)).join(' and ')}`
+      : `is in ${language.name}`;
+    return `
+The text ${names}. Read it in its own language(s), but write the sentiment and traits exactly as listed above, in English. Quotes stay in the language of the text.`;
+  }
+
+  /**
+   * The JSON structure the model must return, for the prompt
+   * @private
+   */
+  _describeStructure(spec) {
+    const fields = [];
+
+    if (spec.mode !== 'emotions') {
+      fields.push(`  "sentiment": "<one of: ${spec.sentiments.join(', ')}>"`);
+    }
+    fields.push('  "personality_traits": ["<trait1>", "<trait2>", "<trait3>"]');
+
+    if (spec.mode === 'big_five') {
+      fields.push(`  "big_five": {
+${BIG_FIVE_DIMENSIONS.map(dimension => `    "${dimension}": { "score": <0 to 1>, "rationale": "<one sentence>" }`).join(',\n')}
+  }`);
+    }
+
+    if (spec.mode === 'emotions') {
+      fields.push(`  "emotions": {
+${EMOTIONS.map(emotion => `    "${emotion}": <0 to 1>`).join(',\n')}
+  }`);
+      fields.push('  "valence": <-1 to 1>');
+      fields.push('  "arousal": <0 to 1>');
+    }
+
+    fields.push(`  "evidence": {
+    "sentiment": ["<short quote copied exactly from the text>"],
+    "traits": { "<trait1>": ["<short quote copied exactly from the text>"] }
+  }`);
+
+    return `{\n${fields.join(',\n')}\n}`;
+  }
+
+  /**
+   * Extra scoring instructions for the non-default modes
+   * @private
+   */
+  _describeMode(spec) {
+    if (spec.mode === 'big_five') {
+      return `
+Score each Big Five (OCEAN) dimension from 0 (very low) to 1 (very high) based only on evidence in the text (use 0.5 when the text says nothing about it), and justify each score in one short sentence.
+`;
+    }
 
-      throw error;
+    if (spec.mode === 'emotions') {
+      return `
+Rate the intensity of every emotion from 0 (absent) to 1 (very strong). Several emotions can be present at once (e.g. excited but anxious). Valence runs from -1 (very unpleasant) to 1 (very pleasant); arousal from 0 (calm) to 1 (highly activated).
+`;
     }
+
+    return '';
+  }
+
+  /**
+   * Call the LLM
+   * @private
+   */
+  async _callLLM(prompt, spec, model, temperature = 0.3) {
+    return llmService.generate(prompt, {
+      model: model,
+      temperature: temperature, // Low by default for more consistent JSON
+      topP: 0.9,
+      maxTokens: spec.maxTokens, // Limit response length
+      format: spec.schema, // Constrain decoding to the analysis JSON schema
+      caller: 'AnalysisService'
+    });
+  }
+
+  /**
+   * Everything the prompt, output schema and validation need for one request:
+   * the taxonomy flattened into label lists and synonym maps, plus the mode.
+   * With a language, translated names of the labels map back to them too.
+   * @private
+   */
+  _buildOutputSpec(taxonomy, mode, language = null) {
+    const synonymsOf = (list) => {
+      const map = {};
+      list.forEach(entry => (entry.synonyms || []).forEach(synonym => {
+        map[synonym.toLowerCase()] = entry.label;
+      }));
+      return map;
+    };
+
+    const sentiments = taxonomy.sentiments.map(entry => entry.label);
+    const traits = taxonomy.traits.map(entry => entry.label);
+
+    // The taxonomy's own synonyms win over translations
+    const translated = language ? languageService.labelSynonyms(language) : {};
+    const translationsOf = (labels) => Object.fromEntries(Object.entries(translated).filter(([, label]) => labels.includes(label)));
+
+    const schema = {
+      type: 'object',
+      properties: {
+        sentiment: { type: 'string', enum: sentiments },
+        personality_traits: {
+          type: 'array',
+          items: { type: 'string', enum: traits },
+          minItems: 2,
+          maxItems: 4
+        },
+        confidence: { type: 'string', enum: CONFIDENCE_LEVELS },
+        evidence: {
+          type: 'object',
+          properties: {
+            sentiment: { type: 'array', items: { type: 'string' } },
+            traits: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+          },
+          required: ['sentiment', 'traits']
+        }
+      },
+      required: ['sentiment', 'personality_traits', 'evidence']
+    };
+
+    if (mode === 'emotions') {
+      delete schema.properties.sentiment;
+      schema.required = ['personality_traits', 'emotions', 'valence', 'arousal', 'evidence'];
+      schema.properties.emotions = {
+        type: 'object',
+        properties: Object.fromEntries(EMOTIONS.map(emotion => [emotion, { type: 'number', minimum: 0, maximum: 1 }])),
+        required: EMOTIONS
+      };
+      schema.properties.valence = { type: 'number', minimum: -1, maximum: 1 };
+      schema.properties.arousal = { type: 'number', minimum: 0, maximum: 1 };
+    }
+
+    if (mode === 'big_five') {
+      const dimensionSchema = {
+        type: 'object',
+        properties: {
+          score: { type: 'number', minimum: 0, maximum: 1 },
+          rationale: { type: 'string' }
+        },
+        required: ['score', 'rationale']
+      };
+      schema.properties.big_five = {
+        type: 'object',
+        properties: Object.fromEntries(BIG_FIVE_DIMENSIONS.map(dimension => [dimension, dimensionSchema])),
+        required: BIG_FIVE_DIMENSIONS
+      };
+      schema.required.push('big_five');
+    }
+
+    return {
+      mode: mode,
+      // Evidence quotes take most of the budget on top of the labels and scores
+      maxTokens: { big_five: 1000, emotions: 600 }[mode] || 500,
+      taxonomy: { id: taxonomy.id, version: taxonomy.version },
+      taxonomyEntries: { sentiments: taxonomy.sentiments, traits: taxonomy.traits },
+      sentiments: sentiments,
+      traits: traits,
+      sentimentSynonyms: { ...translationsOf(sentiments), ...synonymsOf(taxonomy.sentiments) },
+      traitSynonyms: { ...translationsOf(traits), ...synonymsOf(taxonomy.traits) },
+      // JSON schema passed to the LLM as its output format
+      schema: schema
+    };
+  }
+
+  /**
+   * "Label: description" lines for labels that have a description
+   * @private
+   */
+  _describeLabels(heading, entries) {
+    const described = entries.filter(entry => entry.description);
+    if (described.length === 0) {
+      return '';
+    }
+
+    return `
+${heading}:
+${described.map(entry => `- ${entry.label}: ${entry.description}`).join('\n')}
+`;
+  }
+
+  /**
+   * Re-prompt with the rejected output and the reason it was rejected
+   * @private
+   */
+  _buildRepairPrompt(prompt, response, error) {
+    return `${prompt}
+
+Your previous reply was:
+${response.substring(0, 1000)}
+
+It was rejected because: ${error}
+Reply again with ONLY the corrected JSON object.`;
   }
 
   /**
    * Parse and validate Ollama response
+   * Off-list labels are mapped to the closest allowed one; anything that cannot
+   * be mapped throws with a message suitable for a repair prompt.
    * @private
    */
-  _parseAnalysisResponse(response) {
+  _parseAnalysisResponse(response, spec, text) {
     // Clean response - remove markdown code blocks if present
     let cleaned = response.trim();
-    
+
     // Remove markdown JSON blocks
     cleaned = cleaned.replace(/```json\s*/g, '');
     cleaned = cleaned.replace(/```\s*/g, '');
-    
+
     // Extract JSON if there's extra text
     const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
@@ -163,69 +917,392 @@ Select 2-4 most prominent traits. Respond ONLY with the JSON object, nothing els
     try {
       parsed = JSON.parse(cleaned);
     } catch (error) {
-      console.error('[AnalysisService] Failed to parse JSON:', cleaned);
-      throw new Error('LLM did not return valid JSON. Please try again.');
+      throw new Error(`Output is not valid JSON (${error.message})`);
     }
 
     // Validate structure
-    if (!parsed.sentiment || !Array.isArray(parsed.personality_traits)) {
-      throw new Error('Invalid analysis format. Missing required fields.');
+    const emotionMode = spec.mode === 'emotions';
+    if (!parsed || !Array.isArray(parsed.personality_traits) || (!emotionMode && typeof parsed.sentiment !== 'string')) {
+      throw new Error(emotionMode
+        ? '"personality_traits" (array) is required'
+        : '"sentiment" (string) and "personality_traits" (array) are required');
     }
 
-    // Validate sentiment
-    const validSentiments = [
-      'Positive', 'Negative', 'Neutral', 'Anxious', 
-      'Sad', 'Angry', 'Excited'
-    ];
-    
-    if (!validSentiments.includes(parsed.sentiment)) {
-      console.warn(`[AnalysisService] Unexpected sentiment: ${parsed.sentiment}`);
-      // Don't throw, just log warning
+    // Validate sentiment (in emotions mode it is derived from the dominant emotion instead)
+    let sentiment;
+    let emotionFields = null;
+    if (emotionMode) {
+      emotionFields = this._parseEmotions(parsed);
+      sentiment = this._sentimentForEmotion(emotionFields.dominant_emotion, spec);
+    } else {
+      sentiment = this._closestLabel(parsed.sentiment, spec.sentiments, spec.sentimentSynonyms);
+      if (!sentiment) {
+        throw new Error(`Unknown sentiment "${parsed.sentiment}". Use one of: ${spec.sentiments.join(', ')}`);
+      }
+      if (sentiment !== parsed.sentiment) {
+        console.warn(`[AnalysisService] Mapped sentiment "${parsed.sentiment}" to ${sentiment}`);
+      }
     }
 
     // Validate personality traits
-    if (parsed.personality_traits.length === 0) {
-      throw new Error('No personality traits detected');
+    const traits = this._mapTraits(parsed.personality_traits, spec);
+    if (traits.length === 0) {
+      throw new Error(`No recognized personality traits. Use 2-4 of: ${spec.traits.join(', ')}`);
     }
 
-    return {
-      sentiment: parsed.sentiment,
-      personality_traits: parsed.personality_traits,
-      confidence: parsed.confidence || 'medium' // Optional field
+    const analysis = {
+      sentiment: sentiment,
+      personality_traits: traits,
+      confidence: CONFIDENCE_LEVELS.includes(parsed.confidence) ? parsed.confidence : 'medium', // Optional field
+      evidence: this._parseEvidence(parsed.evidence, text, traits, spec)
     };
+
+    if (spec.mode === 'big_five') {
+      analysis.big_five = this._parseBigFive(parsed.big_five);
+    }
+
+    if (emotionMode) {
+      Object.assign(analysis, emotionFields);
+    }
+
+    return analysis;
   }
 
   /**
-   * Check if Ollama is available
-   * @returns {Promise<Object>} Ollama status
+   * Locate evidence quotes in the analyzed text
+   * Quotes that don't occur in the text are dropped and counted in rejected_quotes,
+   * as is evidence for traits that weren't selected. Missing evidence is not an
+   * error, so it never costs a repair round.
+   * @private
    */
-  async checkOllamaStatus() {
-    try {
-      const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-        method: 'GET',
-        signal: AbortSignal.timeout(5000)
+  _parseEvidence(evidence, text, traits, spec) {
+    const result = { sentiment: [], traits: {}, rejected_quotes: 0 };
+    if (!evidence || typeof evidence !== 'object') {
+      return result;
+    }
+
+    const locate = (quotes, spans = []) => {
+      (Array.isArray(quotes) ? quotes : [quotes]).forEach(quote => {
+        const span = typeof quote === 'string' ? this._locateQuote(text, quote) : null;
+        if (!span) {
+          result.rejected_quotes++;
+        } else if (spans.length < MAX_EVIDENCE_PER_LABEL && !spans.some(existing => existing.start === span.start)) {
+          spans.push(span);
+        }
+      });
+      return spans;
+    };
+
+    if (evidence.sentiment) {
+      result.sentiment = locate(evidence.sentiment);
+    }
+
+    if (evidence.traits && typeof evidence.traits === 'object') {
+      Object.keys(evidence.traits).forEach(name => {
+        const trait = this._closestLabel(name, spec.traits, spec.traitSynonyms);
+        if (!trait || !traits.includes(trait)) {
+          result.rejected_quotes += [].concat(evidence.traits[name]).length;
+          return;
+        }
+        result.traits[trait] = locate(evidence.traits[name], result.traits[trait]);
       });
+    }
+
+    return result;
+  }
 
-      if (!response.ok) {
-        throw new Error(`Ollama returned status ${response.status}`);
+  /**
+   * Find a quote in the text: verbatim first, then ignoring case and whitespace
+   * @private
+   * @returns {Object|null} { quote, start, end } with the quote as it appears in the text
+   */
+  _locateQuote(text, quote) {
+    // Models tend to wrap quotes in quotation marks or ellipses
+    const cleaned = quote.trim()
+      .replace(/^["'\u201C\u2018]+|["'\u201D\u2019]+$/g, '')
+      .replace(/^(\.\.\.|\u2026)|(\.\.\.|\u2026)$/g, '')
+      .trim();
+
+    if (cleaned.length < MIN_QUOTE_LENGTH || cleaned.length > MAX_QUOTE_LENGTH) {
+      return null;
+    }
+
+    let start = text.indexOf(cleaned);
+    let end = start + cleaned.length;
+
+    if (start === -1) {
+      const pattern = new RegExp(cleaned.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'i');
+      const match = pattern.exec(text);
+      if (!match) {
+        return null;
       }
+      start = match.index;
+      end = start + match[0].length;
+    }
+
+    return { quote: text.slice(start, end), start: start, end: end };
+  }
 
-      const data = await response.json();
-      const models = data.models || [];
-      const modelAvailable = models.some(m => m.name.includes(this.model.split(':')[0]));
+  /**
+   * Validate emotion intensities, valence and arousal, and pick the dominant emotion
+   * @private
+   */
+  _parseEmotions(parsed) {
+    if (!parsed.emotions || typeof parsed.emotions !== 'object') {
+      throw new Error(`"emotions" is required with ${EMOTIONS.join(', ')}`);
+    }
+
+    const emotions = {};
+    EMOTIONS.forEach(emotion => {
+      emotions[emotion] = this._parseScore(parsed.emotions[emotion], `emotions.${emotion}`, 0, 1);
+    });
+
+    return {
+      emotions: emotions,
+      valence: this._parseScore(parsed.valence, 'valence', -1, 1),
+      arousal: this._parseScore(parsed.arousal, 'arousal', 0, 1),
+      dominant_emotion: this._dominantEmotion(emotions)
+    };
+  }
+
+  /**
+   * Strongest emotion, or null when none reaches the threshold
+   * @private
+   */
+  _dominantEmotion(emotions) {
+    const dominant = EMOTIONS.reduce((best, emotion) => (emotions[emotion] > emotions[best] ? emotion : best), EMOTIONS[0]);
+    return emotions[dominant] >= DOMINANT_EMOTION_THRESHOLD ? dominant : null;
+  }
+
+  /**
+   * Check a numeric score is within range (numeric strings are accepted)
+   * @private
+   */
+  _parseScore(value, name, min, max) {
+    const score = typeof value === 'string' ? parseFloat(value) : value;
+
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < min || score > max) {
+      throw new Error(`${name} must be a number from ${min} to ${max}`);
+    }
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  /**
+   * Legacy sentiment for an emotion: a taxonomy label (or synonym) naming the
+   * emotion itself, else the emotion's usual sentiment if the taxonomy has it,
+   * else the taxonomy's neutral label (so the result is always a taxonomy label).
+   * No dominant emotion = neutral.
+   * @private
+   */
+  _sentimentForEmotion(emotion, spec) {
+    if (!emotion) {
+      return this._neutralLabel(spec);
+    }
+
+    return this._exactLabel(emotion, spec.sentiments, spec.sentimentSynonyms) ||
+      this._exactLabel(EMOTION_SENTIMENTS[emotion].toLowerCase(), spec.sentiments, spec.sentimentSynonyms) ||
+      this._neutralLabel(spec);
+  }
+
+  /**
+   * Validate Big Five scores: every dimension with a 0-1 score and a rationale
+   * @private
+   */
+  _parseBigFive(bigFive) {
+    if (!bigFive || typeof bigFive !== 'object') {
+      throw new Error(`"big_five" is required with ${BIG_FIVE_DIMENSIONS.join(', ')}`);
+    }
+
+    const scores = {};
+    BIG_FIVE_DIMENSIONS.forEach(dimension => {
+      const entry = bigFive[dimension];
+      const score = this._parseScore(entry && entry.score, `big_five.${dimension}.score`, 0, 1);
+
+      scores[dimension] = {
+        score: score,
+        rationale: entry && typeof entry.rationale === 'string'
+          ? entry.rationale.trim().substring(0, MAX_RATIONALE_LENGTH)
+          : ''
+      };
+    });
+
+    return scores;
+  }
+
+  /**
+   * Map traits to allowed labels, dropping unknown ones and duplicates
+   * @private
+   */
+  _mapTraits(traits, spec) {
+    const mapped = [];
+
+    traits.forEach(trait => {
+      const label = this._closestLabel(trait, spec.traits, spec.traitSynonyms);
+      if (!label) {
+        console.warn(`[AnalysisService] Dropped unknown trait "${trait}"`);
+      } else if (!mapped.includes(label)) {
+        if (label !== trait) {
+          console.warn(`[AnalysisService] Mapped trait "${trait}" to ${label}`);
+        }
+        mapped.push(label);
+      }
+    });
+
+    return mapped.slice(0, 4);
+  }
+
+  /**
+   * Best-effort result when the output never validated: pick up any allowed
+   * labels (or known synonyms) mentioned in the raw text
+   * @private
+   */
+  _fallbackAnalysis(response, spec) {
+    const words = String(response || '').toLowerCase().normalize('NFC').match(/\p{L}[\p{L}\p{M}-]*/gu) || [];
+
+    const sentiment = words
+      .map(word => this._exactLabel(word, spec.sentiments, spec.sentimentSynonyms))
+      .find(Boolean) || this._neutralLabel(spec);
+
+    const traits = [...new Set(words
+      .map(word => this._exactLabel(word, spec.traits, spec.traitSynonyms))
+      .filter(Boolean))];
+
+    const analysis = {
+      sentiment: sentiment,
+      personality_traits: traits.slice(0, 4),
+      confidence: 'low',
+      evidence: { sentiment: [], traits: {}, rejected_quotes: 0 }
+    };
+
+    // Scores and evidence can't be recovered from unstructured text
+    if (spec.mode === 'big_five') {
+      analysis.big_five = null;
+    }
+    if (spec.mode === 'emotions') {
+      Object.assign(analysis, { emotions: null, valence: null, arousal: null, dominant_emotion: null });
+    }
+
+    return analysis;
+  }
+
+  /**
+   * Sentiment used when nothing could be recognized: "Neutral" if the taxonomy has it, else its first label
+   * @private
+   */
+  _neutralLabel(spec) {
+    return spec.sentiments.find(label => label.toLowerCase() === 'neutral') || spec.sentiments[0];
+  }
+
+  /**
+   * Find the allowed label closest to a value
+   * Tries an exact (case-insensitive) match, synonyms, each word of a phrase
+   * ("very positive"), a shared stem ("introvert", "creativity") and finally
+   * small typos. Returns null when nothing is close enough.
+   * @private
+   */
+  _closestLabel(value, labels, synonyms) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      return null;
+    }
+
+    const key = value.trim().toLowerCase().normalize('NFC');
+
+    const exact = this._exactLabel(key, labels, synonyms);
+    if (exact) {
+      return exact;
+    }
+
+    const words = key.split(/[^\p{L}\p{M}-]+/u).filter(Boolean);
+    for (const word of words) {
+      const match = this._exactLabel(word, labels, synonyms);
+      if (match) {
+        return match;
+      }
+    }
+
+    const byStem = labels
+      .map(label => ({ label, shared: this._sharedPrefix(label.toLowerCase(), key) }))
+      .filter(candidate => candidate.shared >= 5)
+      .sort((a, b) => b.shared - a.shared)[0];
+    if (byStem) {
+      return byStem.label;
+    }
+
+    const maxDistance = Math.floor(key.length / 4);
+    const byDistance = labels
+      .map(label => ({ label, distance: this._editDistance(label.toLowerCase(), key) }))
+      .filter(candidate => candidate.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    return byDistance ? byDistance.label : null;
+  }
+
+  /**
+   * Exact (case-insensitive) or synonym match
+   * @private
+   */
+  _exactLabel(key, labels, synonyms) {
+    return labels.find(label => label.toLowerCase() === key) || synonyms[key] || null;
+  }
+
+  /**
+   * Length of the common prefix of two strings
+   * @private
+   */
+  _sharedPrefix(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) {
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @private
+   */
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Check if the LLM server is available
+   * @returns {Promise<Object>} LLM server status
+   */
+  async checkOllamaStatus() {
+    try {
+      const models = await llmService.listModels();
+      const modelAvailable = models.some(name => name.includes(this.model.split(':')[0]));
 
       return {
         available: true,
-        url: this.ollamaUrl,
+        provider: llmService.provider,
+        url: llmService.baseUrl,
         model: this.model,
         modelLoaded: modelAvailable,
-        installedModels: models.map(m => m.name)
+        installedModels: models
       };
 
     } catch (error) {
       return {
         available: false,
-        url: this.ollamaUrl,
+        provider: llmService.provider,
+        url: llmService.baseUrl,
         model: this.model,
         error: error.message
       };
@@ -235,9 +1312,10 @@ Select 2-4 most prominent traits. Respond ONLY with the JSON object, nothing els
   /**
    * Batch analyze multiple texts
    * @param {Array<string>} texts - Array of texts to analyze
-   * @returns {Promise<Array<Object>>} Array of analysis results
+   * @param {Object} options - Analysis options (see analyzeText)
+   * @returns {Promise<Array<Object>>} Array of analysis results (long texts are chunked, see analyzeDocument)
    */
-  async batchAnalyze(texts) {
+  async batchAnalyze(texts, options = {}) {
     if (!Array.isArray(texts) || texts.length === 0) {
       throw new Error('Texts must be a non-empty array');
     }
@@ -252,7 +1330,7 @@ Select 2-4 most prominent traits. Respond ONLY with the JSON object, nothing els
     const results = [];
     for (let i = 0; i < texts.length; i++) {
       try {
-        const result = await this.analyzeText(texts[i]);
+        const result = await this.analyzeDocument(texts[i], '', options);
         results.push({ success: true, index: i, ...result });
       } catch (error) {
         results.push({ success: false, index: i, error: error.message });
@@ -0,0 +1,291 @@
+const { getStore, collectionPath } = require('../storage');
+const personaService = require('./personaService');
+const vectorService = require('./vectorService');
+const customFieldService = require('./customFieldService');
+const { isValidTranscriptName, readPersonaTranscripts, writePersonaTranscripts } = require('../utils/mediaStorage');
+
+const BUNDLE_FORMAT = 'k-psyche-persona';
+const BUNDLE_VERSION = 1;
+
+// Memory metadata fields that hold the ID of an analysis in the same bundle
+const ANALYSIS_ID_FIELDS = ['analysisId', 'analysis_id'];
+
+/**
+ * Bundle Service - Portable persona export/import
+ * A bundle holds the persona, all its analyses, its ChromaDB memories
+ * (optionally with embeddings) and stored transcripts.
+ */
+class BundleService {
+  /**
+   * Export a persona as a self-contained bundle
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @param {Object} options - Export options
+   * @param {boolean} options.includeEmbeddings - Include memory embedding vectors
+   * @returns {Promise<Object>} Bundle
+   */
+  async exportPersona(adminUid, personaId, options = {}) {
+    const includeEmbeddings = !!options.includeEmbeddings;
+
+    try {
+      const persona = await personaService.getPersonaDetails(adminUid, personaId);
+      const analyses = await this._getAllAnalyses(adminUid, personaId);
+      const memories = await vectorService.getPersonaMemories(adminUid, personaId, { includeEmbeddings });
+      const transcripts = await readPersonaTranscripts(adminUid, personaId);
+
+      console.log(`[BundleService] Exported persona ${personaId} (${analyses.length} analyses, ${memories.length} memories, ${transcripts.length} transcripts)`);
+
+      return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        embeddingModel: vectorService.embeddingModel,
+        includesEmbeddings: includeEmbeddings,
+        persona: this._toPlain(persona),
+        analyses: analyses.map(analysis => this._toPlain(analysis)),
+        memories: memories.map(({ id, text, metadata, embedding }) => ({
+          id: id,
+          text: text,
+          metadata: this._stripOwnership(metadata),
+          ...(embedding ? { embedding } : {})
+        })),
+        transcripts: transcripts
+      };
+
+    } catch (error) {
+      console.error('[BundleService] Export failed:', error.message);
+      throw new Error(`Failed to export persona: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild a persona from a bundle under the given user with new IDs
+   * Embeddings are reused only when the bundle was made with the same embedding model.
+   * References between analyses and memories are rewritten to the new IDs. If any
+   * step fails, the partly imported persona is deleted again.
+   * @param {string} adminUid - Admin user ID (new owner)
+   * @param {Object} bundle - Bundle from exportPersona
+   * @returns {Promise<Object>} Import report
+   */
+  async importPersona(adminUid, bundle) {
+    this._validateBundle(bundle);
+
+    let persona = null;
+    try {
+      const source = bundle.persona;
+
+      // Custom fields the importing user's schema doesn't accept are left out
+      const { fields } = await customFieldService.getSchema(adminUid);
+      const customFields = customFieldService.sanitizeValues(fields, source.customFields);
+
+      persona = await personaService.createPersona(adminUid, {
+        name: source.name,
+        relationship: source.relationship,
+        summary: source.summary,
+        notes: source.notes,
+        tags: source.tags,
+        customFields: customFields.values
+      }, {
+        importedFrom: {
+          personaId: source.id || null,
+          exportedAt: bundle.exportedAt || null
+        }
+      });
+
+      // Analysis IDs are issued up front so memories can point at them
+      const analysesPath = collectionPath('users', adminUid, 'personas', persona.id, 'analyses');
+      const analysisIds = new Map((bundle.analyses || [])
+        .filter(analysis => analysis.id)
+        .map(analysis => [analysis.id, getStore().generateId(analysesPath)]));
+
+      const { report: memoryReport, memoryIds } = await this._importMemories(adminUid, persona.id, bundle, analysisIds);
+      const analyses = (bundle.analyses || []).map(analysis => this._remapAnalysis(analysis, analysisIds, memoryIds));
+      const stats = await personaService.importAnalyses(adminUid, persona.id, analyses, { keepIds: true });
+      const transcriptsImported = await writePersonaTranscripts(adminUid, persona.id, bundle.transcripts);
+
+      console.log(`[BundleService] Imported persona ${persona.id} for user ${adminUid}`);
+
+      return {
+        persona: await personaService.getPersonaDetails(adminUid, persona.id),
+        analysesImported: stats.imported,
+        customFieldsDropped: customFields.dropped,
+        ...memoryReport,
+        transcriptsImported: transcriptsImported
+      };
+
+    } catch (error) {
+      console.error('[BundleService] Import failed:', error.message);
+      if (persona) {
+        await this._rollback(adminUid, persona.id);
+      }
+      throw new Error(`Failed to import persona: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check bundle format and version
+   * @private
+   */
+  _validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') {
+      throw new Error('Invalid bundle: expected a JSON object');
+    }
+
+    if (bundle.format !== BUNDLE_FORMAT) {
+      throw new Error(`Invalid bundle: format must be "${BUNDLE_FORMAT}"`);
+    }
+
+    if (bundle.version !== BUNDLE_VERSION) {
+      throw new Error(`Invalid bundle: unsupported version ${bundle.version} (supported: ${BUNDLE_VERSION})`);
+    }
+
+    if (!bundle.persona || typeof bundle.persona.name !== 'string') {
+      throw new Error('Invalid bundle: persona.name is required');
+    }
+
+    ['analyses', 'memories', 'transcripts'].forEach(key => {
+      if (bundle[key] !== undefined && !Array.isArray(bundle[key])) {
+        throw new Error(`Invalid bundle: ${key} must be an array`);
+      }
+    });
+
+    ['analyses', 'memories', 'transcripts'].forEach(key => {
+      if ((bundle[key] || []).some(entry => !entry || typeof entry !== 'object')) {
+        throw new Error(`Invalid bundle: ${key} must contain objects`);
+      }
+    });
+
+    // Checked here so a bad name fails the import before anything is created
+    (bundle.transcripts || []).forEach(transcript => {
+      if (!isValidTranscriptName(transcript.name)) {
+        throw new Error(`Invalid bundle: transcript name ${JSON.stringify(transcript.name)} must be a plain file name`);
+      }
+    });
+  }
+
+  /**
+   * Delete a partly imported persona with everything written for it so far
+   * @private
+   */
+  async _rollback(adminUid, personaId) {
+    try {
+      await personaService.deletePersona(adminUid, personaId);
+      console.log(`[BundleService] Rolled back import of persona ${personaId}`);
+    } catch (error) {
+      console.error(`[BundleService] Failed to roll back persona ${personaId}:`, error.message);
+    }
+  }
+
+  /**
+   * Point an imported analysis at its new ID and its memories' new IDs
+   * @private
+   */
+  _remapAnalysis(analysis, analysisIds, memoryIds) {
+    const remapped = { ...analysis, id: analysisIds.get(analysis.id) };
+
+    if (analysis.vector_id) {
+      remapped.vector_id = memoryIds.get(analysis.vector_id) || null;
+    }
+    if (Array.isArray(analysis.vector_ids)) {
+      remapped.vector_ids = analysis.vector_ids.map(id => memoryIds.get(id)).filter(Boolean);
+    }
+
+    return remapped;
+  }
+
+  /**
+   * Write bundle memories to ChromaDB under the new persona
+   * @private
+   * @returns {Promise<Object>} { report, memoryIds: Map of bundle memory ID -> new memory ID }
+   */
+  async _importMemories(adminUid, personaId, bundle, analysisIds) {
+    const memories = bundle.memories || [];
+    const report = { memoriesImported: 0, memoriesReembedded: 0, memoriesFailed: 0 };
+    const memoryIds = new Map();
+
+    if (memories.length === 0) {
+      return { report, memoryIds };
+    }
+
+    if (!vectorService.isReady()) {
+      console.warn('[BundleService] Vector service not available, skipping memories');
+      report.memoriesFailed = memories.length;
+      return { report, memoryIds };
+    }
+
+    const reuseEmbeddings = bundle.includesEmbeddings && bundle.embeddingModel === vectorService.embeddingModel;
+
+    for (const memory of memories) {
+      const embedding = reuseEmbeddings && Array.isArray(memory.embedding) ? memory.embedding : null;
+
+      const metadata = this._stripOwnership(memory.metadata);
+      ANALYSIS_ID_FIELDS.forEach(field => {
+        if (metadata[field] !== undefined) {
+          metadata[field] = analysisIds.get(metadata[field]) || null;
+        }
+      });
+
+      const memoryId = await vectorService.saveMemory(
+        adminUid,
+        memory.text,
+        { ...metadata, personaId: personaId },
+        embedding ? { embedding } : {}
+      );
+
+      if (!memoryId) {
+        report.memoriesFailed++;
+        continue;
+      }
+
+      if (memory.id) {
+        memoryIds.set(memory.id, memoryId);
+      }
+      report.memoriesImported++;
+      if (!embedding) {
+        report.memoriesReembedded++;
+      }
+    }
+
+    return { report, memoryIds };
+  }
+
+  /**
+   * Read every analysis of a persona, page by page
+   * @private
+   */
+  async _getAllAnalyses(adminUid, personaId) {
+    const analyses = [];
+    let cursor;
+
+    do {
+      const page = await personaService.getPersonaAnalyses(adminUid, personaId, { limit: 500, cursor });
+      analyses.push(...page.analyses);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return analyses;
+  }
+
+  /**
+   * Drop metadata that ties a memory to its original owner
+   * @private
+   */
+  _stripOwnership(metadata) {
+    const { userId, personaId, user_email, ...rest } = metadata || {};
+    return rest;
+  }
+
+  /**
+   * Convert Firestore timestamps to ISO strings so the bundle is plain JSON
+   * @private
+   */
+  _toPlain(doc) {
+    const plain = {};
+    Object.entries(doc).forEach(([key, value]) => {
+      plain[key] = value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value;
+    });
+    return plain;
+  }
+}
+
+module.exports = new BundleService();
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const NAMESPACE = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Cache Service - Content-hash cache for expensive model results
+ * Values are stored per namespace (e.g. "analyses", "embeddings") under a
+ * SHA-256 of everything that determines them. Each namespace keeps its
+ * CACHE_MAX_ENTRIES most recently used values in memory; with CACHE_DIR set,
+ * values are also written to <CACHE_DIR>/<namespace>/<key>.json and survive
+ * restarts (the disk tier is not pruned). Values are stored as JSON, so every
+ * get returns a fresh copy. Cache failures are logged and never fail a request.
+ */
+class CacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.maxEntries = Math.max(parseInt(process.env.CACHE_MAX_ENTRIES || '1000', 10), 1);
+    this.directory = process.env.CACHE_DIR || null;
+    // namespace -> { entries: Map<key, json> (least recently used first), hits, diskHits, misses, writes }
+    this.namespaces = new Map();
+  }
+
+  /**
+   * Cache key for a list of inputs
+   * @param {Array} parts - JSON-serializable inputs that determine the value
+   * @returns {string} Hex SHA-256
+   */
+  key(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * Look up a value: memory first, then disk
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key from key()
+   * @returns {Promise<*>} The value, or null on a miss
+   */
+  async get(namespace, key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const cache = this._namespace(namespace);
+
+    if (cache.entries.has(key)) {
+      const json = cache.entries.get(key);
+      // Re-insert to mark it most recently used
+      cache.entries.delete(key);
+      cache.entries.set(key, json);
+      cache.hits++;
+      return JSON.parse(json);
+    }
+
+    if (this.directory) {
+      try {
+        const json = await fs.promises.readFile(this._filePath(namespace, key), 'utf8');
+        const value = JSON.parse(json);
+        this._remember(cache, key, json);
+        cache.hits++;
+        cache.diskHits++;
+        return value;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`[CacheService] Failed to read ${namespace}/${key}: ${error.message}`);
+        }
+      }
+    }
+
+    cache.misses++;
+    return null;
+  }
+
+  /**
+   * Store a value in memory and, with CACHE_DIR, on disk
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key from key()
+   * @param {*} value - JSON-serializable value
+   */
+  async set(namespace, key, value) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const cache = this._namespace(namespace);
+    const json = JSON.stringify(value);
+    this._remember(cache, key, json);
+    cache.writes++;
+
+    if (this.directory) {
+      try {
+        await fs.promises.mkdir(path.join(this.directory, namespace), { recursive: true });
+        await fs.promises.writeFile(this._filePath(namespace, key), json, 'utf8');
+      } catch (error) {
+        console.warn(`[CacheService] Failed to write ${namespace}/${key}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Hit and miss counters per namespace
+   * @returns {Object} { enabled, maxEntries, directory, namespaces: { <name>: { entries, hits, diskHits, misses, writes, hitRate } } }
+   */
+  getStats() {
+    const namespaces = {};
+    this.namespaces.forEach((cache, name) => {
+      const lookups = cache.hits + cache.misses;
+      namespaces[name] = {
+        entries: cache.entries.size,
+        hits: cache.hits,
+        diskHits: cache.diskHits,
+        misses: cache.misses,
+        writes: cache.writes,
+        hitRate: lookups > 0 ? Math.round(cache.hits / lookups * 1000) / 1000 : null
+      };
+    });
+
+    return {
+      enabled: this.enabled,
+      maxEntries: this.maxEntries,
+      directory: this.directory,
+      namespaces: namespaces
+    };
+  }
+
+  /**
+   * Add a value to the memory tier, evicting the least recently used beyond maxEntries
+   * @private
+   */
+  _remember(cache, key, json) {
+    cache.entries.delete(key);
+    cache.entries.set(key, json);
+
+    while (cache.entries.size > this.maxEntries) {
+      cache.entries.delete(cache.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * State of a namespace, created on first use
+   * @private
+   */
+  _namespace(namespace) {
+    if (!NAMESPACE.test(namespace)) {
+      throw new Error(`Invalid cache namespace: ${namespace}`);
+    }
+
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, { entries: new Map(), hits: 0, diskHits: 0, misses: 0, writes: 0 });
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  /**
+   * Disk path of a value
+   * @private
+   */
+  _filePath(namespace, key) {
+    return path.join(this.directory, namespace, `${key}.json`);
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,279 @@
+const { getStore, collectionPath } = require('../storage');
+
+const FIELD_TYPES = ['string', 'number', 'date', 'enum', 'list'];
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const MAX_FIELDS = 50;
+const SCHEMA_DOC_ID = 'personaFields';
+
+/**
+ * Custom Field Service - Per-user schema for extra persona fields
+ * The schema lives at users/{uid}/settings/personaFields; values are stored
+ * on each persona under `customFields`.
+ */
+class CustomFieldService {
+  constructor() {
+    this.store = getStore();
+  }
+
+  /**
+   * Get a user's custom field schema
+   * @param {string} adminUid - Admin user ID
+   * @returns {Promise<Object>} { fields, updatedAt }
+   */
+  async getSchema(adminUid) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const doc = await this.store.get(this._settingsPath(adminUid), SCHEMA_DOC_ID);
+
+    return {
+      fields: doc ? doc.fields || [] : [],
+      updatedAt: doc ? doc.updatedAt : null
+    };
+  }
+
+  /**
+   * Replace a user's custom field schema
+   * Values already stored for removed fields are kept but no longer validated or shown.
+   * @param {string} adminUid - Admin user ID
+   * @param {Array<Object>} fields - Field definitions
+   * @param {string} fields[].key - Field key (letters, digits, underscore)
+   * @param {string} fields[].label - Display label (defaults to key)
+   * @param {string} fields[].type - string, number, date, enum or list
+   * @param {Array<string>} fields[].options - Allowed values (required for enum, optional for list)
+   * @param {boolean} fields[].required - Must be set when a persona is created
+   * @returns {Promise<Object>} { fields, updatedAt }
+   */
+  async setSchema(adminUid, fields) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const normalized = this._validateSchema(fields);
+    const schema = {
+      fields: normalized,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.set(this._settingsPath(adminUid), SCHEMA_DOC_ID, schema);
+
+    console.log(`[CustomFieldService] Saved ${normalized.length} custom fields for user ${adminUid}`);
+    return schema;
+  }
+
+  /**
+   * Validate custom field values against a schema
+   * @param {Array<Object>} fields - Schema fields
+   * @param {Object} values - Values keyed by field key (null clears a field)
+   * @param {Object} options - Validation options
+   * @param {boolean} options.partial - Only check the given keys (updates); otherwise enforce required fields
+   * @returns {Object} Normalized values (cleared fields are null)
+   */
+  validateValues(fields, values, options = {}) {
+    if (values === undefined || values === null) {
+      values = {};
+    }
+
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('Invalid customFields: expected an object');
+    }
+
+    const byKey = new Map(fields.map(field => [field.key, field]));
+    const unknown = Object.keys(values).filter(key => !byKey.has(key));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid customFields: unknown field(s) ${unknown.join(', ')}`);
+    }
+
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(values)) {
+      const field = byKey.get(key);
+
+      if (value === null || value === '') {
+        if (field.required) {
+          throw new Error(`Invalid customFields: ${key} is required`);
+        }
+        normalized[key] = null;
+        continue;
+      }
+
+      normalized[key] = this._coerceValue(field, value);
+    }
+
+    if (!options.partial) {
+      const missing = fields.filter(field => field.required && normalized[field.key] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`Invalid customFields: missing required field(s) ${missing.map(field => field.key).join(', ')}`);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Keep only the values that are valid under a schema (used for imports)
+   * @param {Array<Object>} fields - Schema fields
+   * @param {Object} values - Values keyed by field key
+   * @returns {Object} { values, dropped }
+   */
+  sanitizeValues(fields, values) {
+    const byKey = new Map(fields.map(field => [field.key, field]));
+    const kept = {};
+    const dropped = [];
+
+    Object.entries(values || {}).forEach(([key, value]) => {
+      const field = byKey.get(key);
+      try {
+        if (!field || value === null) {
+          throw new Error('unknown');
+        }
+        kept[key] = this._coerceValue(field, value);
+      } catch (error) {
+        dropped.push(key);
+      }
+    });
+
+    return { values: kept, dropped };
+  }
+
+  /**
+   * Format a persona's custom fields as "Label: value" lines for prompts
+   * @param {Array<Object>} fields - Schema fields
+   * @param {Object} values - Persona customFields
+   * @returns {Array<string>} Lines, in schema order
+   */
+  describeValues(fields, values) {
+    if (!values) {
+      return [];
+    }
+
+    return fields
+      .filter(field => values[field.key] !== undefined && values[field.key] !== null)
+      .map(field => {
+        const value = values[field.key];
+        let text = value;
+        if (field.type === 'list') {
+          text = value.join(', ');
+        } else if (field.type === 'date') {
+          text = String(value).substring(0, 10);
+        }
+        return `${field.label}: ${text}`;
+      });
+  }
+
+  /**
+   * Validate and normalize field definitions
+   * @private
+   */
+  _validateSchema(fields) {
+    if (!Array.isArray(fields)) {
+      throw new Error('Invalid schema: fields must be an array');
+    }
+    if (fields.length > MAX_FIELDS) {
+      throw new Error(`Invalid schema: at most ${MAX_FIELDS} fields`);
+    }
+
+    const seen = new Set();
+
+    return fields.map((field, index) => {
+      if (!field || !KEY_PATTERN.test(field.key || '')) {
+        throw new Error(`Invalid schema: field ${index} needs a key of letters, digits or underscores`);
+      }
+      if (seen.has(field.key)) {
+        throw new Error(`Invalid schema: duplicate key ${field.key}`);
+      }
+      seen.add(field.key);
+
+      if (!FIELD_TYPES.includes(field.type)) {
+        throw new Error(`Invalid schema: ${field.key} has type "${field.type}" (use ${FIELD_TYPES.join(', ')})`);
+      }
+
+      const definition = {
+        key: field.key,
+        label: typeof field.label === 'string' && field.label.trim() ? field.label.trim() : field.key,
+        type: field.type,
+        required: !!field.required
+      };
+
+      if (field.type === 'enum' || (field.type === 'list' && field.options !== undefined)) {
+        const options = Array.isArray(field.options)
+          ? field.options.filter(option => typeof option === 'string' && option.trim()).map(option => option.trim())
+          : [];
+        if (options.length === 0) {
+          throw new Error(`Invalid schema: ${field.key} needs a non-empty options array`);
+        }
+        definition.options = [...new Set(options)];
+      }
+
+      return definition;
+    });
+  }
+
+  /**
+   * Check one value against its field definition
+   * @private
+   */
+  _coerceValue(field, value) {
+    switch (field.type) {
+      case 'string':
+        if (typeof value !== 'string') {
+          throw new Error(`Invalid customFields: ${field.key} must be a string`);
+        }
+        return value.trim();
+
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new Error(`Invalid customFields: ${field.key} must be a number`);
+        }
+        return value;
+
+      case 'date': {
+        const date = new Date(value);
+        if (typeof value !== 'string' || isNaN(date.getTime())) {
+          throw new Error(`Invalid customFields: ${field.key} must be an ISO date`);
+        }
+        return date.toISOString();
+      }
+
+      case 'enum':
+        return this._matchOption(field, value);
+
+      case 'list': {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+          throw new Error(`Invalid customFields: ${field.key} must be an array of strings`);
+        }
+        const items = value.map(item => item.trim()).filter(Boolean);
+        return field.options ? items.map(item => this._matchOption(field, item)) : items;
+      }
+
+      default:
+        throw new Error(`Invalid customFields: ${field.key} has unknown type ${field.type}`);
+    }
+  }
+
+  /**
+   * Match a value against a field's options (case-insensitive, returns the canonical option)
+   * @private
+   */
+  _matchOption(field, value) {
+    const match = typeof value === 'string'
+      ? field.options.find(option => option.toLowerCase() === value.trim().toLowerCase())
+      : undefined;
+
+    if (match === undefined) {
+      throw new Error(`Invalid customFields: ${field.key} must be one of ${field.options.join(', ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Collection path for a user's settings documents
+   * @private
+   */
+  _settingsPath(adminUid) {
+    return collectionPath('users', adminUid, 'settings');
+  }
+}
+
+module.exports = new CustomFieldService();
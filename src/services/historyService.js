@@ -0,0 +1,381 @@
+const { getStore, collectionPath } = require('../storage');
+const personaService = require('./personaService');
+const vectorService = require('./vectorService');
+const { paginate } = require('../utils/pagination');
+const { buildAnalysisPredicate, buildDateWhere } = require('../utils/listFilters');
+
+// Rule patterns are literal phrases; longer ones are rejected
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * History Service - User-level analysis history (analyses without a persona)
+ * These "unassigned" analyses can be moved into a persona one by one or by rules.
+ */
+class HistoryService {
+  constructor() {
+    this.store = getStore();
+  }
+
+  /**
+   * Save analysis result to the user's history
+   * @param {string} uid - User ID
+   * @param {Object} analysisData - Analysis data to save
+   * @returns {Promise<string>} Document ID
+   */
+  async saveAnalysis(uid, analysisData) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized. Cannot save analysis.');
+    }
+
+    try {
+      // ISO strings like persona analyses, so assigned analyses keep one timestamp type
+      const now = new Date().toISOString();
+      const analysisId = await this.store.add(this._analysesPath(uid), {
+        ...analysisData,
+        timestamp: now,
+        createdAt: now
+      });
+
+      console.log(`[HistoryService] Analysis saved for user ${uid}: ${analysisId}`);
+      return analysisId;
+
+    } catch (error) {
+      console.error('[HistoryService] Failed to save analysis:', error.message);
+      throw new Error(`Failed to save analysis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a page of the user's analysis history, newest first
+   * @param {string} uid - User ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor from the previous page
+   * @param {Object} options.filters - { sentiments, traits, from, to } (see listFilters)
+   * @returns {Promise<Object>} { analyses, nextCursor }
+   */
+  async getUserAnalyses(uid, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized. Cannot retrieve analyses.');
+    }
+
+    const { limit = 10, cursor, filters = {} } = options;
+
+    try {
+      const { items: analyses, nextCursor } = await paginate(
+        this.store,
+        this._analysesPath(uid),
+        // createdAt rather than timestamp: older analyses have a Firestore Timestamp there
+        { where: buildDateWhere(filters), orderBy: 'createdAt', order: 'desc', limit, cursor },
+        buildAnalysisPredicate(filters)
+      );
+
+      return { analyses, nextCursor };
+
+    } catch (error) {
+      console.error('[HistoryService] Failed to retrieve analyses:', error.message);
+      throw new Error(`Failed to retrieve analyses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count the user's unassigned analyses
+   * @param {string} uid - User ID
+   * @returns {Promise<number>} Number of analyses
+   */
+  async countAnalyses(uid) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized. Cannot count analyses.');
+    }
+
+    return this.store.count(this._analysesPath(uid));
+  }
+
+  /**
+   * Move unassigned analyses into a persona, along with their ChromaDB memories
+   * Analyses keep their IDs and are only removed from history once copied,
+   * so an interrupted run can be repeated.
+   * @param {string} uid - User ID
+   * @param {string} personaId - Target persona ID
+   * @param {Array<string>} analysisIds - History analysis IDs
+   * @returns {Promise<Object>} { personaId, assigned, memoriesMoved, notFound, analysisCount, lastAnalyzedAt }
+   */
+  async assignToPersona(uid, personaId, analysisIds) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized. Cannot assign analyses.');
+    }
+
+    try {
+      const persona = await personaService.getPersonaDetails(uid, personaId);
+      if (!personaService.isActive(persona)) {
+        throw new Error(`Cannot assign analyses to a persona that is ${personaService.getStatus(persona)}`);
+      }
+
+      // Fail before moving anything if memories can't follow the analyses
+      if (vectorService.ragEnabled && !vectorService.isReady()) {
+        throw new Error('Vector service not available. Cannot move analysis memories.');
+      }
+
+      const analysesPath = this._analysesPath(uid);
+      const claimed = new Set();
+      const found = [];
+      const notFound = [];
+
+      for (const analysisId of [...new Set(analysisIds)]) {
+        const analysis = await this.store.get(analysesPath, analysisId);
+        if (!analysis) {
+          notFound.push(analysisId);
+          continue;
+        }
+
+        (await this._findMemories(uid, analysis, claimed)).forEach(memoryId => claimed.add(memoryId));
+        found.push(analysis);
+      }
+
+      const now = new Date().toISOString();
+      const stats = await personaService.importAnalyses(uid, personaId, found, {
+        keepIds: true,
+        fields: { assignedFrom: 'history', assignedAt: now }
+      });
+      const memoriesMoved = await vectorService.assignMemoriesToPersona(uid, [...claimed], personaId);
+
+      if (found.length > 0) {
+        await this.store.deleteMany(analysesPath, found.map(analysis => analysis.id));
+      }
+
+      console.log(`[HistoryService] Assigned ${found.length} analyses (${memoriesMoved} memories) to persona ${personaId}`);
+
+      return {
+        personaId: personaId,
+        assigned: found.length,
+        memoriesMoved: memoriesMoved,
+        notFound: notFound,
+        analysisCount: stats.analysisCount,
+        lastAnalyzedAt: stats.lastAnalyzedAt
+      };
+
+    } catch (error) {
+      console.error('[HistoryService] Failed to assign analyses:', error.message);
+      throw new Error(`Failed to assign analyses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assign every unassigned analysis that matches a rule
+   * Rules are tried in order and the first match wins. Within a rule every given
+   * criterion must match; list criteria match when any entry does.
+   * @param {string} uid - User ID
+   * @param {Array<Object>} rules - Migration rules
+   * @param {string} rules[].personaId - Persona that receives matching analyses
+   * @param {Array<string>} rules[].text - Case-insensitive substrings of the analysed text
+   * @param {string} rules[].pattern - Case-insensitive phrase matched on whole words (literal, up to 200 characters)
+   * @param {Array<string>} rules[].tags - Words or #hashtags mentioned in the analysed text
+   * @param {boolean} rules[].usePersonaTags - Also match the persona's own name and tags
+   * @param {Array<string>} rules[].sentiments - Sentiments to match
+   * @param {Object} options - Migration options
+   * @param {boolean} options.dryRun - Only report what would move
+   * @returns {Promise<Object>} Migration report
+   */
+  async migrateAnalyses(uid, rules, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized. Cannot migrate analyses.');
+    }
+
+    const matchers = await this._buildRuleMatchers(uid, rules);
+    const dryRun = !!options.dryRun;
+
+    try {
+      const analyses = await this._getAllAnalyses(uid);
+      const byPersona = new Map();
+      const matches = [];
+
+      analyses.forEach(analysis => {
+        const index = matchers.findIndex(matcher => matcher.matches(analysis));
+        if (index === -1) {
+          return;
+        }
+
+        const { personaId } = matchers[index];
+        if (!byPersona.has(personaId)) {
+          byPersona.set(personaId, []);
+        }
+        byPersona.get(personaId).push(analysis.id);
+        matches.push({ analysisId: analysis.id, personaId: personaId, rule: index });
+      });
+
+      const report = {
+        dryRun: dryRun,
+        scanned: analyses.length,
+        matched: matches.length,
+        unmatched: analyses.length - matches.length,
+        personas: {}
+      };
+
+      for (const [personaId, ids] of byPersona) {
+        report.personas[personaId] = dryRun
+          ? { assigned: ids.length }
+          : await this.assignToPersona(uid, personaId, ids);
+      }
+
+      if (dryRun) {
+        report.matches = matches;
+      }
+
+      console.log(`[HistoryService] Migration for user ${uid}: ${matches.length}/${analyses.length} analyses matched${dryRun ? ' (dry run)' : ''}`);
+      return report;
+
+    } catch (error) {
+      console.error('[HistoryService] Failed to migrate analyses:', error.message);
+      throw new Error(`Failed to migrate analyses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an analysis
+   * @param {string} uid - User ID
+   * @param {string} analysisId - Analysis document ID
+   * @returns {Promise<void>}
+   */
+  async deleteAnalysis(uid, analysisId) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized. Cannot delete analysis.');
+    }
+
+    try {
+      await this.store.delete(this._analysesPath(uid), analysisId);
+
+      console.log(`[HistoryService] Analysis deleted: ${analysisId}`);
+
+    } catch (error) {
+      console.error('[HistoryService] Failed to delete analysis:', error.message);
+      throw new Error(`Failed to delete analysis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate migration rules and compile them into matchers
+   * @private
+   */
+  async _buildRuleMatchers(uid, rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new Error('Invalid rules: expected a non-empty array');
+    }
+
+    const matchers = [];
+
+    for (const [index, rule] of rules.entries()) {
+      if (!rule || typeof rule.personaId !== 'string' || !rule.personaId) {
+        throw new Error(`Invalid rule ${index}: personaId is required`);
+      }
+
+      const persona = await personaService.getPersonaDetails(uid, rule.personaId);
+      if (!personaService.isActive(persona)) {
+        throw new Error(`Invalid rule ${index}: persona ${rule.personaId} is ${personaService.getStatus(persona)}`);
+      }
+      const lower = list => (Array.isArray(list) ? list : []).map(item => String(item).toLowerCase());
+
+      const text = lower(rule.text);
+      const sentiments = lower(rule.sentiments);
+      const tags = lower(rule.tags);
+      if (rule.usePersonaTags) {
+        tags.push(...lower([persona.name, ...(persona.tags || [])]));
+      }
+
+      // Escaped, so user input never runs as a regular expression (no catastrophic backtracking)
+      let pattern = null;
+      if (rule.pattern) {
+        if (typeof rule.pattern !== 'string' || !rule.pattern.trim() || rule.pattern.length > MAX_PATTERN_LENGTH) {
+          throw new Error(`Invalid rule ${index}: pattern must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters`);
+        }
+        const phrase = rule.pattern.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${phrase}(?![\\p{L}\\p{N}_])`, 'iu');
+      }
+
+      if (text.length === 0 && tags.length === 0 && sentiments.length === 0 && !pattern) {
+        throw new Error(`Invalid rule ${index}: give at least one of text, pattern, tags, usePersonaTags or sentiments`);
+      }
+
+      matchers.push({
+        personaId: rule.personaId,
+        matches: analysis => {
+          const input = (analysis.inputText || '').toLowerCase();
+          const words = new Set(input.split(/[^\p{L}\p{N}_#]+/u).filter(Boolean));
+
+          return (text.length === 0 || text.some(term => input.includes(term)))
+            && (!pattern || pattern.test(analysis.inputText || ''))
+            && (tags.length === 0 || tags.some(tag => tag.includes(' ')
+              ? input.includes(tag)
+              : words.has(tag) || words.has(`#${tag}`)))
+            && (sentiments.length === 0 || sentiments.includes((analysis.sentiment || '').toLowerCase()));
+        }
+      });
+    }
+
+    return matchers;
+  }
+
+  /**
+   * Find the ChromaDB memories saved alongside a history analysis
+   * Uses the stored vector_id (or vector_ids, one per chunk of a long text) when
+   * present; older records are matched on text, preferring the memory written
+   * closest to the analysis. Only the candidate memories are read from ChromaDB.
+   * @private
+   * @returns {Promise<Array<string>>} Memory IDs
+   */
+  async _findMemories(uid, analysis, claimed) {
+    const unclaimed = memories => memories.filter(memory => !claimed.has(memory.id));
+
+    if (Array.isArray(analysis.vector_ids)) {
+      const memories = await vectorService.getUnassignedMemories(uid, { ids: analysis.vector_ids });
+      return unclaimed(memories).map(memory => memory.id);
+    }
+
+    if (analysis.vector_id) {
+      const exact = unclaimed(await vectorService.getUnassignedMemories(uid, { ids: [analysis.vector_id] }));
+      if (exact.length > 0) {
+        return [exact[0].id];
+      }
+    }
+
+    const text = (analysis.inputText || '').substring(0, 1000);
+    if (!text) {
+      return [];
+    }
+
+    const createdAt = new Date(analysis.createdAt || 0).getTime();
+    const candidates = unclaimed(await vectorService.getUnassignedMemories(uid, { text: text }))
+      .sort((a, b) =>
+        Math.abs(new Date(a.metadata.timestamp).getTime() - createdAt) -
+        Math.abs(new Date(b.metadata.timestamp).getTime() - createdAt)
+      );
+
+    return candidates.length > 0 ? [candidates[0].id] : [];
+  }
+
+  /**
+   * Read every history analysis, page by page
+   * @private
+   */
+  async _getAllAnalyses(uid) {
+    const analyses = [];
+    let cursor;
+
+    do {
+      const page = await this.getUserAnalyses(uid, { limit: 500, cursor });
+      analyses.push(...page.analyses);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return analyses;
+  }
+
+  /**
+   * Collection path for a user's persona-less analyses
+   * @private
+   */
+  _analysesPath(uid) {
+    return collectionPath('users', uid, 'analyses');
+  }
+}
+
+module.exports = new HistoryService();
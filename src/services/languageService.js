@@ -0,0 +1,208 @@
+const llmService = require('./llmService');
+const promptService = require('./promptService');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// A second language with at least this share of the recognized words makes a text mixed
+const MIXED_SHARE = 0.2;
+const MIN_MIXED_WORDS = 2;
+
+// Words in these scripts name their language outright
+const SCRIPTS = [
+  ['hi', /\p{Script=Devanagari}/u],
+  ['bn', /\p{Script=Bengali}/u],
+  ['pa', /\p{Script=Gurmukhi}/u],
+  ['gu', /\p{Script=Gujarati}/u],
+  ['ta', /\p{Script=Tamil}/u],
+  ['te', /\p{Script=Telugu}/u],
+  ['ar', /\p{Script=Arabic}/u],
+  ['he', /\p{Script=Hebrew}/u],
+  ['ru', /\p{Script=Cyrillic}/u],
+  ['el', /\p{Script=Greek}/u],
+  ['th', /\p{Script=Thai}/u],
+  ['ko', /\p{Script=Hangul}/u],
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ['zh', /\p{Script=Han}/u]
+];
+
+// Frequent short words of Latin-script languages ("hi" is romanized Hindi, as in Hinglish transcripts).
+// Romanized Hindi words that are also common English words ("main", "ho") are left out.
+const STOPWORDS = {
+  en: 'the and is are was were i you he she it we they my your to of in that this with for not but have has be me what so just do don\'t about very really feel think',
+  es: 'el la los las y es está estoy soy que de en un una no pero muy mi yo tú por para con lo se me como más qué cuando porque siento creo también',
+  fr: 'le la les et est je tu il elle nous vous ils de des un une que qui ne pas mais très mon ma avec pour dans sur c\'est suis',
+  de: 'der die das und ist ich du er sie wir nicht ein eine mit für auf aber sehr mein zu den dem bin es auch wie was',
+  pt: 'o a os as e é eu você ele ela não um uma de do da em que com para mas muito meu minha estou sou também',
+  it: 'il lo la gli le e è io tu lui lei non un una di che con per ma molto mio mia sono anche come questo',
+  hi: 'hai hain nahi nahin mein mujhe mera meri tum aap kya kyun ki ka ke ko se bhi aur tha thi hoon hu yeh woh bahut accha kuch lekin abhi sab raha rahi gaya'
+};
+
+// Default-taxonomy labels in the languages with their own analysis prompt, mapped back to the canonical label
+const LABEL_TRANSLATIONS = {
+  es: {
+    positivo: 'Positive', positiva: 'Positive', negativo: 'Negative', negativa: 'Negative',
+    neutral: 'Neutral', neutro: 'Neutral', ansioso: 'Anxious', ansiosa: 'Anxious', triste: 'Sad',
+    enojado: 'Angry', enojada: 'Angry', enfadado: 'Angry', enfadada: 'Angry',
+    emocionado: 'Excited', emocionada: 'Excited', entusiasmado: 'Excited', entusiasmada: 'Excited',
+    asertivo: 'Assertive', asertiva: 'Assertive', curioso: 'Curious', curiosa: 'Curious',
+    empático: 'Empathetic', empática: 'Empathetic', analítico: 'Analytical', analítica: 'Analytical',
+    creativo: 'Creative', creativa: 'Creative', cauteloso: 'Cautious', cautelosa: 'Cautious',
+    seguro: 'Confident', segura: 'Confident', introvertido: 'Introverted', introvertida: 'Introverted',
+    extrovertido: 'Extroverted', extrovertida: 'Extroverted', optimista: 'Optimistic', pesimista: 'Pessimistic',
+    reflexivo: 'Thoughtful', reflexiva: 'Thoughtful', impulsivo: 'Impulsive', impulsiva: 'Impulsive',
+    reservado: 'Reserved', reservada: 'Reserved', expresivo: 'Expressive', expresiva: 'Expressive'
+  },
+  hi: {
+    'सकारात्मक': 'Positive', 'नकारात्मक': 'Negative', 'तटस्थ': 'Neutral', 'चिंतित': 'Anxious',
+    'उदास': 'Sad', 'दुखी': 'Sad', 'क्रोधित': 'Angry', 'गुस्सा': 'Angry', 'उत्साहित': 'Excited',
+    'दृढ़': 'Assertive', 'जिज्ञासु': 'Curious', 'सहानुभूतिपूर्ण': 'Empathetic', 'विश्लेषणात्मक': 'Analytical',
+    'रचनात्मक': 'Creative', 'सतर्क': 'Cautious', 'सावधान': 'Cautious', 'आत्मविश्वासी': 'Confident',
+    'अंतर्मुखी': 'Introverted', 'बहिर्मुखी': 'Extroverted', 'आशावादी': 'Optimistic', 'निराशावादी': 'Pessimistic',
+    'विचारशील': 'Thoughtful', 'आवेगी': 'Impulsive', 'संकोची': 'Reserved', 'अभिव्यंजक': 'Expressive'
+  }
+};
+
+/**
+ * Language Service - Detects the language of texts and translates them for RAG
+ * Detection is a local heuristic: words in a distinctive script (Devanagari,
+ * Arabic, Han, ...) count for that script's language, Latin-script words count
+ * for every language whose frequent words include them. The language with the
+ * most words wins; a text where a second language has at least 20% of the
+ * words is mixed. Languages are ISO 639 codes.
+ */
+class LanguageService {
+  constructor() {
+    this.defaultLanguage = DEFAULT_LANGUAGE;
+    // Save an English copy of non-English texts as the RAG memory unless a request says otherwise
+    this.translateByDefault = process.env.ANALYSIS_TRANSLATE === 'true';
+    this.names = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+    this.stopwords = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))]));
+  }
+
+  /**
+   * Detect the language of a text
+   * @param {string} text - Text to inspect
+   * @returns {Object} { code, name, source: 'detected' | 'default', confidence (share of the
+   *   recognized words, 0 when none were), mixed, languages: [{ code, share }] most frequent first }
+   */
+  detect(text) {
+    const counts = {};
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{M}']+/gu) || [];
+
+    words.forEach(word => {
+      const script = SCRIPTS.find(([, pattern]) => pattern.test(word));
+      if (script) {
+        counts[script[0]] = (counts[script[0]] || 0) + 1;
+        return;
+      }
+
+      // A word shared by several languages is split between them
+      const matches = Object.keys(this.stopwords).filter(code => this.stopwords[code].has(word));
+      matches.forEach(code => {
+        counts[code] = (counts[code] || 0) + 1 / matches.length;
+      });
+    });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+      return { ...this._describe(this.defaultLanguage), source: 'default', confidence: 0, mixed: false, languages: [] };
+    }
+
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const present = ranked.filter(([, count], index) => index === 0 || (count / total >= MIXED_SHARE && count >= MIN_MIXED_WORDS));
+
+    return {
+      ...this._describe(ranked[0][0]),
+      source: 'detected',
+      confidence: Math.round(ranked[0][1] / total * 100) / 100,
+      mixed: present.length > 1,
+      languages: present.map(([code, count]) => ({ code: code, share: Math.round(count / total * 100) / 100 }))
+    };
+  }
+
+  /**
+   * Validate a language given with a request (e.g. the one detected during transcription)
+   * @param {string} language - ISO 639 code, or 'auto' (or nothing) to detect it from the text
+   * @returns {Object|null} Same shape as detect() with source 'request', or null to detect
+   */
+  fromRequest(language) {
+    if (language === undefined || language === null || language === 'auto') {
+      return null;
+    }
+
+    const code = typeof language === 'string' ? language.trim().toLowerCase() : '';
+    if (!/^[a-z]{2,3}$/.test(code) || !this.names.of(code)) {
+      throw new Error('Invalid language: use an ISO 639 code such as "en", "hi" or "es", or "auto" to detect it');
+    }
+
+    return { ...this._describe(code), source: 'request', confidence: 1, mixed: false, languages: [{ code: code, share: 1 }] };
+  }
+
+  /**
+   * Translated names of the default-taxonomy labels, to map localized answers back
+   * @param {Object} language - Language from detect() or fromRequest()
+   * @returns {Object} { <lowercase translated label>: <canonical label> }
+   */
+  labelSynonyms(language) {
+    const codes = language.languages.length > 0 ? language.languages.map(entry => entry.code) : [language.code];
+    return Object.assign({}, ...codes.map(code => LABEL_TRANSLATIONS[code] || {}));
+  }
+
+  /**
+   * Translate a text into English for RAG (embeddings and context are English-centric)
+   * @param {string} text - Text to translate
+   * @param {Object} language - Language of the text from detect() or fromRequest()
+   * @param {Object} options - { model, prompts } as for analyses
+   * @returns {Promise<string>} English text
+   */
+  async translate(text, language, options = {}) {
+    const template = promptService.resolve(options.prompts, 'translation');
+    const prompt = promptService.render(template, {
+      language: language.mixed ? language.languages.map(entry => this.nameOf(entry.code)).join(' and ') : language.name,
+      text: text
+    });
+
+    const translation = (await llmService.generate(prompt, {
+      model: options.model,
+      temperature: 0,
+      // English output is rarely longer than the source; about 4 characters per token
+      maxTokens: Math.ceil(text.length / 2) + 100,
+      caller: 'LanguageService'
+    })).trim();
+
+    if (!translation) {
+      throw new Error('Translation returned empty output');
+    }
+
+    console.log(`[LanguageService] Translated ${text.length} chars from ${language.code} to English`);
+    return translation;
+  }
+
+  /**
+   * Whether a text needs translating for RAG
+   * @param {Object} language - Language from detect() or fromRequest()
+   * @returns {boolean}
+   */
+  needsTranslation(language) {
+    return language.mixed || language.code !== DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * English name of a language
+   * @param {string} code - ISO 639 code
+   * @returns {string} Name, or the code for unknown languages
+   */
+  nameOf(code) {
+    return this.names.of(code) || code;
+  }
+
+  /**
+   * Code and English name of a language
+   * @private
+   */
+  _describe(code) {
+    return { code: code, name: this.nameOf(code) };
+  }
+}
+
+module.exports = new LanguageService();
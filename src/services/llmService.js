@@ -0,0 +1,498 @@
+const mockProvider = require('./mockLlmProvider');
+
+const PROVIDERS = ['ollama', 'openai', 'mock'];
+const RETRYABLE_TYPES = ['timeout', 'connection', 'rate_limit', 'server'];
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Error raised by LLM calls
+ * type is one of: timeout, connection, rate_limit, server, not_found, client, invalid_response, aborted
+ */
+class LLMError extends Error {
+  constructor(message, type, status = null) {
+    super(message);
+    this.name = 'LLMError';
+    this.type = type;
+    this.status = status;
+    this.retryable = RETRYABLE_TYPES.includes(type);
+  }
+}
+
+/**
+ * LLM Service - Single client for text generation and embeddings
+ * Talks to Ollama (default) or any OpenAI-compatible server such as the
+ * llama.cpp server or vLLM, selected with LLM_PROVIDER. Every call gets a
+ * timeout, retries with exponential backoff for transient failures, and
+ * one log line with its outcome and duration. LLM_PROVIDER=mock answers
+ * offline and deterministically instead (see mockLlmProvider).
+ */
+class LLMService {
+  constructor() {
+    this.provider = (process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+    if (!PROVIDERS.includes(this.provider)) {
+      console.warn(`[LLMService] Unknown LLM_PROVIDER "${this.provider}", using ollama`);
+      this.provider = 'ollama';
+    }
+
+    this.baseUrl = (process.env.LLM_BASE_URL || process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.apiKey = process.env.LLM_API_KEY || '';
+    this.timeout = parseInt(process.env.LLM_TIMEOUT || process.env.OLLAMA_TIMEOUT || '30000', 10);
+    this.embeddingTimeout = parseInt(process.env.LLM_EMBEDDING_TIMEOUT || '15000', 10);
+    this.maxRetries = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+    this.retryDelay = parseInt(process.env.LLM_RETRY_DELAY || '500', 10);
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Generation options
+   * @param {string} options.model - Model name
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.topP - Nucleus sampling cutoff
+   * @param {number} options.maxTokens - Maximum tokens to generate
+   * @param {Object} options.format - JSON schema the output must follow (structured output)
+   * @param {string} options.caller - Name used in log lines
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<string>} Generated text
+   */
+  async generate(prompt, options = {}) {
+    if (this.provider === 'mock') {
+      return this._mock('generate', options, () => mockProvider.generate(prompt, options));
+    }
+
+    const { path, body } = this._generateRequest(prompt, options, false);
+
+    const data = await this._request('POST', path, body, {
+      operation: 'generate',
+      model: options.model,
+      caller: options.caller,
+      timeout: this.timeout,
+      signal: options.signal
+    });
+
+    const text = this.provider === 'openai'
+      ? data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content
+      : data.response;
+
+    if (!text) {
+      throw new LLMError(`${this._providerName()} returned empty response`, 'invalid_response');
+    }
+
+    return text;
+  }
+
+  /**
+   * Generate a completion, handing each token to a callback as it arrives
+   * Opening the stream is retried like any request; once tokens flow, a failure
+   * ends the stream. The timeout applies to the gap between chunks, not the whole answer.
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Same as generate(), plus:
+   * @param {Function} options.onToken - Called with each text chunk
+   * @param {AbortSignal} options.signal - Aborts the upstream generation (e.g. client disconnect)
+   * @returns {Promise<string>} Full generated text
+   */
+  async generateStream(prompt, options = {}) {
+    const { onToken = () => {}, signal, caller, model } = options;
+    if (this.provider === 'mock') {
+      return this._mock('stream', options, () => mockProvider.generateStream(prompt, options));
+    }
+
+    const { path, body } = this._generateRequest(prompt, options, true);
+    const label = `${caller || 'LLMService'} stream (${model})`;
+    const started = Date.now();
+
+    const stream = await this._request('POST', path, body, {
+      operation: 'stream',
+      model: model,
+      caller: caller,
+      timeout: this.timeout,
+      signal: signal,
+      stream: true
+    });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let done = false;
+
+    const handleLine = (line) => {
+      const token = this._parseStreamLine(line.trim());
+      if (token === null) {
+        done = true;
+      } else if (token) {
+        text += token;
+        onToken(token);
+      }
+    };
+
+    try {
+      for await (const chunk of stream.response.body) {
+        stream.resetTimer();
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+
+        if (done) {
+          break;
+        }
+      }
+      if (!done && buffer.trim()) {
+        handleLine(buffer);
+      }
+
+    } catch (error) {
+      const llmError = this._classify(error, this.timeout, signal);
+      console.warn(`[LLMService] ${label} failed after ${Date.now() - started}ms [${llmError.type}]: ${llmError.message}`);
+      throw llmError;
+
+    } finally {
+      stream.close();
+    }
+
+    console.log(`[LLMService] ${label} finished in ${Date.now() - started}ms (${text.length} chars)`);
+
+    if (!text) {
+      throw new LLMError(`${this._providerName()} returned empty response`, 'invalid_response');
+    }
+
+    return text;
+  }
+
+  /**
+   * Generate an embedding vector
+   * @param {string} text - Text to embed
+   * @param {Object} options - Embedding options
+   * @param {string} options.model - Embedding model name
+   * @param {string} options.caller - Name used in log lines
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async embed(text, options = {}) {
+    const { model, caller } = options;
+    if (this.provider === 'mock') {
+      return this._mock('embed', options, () => mockProvider.embed(text));
+    }
+
+    const data = this.provider === 'openai'
+      ? await this._request('POST', '/v1/embeddings', { model: model, input: text }, {
+        operation: 'embed', model: model, caller: caller, timeout: this.embeddingTimeout
+      })
+      : await this._request('POST', '/api/embeddings', { model: model, prompt: text }, {
+        operation: 'embed', model: model, caller: caller, timeout: this.embeddingTimeout
+      });
+
+    const embedding = this.provider === 'openai'
+      ? data.data && data.data[0] && data.data[0].embedding
+      : data.embedding;
+
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+      throw new LLMError(`Invalid embedding response from ${this._providerName()}`, 'invalid_response');
+    }
+
+    return embedding;
+  }
+
+  /**
+   * List the models the server can serve (no retries, short timeout)
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels() {
+    if (this.provider === 'mock') {
+      return mockProvider.listModels();
+    }
+
+    const path = this.provider === 'openai' ? '/v1/models' : '/api/tags';
+    const data = await this._request('GET', path, null, {
+      operation: 'models',
+      caller: 'LLMService',
+      timeout: 5000,
+      retries: 0
+    });
+
+    return this.provider === 'openai'
+      ? (data.data || []).map(model => model.id)
+      : (data.models || []).map(model => model.name);
+  }
+
+  /**
+   * Build the provider-specific generation request
+   * @private
+   */
+  _generateRequest(prompt, options, stream) {
+    const { model, temperature, topP, maxTokens, format } = options;
+
+    if (this.provider === 'openai') {
+      const body = {
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: temperature,
+        top_p: topP,
+        max_tokens: maxTokens,
+        stream: stream
+      };
+      if (format) {
+        body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+      }
+      return { path: '/v1/chat/completions', body };
+    }
+
+    const body = {
+      model: model,
+      prompt: prompt,
+      stream: stream,
+      options: { temperature: temperature, top_p: topP, num_predict: maxTokens }
+    };
+    if (format) {
+      body.format = format;
+    }
+    return { path: '/api/generate', body };
+  }
+
+  /**
+   * Extract the token from one line of a streamed response
+   * Ollama streams NDJSON; OpenAI-compatible servers stream SSE "data:" lines.
+   * @private
+   * @returns {string|null} Token text ('' for lines without one), null at end of stream
+   */
+  _parseStreamLine(line) {
+    if (!line) {
+      return '';
+    }
+
+    let payload = line;
+    if (this.provider === 'openai') {
+      if (!line.startsWith('data:')) {
+        return '';
+      }
+      payload = line.substring(5).trim();
+      if (payload === '[DONE]') {
+        return null;
+      }
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      throw new LLMError(`${this._providerName()} sent an unreadable stream chunk`, 'invalid_response');
+    }
+
+    if (data.error) {
+      throw new LLMError(`${this._providerName()} stream error: ${data.error.message || data.error}`, 'server');
+    }
+
+    if (this.provider === 'openai') {
+      const choice = data.choices && data.choices[0];
+      return (choice && choice.delta && choice.delta.content) || '';
+    }
+
+    return data.done ? null : (data.response || '');
+  }
+
+  /**
+   * Run a mock provider call with the same log line and error types as a request
+   * @private
+   */
+  async _mock(operation, options, call) {
+    const label = `${options.caller || 'LLMService'} ${operation}${options.model ? ` (${options.model})` : ''}`;
+    const started = Date.now();
+
+    try {
+      const result = await call();
+      console.log(`[LLMService] ${label} ok in ${Date.now() - started}ms (mock)`);
+      return result;
+    } catch (error) {
+      const llmError = this._classify(error, this.timeout, options.signal);
+      console.warn(`[LLMService] ${label} failed (mock) [${llmError.type}]: ${llmError.message}`);
+      throw llmError;
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures with exponential backoff
+   * @private
+   */
+  async _request(method, path, body, options) {
+    const retries = options.retries !== undefined ? options.retries : this.maxRetries;
+    const label = `${options.caller || 'LLMService'} ${options.operation}${options.model ? ` (${options.model})` : ''}`;
+
+    for (let attempt = 1; ; attempt++) {
+      const started = Date.now();
+
+      try {
+        const data = options.stream
+          ? await this._openStream(method, path, body, options.timeout, options.signal)
+          : await this._send(method, path, body, options.timeout, options.signal);
+        console.log(`[LLMService] ${label} ok in ${Date.now() - started}ms${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+        return data;
+
+      } catch (error) {
+        const llmError = this._classify(error, options.timeout, options.signal);
+        const canRetry = llmError.retryable && attempt <= retries;
+
+        console.warn(`[LLMService] ${label} failed after ${Date.now() - started}ms [${llmError.type}]: ${llmError.message}${canRetry ? ' - retrying' : ''}`);
+
+        if (!canRetry) {
+          throw llmError;
+        }
+
+        await this._sleep(this._backoff(attempt, error.retryAfter));
+      }
+    }
+  }
+
+  /**
+   * Make one HTTP call and parse the JSON body
+   * @private
+   */
+  async _send(method, path, body, timeout, signal) {
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    const response = await this._fetch(method, path, body, signal ? AbortSignal.any([timeoutSignal, signal]) : timeoutSignal);
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new LLMError(`${this._providerName()} returned a non-JSON response`, 'invalid_response');
+    }
+  }
+
+  /**
+   * Open a streaming response guarded by an idle timer
+   * @private
+   * @returns {Promise<Object>} { response, resetTimer, close }
+   */
+  async _openStream(method, path, body, timeout, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timer = null;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(abort, timeout);
+    };
+    const close = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      // Stops the upstream generation if we stop reading early
+      controller.abort();
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      }
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    resetTimer();
+
+    try {
+      const response = await this._fetch(method, path, body, controller.signal);
+      return { response, resetTimer, close };
+    } catch (error) {
+      close();
+      throw error;
+    }
+  }
+
+  /**
+   * Make one HTTP call, throwing on non-2xx statuses
+   * @private
+   */
+  async _fetch(method, path, body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: method,
+      headers: headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      const error = new Error(`${this._providerName()} API error (${response.status}): ${errorText}`);
+      error.status = response.status;
+      error.retryAfter = parseInt(response.headers.get('retry-after'), 10) || null;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Turn a fetch/HTTP failure into an LLMError
+   * Messages keep the "timeout" / "Cannot connect" wording the controllers map to 504 / 503.
+   * @private
+   */
+  _classify(error, timeout, signal) {
+    if (error instanceof LLMError) {
+      return error;
+    }
+
+    if (signal && signal.aborted) {
+      return new LLMError(`${this._providerName()} request aborted by caller`, 'aborted');
+    }
+
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return new LLMError(`${this._providerName()} request timeout (${timeout}ms exceeded)`, 'timeout');
+    }
+
+    const code = error.code || (error.cause && error.cause.code);
+    if (CONNECTION_CODES.includes(code) || (error instanceof TypeError && error.message === 'fetch failed')) {
+      return new LLMError(`Cannot connect to ${this._providerName()} at ${this.baseUrl}. Is it running?`, 'connection');
+    }
+
+    if (error.status) {
+      let type = 'client';
+      if (error.status === 429) {
+        type = 'rate_limit';
+      } else if (error.status >= 500) {
+        type = 'server';
+      } else if (error.status === 404) {
+        type = 'not_found';
+      }
+      return new LLMError(error.message, type, error.status);
+    }
+
+    return new LLMError(error.message, 'invalid_response');
+  }
+
+  /**
+   * Delay before the next attempt: retryDelay * 2^(attempt-1) with jitter, or Retry-After
+   * @private
+   */
+  _backoff(attempt, retryAfterSeconds) {
+    if (retryAfterSeconds) {
+      return retryAfterSeconds * 1000;
+    }
+    const base = this.retryDelay * Math.pow(2, attempt - 1);
+    return base + Math.floor(Math.random() * base * 0.25);
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Provider name for messages
+   * @private
+   */
+  _providerName() {
+    if (this.provider === 'mock') {
+      return 'Mock LLM';
+    }
+    return this.provider === 'openai' ? 'LLM server' : 'Ollama';
+  }
+}
+
+module.exports = new LLMService();
+module.exports.LLMError = LLMError;
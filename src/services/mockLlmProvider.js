@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+
+// Delimits the analyzed text in the analysis prompt; evidence quotes are taken from it
+const QUOTED_TEXT = /"""\n([\s\S]*?)\n"""/;
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'-]*/gu;
+const MAX_QUOTE_WORDS = 5;
+
+/**
+ * Mock LLM Provider - Deterministic offline stand-in for a model server
+ * Used by llmService when LLM_PROVIDER=mock. The same prompt and model always
+ * give the same output:
+ * - Structured generations (a JSON schema in options.format) return an instance
+ *   of the schema. Enums, array lengths and numbers are drawn from a hash of the
+ *   prompt; free strings are short quotes from the analyzed text.
+ * - Plain generations return a template answer built from the context in the prompt,
+ *   or echo the quoted text of other prompts (e.g. translations).
+ * - Embeddings hash each word into one of LLM_MOCK_EMBEDDING_DIMENSIONS
+ *   dimensions, so texts sharing words are similar.
+ */
+class MockLLMProvider {
+  constructor() {
+    this.dimensions = parseInt(process.env.LLM_MOCK_EMBEDDING_DIMENSIONS || '768', 10);
+    this.models = (process.env.LLM_MOCK_MODELS ||
+      [process.env.OLLAMA_MODEL || 'llama3.1:8b', process.env.EMBEDDING_MODEL || 'nomic-embed-text'].join(','))
+      .split(',').map(model => model.trim()).filter(Boolean);
+  }
+
+  /**
+   * Generate a completion (see llmService.generate)
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Generation options (model, format)
+   * @returns {Promise<string>} Generated text
+   */
+  async generate(prompt, options = {}) {
+    const random = this._random(`${options.model}\n${prompt}`);
+
+    if (options.format) {
+      const source = (prompt.match(QUOTED_TEXT) || [null, prompt])[1];
+      return JSON.stringify(this._instance(options.format, { random, source, labels: [] }));
+    }
+
+    return this._answer(prompt);
+  }
+
+  /**
+   * Generate a completion word by word (see llmService.generateStream)
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Generation options, plus onToken and signal
+   * @returns {Promise<string>} Full generated text
+   */
+  async generateStream(prompt, options = {}) {
+    const { onToken = () => {}, signal } = options;
+    const text = await this.generate(prompt, options);
+
+    for (const token of text.match(/\S+\s*/g) || []) {
+      if (signal && signal.aborted) {
+        const error = new Error('Mock LLM request aborted by caller');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onToken(token);
+      // Let other requests (and client disconnects) through between tokens
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return text;
+  }
+
+  /**
+   * Embed a text as a normalized bag of hashed words
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(WORD) || [text];
+
+    words.forEach(word => {
+      const digest = crypto.createHash('sha256').update(word).digest();
+      const sign = digest[4] & 1 ? 1 : -1;
+      vector[digest.readUInt32BE(0) % this.dimensions] += sign;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => Math.round(value / norm * 1e6) / 1e6);
+  }
+
+  /**
+   * Models the mock claims to serve (LLM_MOCK_MODELS; any name works for generation)
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels() {
+    return this.models;
+  }
+
+  /**
+   * Build a value matching a JSON schema
+   * Maps without fixed properties (additionalProperties) are keyed by the enum
+   * labels picked so far, e.g. evidence per chosen trait.
+   * @private
+   */
+  _instance(schema, state) {
+    if (schema.enum) {
+      return schema.enum[Math.floor(state.random() * schema.enum.length)];
+    }
+
+    switch (schema.type) {
+      case 'object': {
+        const value = {};
+        Object.entries(schema.properties || {}).forEach(([key, property]) => {
+          value[key] = this._instance(property, state);
+        });
+        if (!schema.properties && schema.additionalProperties) {
+          state.labels.forEach(label => {
+            value[label] = this._instance(schema.additionalProperties, state);
+          });
+        }
+        return value;
+      }
+
+      case 'array': {
+        const min = schema.minItems !== undefined ? schema.minItems : 1;
+        const max = schema.maxItems !== undefined ? schema.maxItems : Math.max(min, 2);
+        const length = min + Math.floor(state.random() * (max - min + 1));
+        const items = [];
+
+        for (let attempt = 0; items.length < length && attempt < length * 10; attempt++) {
+          const item = this._instance(schema.items || {}, state);
+          if (!items.includes(item)) {
+            items.push(item);
+          }
+        }
+
+        if (schema.items && schema.items.enum) {
+          state.labels = items;
+        }
+        return items;
+      }
+
+      case 'number':
+      case 'integer': {
+        const min = schema.minimum !== undefined ? schema.minimum : 0;
+        const max = schema.maximum !== undefined ? schema.maximum : 1;
+        const value = min + state.random() * (max - min);
+        return schema.type === 'integer' ? Math.round(value) : Math.round(value * 100) / 100;
+      }
+
+      case 'boolean':
+        return state.random() < 0.5;
+
+      default:
+        return this._quote(state);
+    }
+  }
+
+  /**
+   * A few consecutive words copied verbatim from the source text
+   * @private
+   */
+  _quote(state) {
+    const words = [...state.source.matchAll(WORD)];
+    if (words.length === 0) {
+      return state.source.trim().slice(0, 40) || 'mock';
+    }
+
+    const first = Math.floor(state.random() * words.length);
+    const last = Math.min(words.length - 1, first + 1 + Math.floor(state.random() * (MAX_QUOTE_WORDS - 1)));
+    return state.source.slice(words[first].index, words[last].index + words[last][0].length);
+  }
+
+  /**
+   * Template answer from the labelled lines of a question prompt
+   * @private
+   */
+  _answer(prompt) {
+    const name = (prompt.match(/^Name: (.+)$/m) || [])[1];
+    const question = (prompt.match(/USER QUESTION:\s*"([\s\S]*?)"\s*\n/) || [])[1];
+    const sentiments = [...prompt.matchAll(/^Sentiment: (.+)$/gm)].map(match => match[1].trim());
+    const traits = [...prompt.matchAll(/^Personality Traits: (.+)$/gm)]
+      .flatMap(match => match[1].split(',').map(trait => trait.trim()).filter(Boolean));
+
+    const quoted = prompt.match(QUOTED_TEXT);
+    if ((!name || !question) && quoted) {
+      return quoted[1];
+    }
+
+    if (!name || !question) {
+      return `Mock response ${crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12)}.`;
+    }
+
+    if (sentiments.length === 0) {
+      return `The context doesn't contain enough information to answer "${question}" about ${name}.`;
+    }
+
+    const mostCommon = (values) => {
+      const counts = new Map();
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([value]) => value);
+    };
+
+    const topTraits = mostCommon(traits).slice(0, 3);
+    return `Based on ${sentiments.length} context entr${sentiments.length === 1 ? 'y' : 'ies'}, ${name} mostly comes across as ` +
+      `${mostCommon(sentiments)[0]}${topTraits.length > 0 ? `, with ${topTraits.join(', ')} traits` : ''}. ` +
+      `This is a mock answer to "${question}".`;
+  }
+
+  /**
+   * Seeded pseudo-random numbers in [0, 1) (mulberry32 seeded from a SHA-256 of the input)
+   * @private
+   */
+  _random(input) {
+    let seed = crypto.createHash('sha256').update(input).digest().readUInt32BE(0);
+
+    return () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = new MockLLMProvider();
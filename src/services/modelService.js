@@ -0,0 +1,284 @@
+const { getStore, collectionPath } = require('../storage');
+const analysisService = require('./analysisService');
+
+const ALLOWLIST_DOC_ID = 'models';
+const USER_DEFAULTS_DOC_ID = 'models';
+const PURPOSES = ['analysis', 'query'];
+const INSTALLED_CACHE_MS = 30000;
+
+/**
+ * Model Service - Which LLM model a request runs on
+ * A request may name a model; otherwise the user's default for the purpose
+ * (analysis or query) is used, and then OLLAMA_MODEL. Named models must be
+ * installed (checkOllamaStatus().installedModels) and, when admins have set
+ * one, on the allowlist at settings/models. User defaults live at
+ * users/{uid}/settings/models.
+ */
+class ModelService {
+  constructor() {
+    this.store = getStore();
+    this.defaultModel = process.env.OLLAMA_MODEL || 'llama3.1:8b';
+    this.purposes = PURPOSES;
+    this.installedCache = null;
+    // Used by `ensemble: true` and ensembles that don't name their models
+    this.ensembleModels = (process.env.ANALYSIS_ENSEMBLE_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+    this.ensembleSamples = parseInt(process.env.ANALYSIS_ENSEMBLE_SAMPLES || '3', 10);
+    this.consistencySamples = parseInt(process.env.ANALYSIS_CONSISTENCY_SAMPLES || '5', 10);
+  }
+
+  /**
+   * Pick and validate the model for a request
+   * A user default that is no longer installed or allowed falls back to the
+   * server default; a model named in the request is an error instead.
+   * @param {string} adminUid - Admin user ID
+   * @param {string} requested - Model named in the request (optional)
+   * @param {string} purpose - 'analysis' or 'query'
+   * @returns {Promise<string>} Model name as installed
+   */
+  async resolveModel(adminUid, requested, purpose) {
+    if (requested !== undefined && requested !== null) {
+      if (typeof requested !== 'string' || requested.trim().length === 0) {
+        throw new Error('Invalid model: expected a model name');
+      }
+      return this.validateModel(requested.trim());
+    }
+
+    const defaults = await this.getUserDefaults(adminUid);
+    if (defaults[purpose]) {
+      try {
+        return await this.validateModel(defaults[purpose]);
+      } catch (error) {
+        console.warn(`[ModelService] Default ${purpose} model of ${adminUid} unusable (${error.message}), using ${this.defaultModel}`);
+      }
+    }
+
+    return this.defaultModel;
+  }
+
+  /**
+   * Resolve an ensemble request into validated models and samples per model
+   * Models come from the request, else ANALYSIS_ENSEMBLE_MODELS, else the
+   * request's own model. One model defaults to ANALYSIS_ENSEMBLE_SAMPLES
+   * samples, several models to one sample each.
+   * @param {boolean|Object} ensemble - true, or { models?, samples? } (false/absent = no ensemble)
+   * @param {string} model - The request's resolved model
+   * @returns {Promise<Object|null>} { models, samples } or null
+   */
+  async resolveEnsemble(ensemble, model) {
+    if (ensemble === undefined || ensemble === null || ensemble === false) {
+      return null;
+    }
+
+    if (ensemble !== true && (typeof ensemble !== 'object' || Array.isArray(ensemble))) {
+      throw new Error('Invalid ensemble: expected true or { models?: [...], samples?: <number> }');
+    }
+
+    const requested = ensemble === true ? {} : ensemble;
+    let names = [model];
+    if (requested.models !== undefined) {
+      if (!Array.isArray(requested.models) || requested.models.length === 0 ||
+        requested.models.some(name => typeof name !== 'string' || name.trim().length === 0)) {
+        throw new Error('Invalid ensemble: models must be a non-empty array of model names');
+      }
+      names = requested.models.map(name => name.trim());
+    } else if (this.ensembleModels.length > 0) {
+      names = this.ensembleModels;
+    }
+
+    const models = [];
+    for (const name of names) {
+      const installed = await this.validateModel(name);
+      if (!models.includes(installed)) {
+        models.push(installed);
+      }
+    }
+
+    const samples = requested.samples !== undefined ? requested.samples : (models.length > 1 ? 1 : this.ensembleSamples);
+    if (!Number.isInteger(samples) || samples < 1) {
+      throw new Error('Invalid ensemble: samples must be a positive integer');
+    }
+
+    const members = models.length * samples;
+    if (members < 2) {
+      throw new Error('Invalid ensemble: needs at least 2 members (several models or samples)');
+    }
+    if (members > analysisService.maxEnsembleMembers) {
+      throw new Error(`Invalid ensemble: ${members} members, at most ${analysisService.maxEnsembleMembers} (models x samples)`);
+    }
+
+    return { models, samples };
+  }
+
+  /**
+   * Resolve a self-consistency request: an ensemble of samples of one model
+   * @param {boolean|Object} selfConsistency - true, or { samples? } (false/absent = off)
+   * @param {string} model - The request's resolved model
+   * @returns {Promise<Object|null>} { models, samples } or null
+   */
+  async resolveSelfConsistency(selfConsistency, model) {
+    if (selfConsistency === undefined || selfConsistency === null || selfConsistency === false) {
+      return null;
+    }
+
+    if (selfConsistency !== true && (typeof selfConsistency !== 'object' || Array.isArray(selfConsistency))) {
+      throw new Error('Invalid selfConsistency: expected true or { samples?: <number> }');
+    }
+
+    const samples = selfConsistency === true || selfConsistency.samples === undefined
+      ? this.consistencySamples
+      : selfConsistency.samples;
+
+    return this.resolveEnsemble({ models: [model], samples: samples }, model);
+  }
+
+  /**
+   * Check a model is installed and allowed
+   * "mistral" matches an installed "mistral:latest".
+   * @param {string} model - Model name
+   * @returns {Promise<string>} Model name as installed
+   */
+  async validateModel(model) {
+    const installed = await this._getInstalledModels();
+    const name = installed.find(candidate => candidate === model || candidate === `${model}:latest`);
+
+    if (!name) {
+      throw new Error(`Invalid model: ${model} is not installed. Installed: ${installed.join(', ') || 'none'}`);
+    }
+
+    const { models: allowlist } = await this.getAllowlist();
+    if (allowlist && !allowlist.includes(name) && !allowlist.includes(name.replace(/:latest$/, ''))) {
+      throw new Error(`Invalid model: ${model} is not on the allowlist (${allowlist.join(', ')})`);
+    }
+
+    return name;
+  }
+
+  /**
+   * Models users may select (null = every installed model)
+   * @returns {Promise<Object>} { models, updatedAt, updatedBy }
+   */
+  async getAllowlist() {
+    if (!this.store.isReady()) {
+      return { models: null, updatedAt: null, updatedBy: null };
+    }
+
+    const doc = await this.store.get(collectionPath('settings'), ALLOWLIST_DOC_ID);
+
+    return {
+      models: doc ? doc.models || null : null,
+      updatedAt: doc ? doc.updatedAt : null,
+      updatedBy: doc ? doc.updatedBy : null
+    };
+  }
+
+  /**
+   * Replace the allowlist (admins only)
+   * Models don't have to be installed yet.
+   * @param {Array<string>|null} models - Allowed model names; null allows every installed model
+   * @param {string} adminUid - Admin making the change
+   * @returns {Promise<Object>} { models, updatedAt, updatedBy }
+   */
+  async setAllowlist(models, adminUid) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    if (models !== null && (!Array.isArray(models) || models.length === 0 ||
+      models.some(model => typeof model !== 'string' || model.trim().length === 0))) {
+      throw new Error('Invalid allowlist: models must be a non-empty array of model names, or null');
+    }
+
+    const allowlist = {
+      models: models === null ? null : [...new Set(models.map(model => model.trim()))],
+      updatedAt: new Date().toISOString(),
+      updatedBy: adminUid
+    };
+
+    await this.store.set(collectionPath('settings'), ALLOWLIST_DOC_ID, allowlist);
+
+    console.log(`[ModelService] Allowlist set by ${adminUid}: ${allowlist.models ? allowlist.models.join(', ') : 'all installed models'}`);
+    return allowlist;
+  }
+
+  /**
+   * A user's default models per purpose
+   * @param {string} adminUid - Admin user ID
+   * @returns {Promise<Object>} { analysis, query } (null = server default)
+   */
+  async getUserDefaults(adminUid) {
+    const defaults = { analysis: null, query: null };
+
+    if (!this.store.isReady()) {
+      return defaults;
+    }
+
+    const doc = await this.store.get(this._settingsPath(adminUid), USER_DEFAULTS_DOC_ID);
+    PURPOSES.forEach(purpose => {
+      defaults[purpose] = doc && doc[purpose] ? doc[purpose] : null;
+    });
+
+    return defaults;
+  }
+
+  /**
+   * Set a user's default models (given purposes only; null clears one)
+   * @param {string} adminUid - Admin user ID
+   * @param {Object} defaults - { analysis?, query? }
+   * @returns {Promise<Object>} { analysis, query }
+   */
+  async setUserDefaults(adminUid, defaults) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+      throw new Error('Invalid defaults: expected an object');
+    }
+
+    const unknown = Object.keys(defaults).filter(key => !PURPOSES.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid defaults: unknown purpose(s) ${unknown.join(', ')}. Use ${PURPOSES.join(', ')}`);
+    }
+
+    const updated = await this.getUserDefaults(adminUid);
+    for (const purpose of Object.keys(defaults)) {
+      updated[purpose] = defaults[purpose] === null ? null : await this.validateModel(String(defaults[purpose]).trim());
+    }
+
+    await this.store.set(this._settingsPath(adminUid), USER_DEFAULTS_DOC_ID, {
+      ...updated,
+      updatedAt: new Date().toISOString()
+    });
+
+    console.log(`[ModelService] Default models for ${adminUid}: analysis=${updated.analysis || 'server'}, query=${updated.query || 'server'}`);
+    return updated;
+  }
+
+  /**
+   * Installed models, cached briefly so each request doesn't list them
+   * @private
+   */
+  async _getInstalledModels() {
+    if (this.installedCache && Date.now() - this.installedCache.at < INSTALLED_CACHE_MS) {
+      return this.installedCache.models;
+    }
+
+    const status = await analysisService.checkOllamaStatus();
+    if (!status.available) {
+      throw new Error(`Cannot validate model: LLM server not available (${status.error})`);
+    }
+
+    this.installedCache = { models: status.installedModels, at: Date.now() };
+    return status.installedModels;
+  }
+
+  /**
+   * Collection path for a user's settings
+   * @private
+   */
+  _settingsPath(adminUid) {
+    return collectionPath('users', adminUid, 'settings');
+  }
+}
+
+module.exports = new ModelService();
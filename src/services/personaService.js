@@ -1,22 +1,47 @@
-const { getFirestore } = require('../config/firebase');
+const config = require('../config');
+const { getStore, collectionPath } = require('../storage');
+const vectorService = require('./vectorService');
+const revisionService = require('./revisionService');
+const relationshipService = require('./relationshipService');
+const customFieldService = require('./customFieldService');
+const taxonomyService = require('./taxonomyService');
+const analysisService = require('./analysisService');
+const { deletePersonaMedia } = require('../utils/mediaStorage');
+const { paginate } = require('../utils/pagination');
+const { buildAnalysisPredicate, buildPersonaPredicate, buildDateWhere } = require('../utils/listFilters');
+
+// Persona lifecycle states (personas created before states existed have no status = active)
+const STATUS_ACTIVE = 'active';
+const STATUS_ARCHIVED = 'archived';
+const STATUS_DELETED = 'deleted';
+
+// Profile fields callers may edit; everything else on a persona is managed by the service
+const EDITABLE_FIELDS = ['name', 'relationship', 'summary', 'notes', 'tags', 'customFields'];
+
+// Persona stats are computed over this many of the newest analyses
+const STATS_SAMPLE_SIZE = 100;
 
 /**
  * Persona Service - Manage personas (people being analyzed)
  */
 class PersonaService {
   constructor() {
-    this.db = getFirestore();
+    this.store = getStore();
+    this.deleteBatchSize = config.deleteBatchSize;
+    this.purgeAfterDays = config.personaPurgeDays;
   }
 
   /**
    * Create a new persona
    * @param {string} adminUid - Admin user ID
-   * @param {Object} data - Persona data
+   * @param {Object} data - Persona data (customFields are checked against the user's field schema)
+   * @param {Object} options - Create options
+   * @param {Object} options.importedFrom - Source of an imported persona
    * @returns {Promise<Object>} Created persona with ID
    */
-  async createPersona(adminUid, data) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+  async createPersona(adminUid, data, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
     // Validate required fields
@@ -24,6 +49,9 @@ class PersonaService {
       throw new Error('Persona name is required');
     }
 
+    const { fields } = await customFieldService.getSchema(adminUid);
+    const customFields = this._compactFields(customFieldService.validateValues(fields, data.customFields));
+
     // Prepare persona data
     const personaData = {
       name: data.name.trim(),
@@ -31,26 +59,27 @@ class PersonaService {
       summary: data.summary || '',
       notes: data.notes || '',
       tags: data.tags || [],
+      customFields: customFields,
+      status: STATUS_ACTIVE,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       analysisCount: 0,
+      reviewCount: 0,
       lastAnalyzedAt: null
     };
 
+    if (options.importedFrom) {
+      personaData.importedFrom = options.importedFrom;
+    }
+
     try {
       // Create persona document
-      const personaRef = this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .doc();
+      const personaId = await this.store.add(this._personasPath(adminUid), personaData);
 
-      await personaRef.set(personaData);
-
-      console.log(`[PersonaService] Created persona ${personaRef.id} for user ${adminUid}`);
+      console.log(`[PersonaService] Created persona ${personaId} for user ${adminUid}`);
 
       return {
-        id: personaRef.id,
+        id: personaId,
         ...personaData
       };
 
@@ -61,38 +90,47 @@ class PersonaService {
   }
 
   /**
-   * Get all personas for a user
+   * Get a page of personas for a user (trashed personas are never included)
    * @param {string} adminUid - Admin user ID
    * @param {Object} options - Query options
-   * @returns {Promise<Array>} List of personas
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor from the previous page
+   * @param {boolean} options.includeArchived - Also return archived personas
+   * @param {Object} options.filters - { tags, relationship, from, to } (see listFilters)
+   * @returns {Promise<Object>} { personas, nextCursor }
    */
   async getPersonas(adminUid, options = {}) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
-    const { limit = 50, orderBy = 'createdAt', order = 'desc' } = options;
+    const {
+      limit = 50,
+      orderBy = 'createdAt',
+      order = 'desc',
+      cursor,
+      includeArchived = false,
+      filters = {}
+    } = options;
 
     try {
-      let query = this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .orderBy(orderBy, order)
-        .limit(limit);
-
-      const snapshot = await query.get();
-
-      const personas = [];
-      snapshot.forEach(doc => {
-        personas.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+      // Legacy personas have no status field, so status is filtered here rather than in the query
+      // (paginate caps how many documents one page examines)
+      const visible = includeArchived ? [STATUS_ACTIVE, STATUS_ARCHIVED] : [STATUS_ACTIVE];
+      const fieldSchema = filters.fields && Object.keys(filters.fields).length > 0
+        ? (await customFieldService.getSchema(adminUid)).fields
+        : [];
+      const matchesFilters = buildPersonaPredicate(filters, fieldSchema);
+
+      const { items: personas, nextCursor } = await paginate(
+        this.store,
+        this._personasPath(adminUid),
+        { where: orderBy === 'createdAt' ? buildDateWhere(filters) : [], orderBy, order, limit, cursor },
+        persona => visible.includes(this.getStatus(persona)) && (!matchesFilters || matchesFilters(persona))
+      );
 
       console.log(`[PersonaService] Retrieved ${personas.length} personas for user ${adminUid}`);
-      return personas;
+      return { personas, nextCursor };
 
     } catch (error) {
       console.error('[PersonaService] Failed to get personas:', error.message);
@@ -107,26 +145,18 @@ class PersonaService {
    * @returns {Promise<Object>} Persona details
    */
   async getPersonaDetails(adminUid, personaId) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
     try {
-      const personaDoc = await this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .doc(personaId)
-        .get();
-
-      if (!personaDoc.exists) {
+      const persona = await this.store.get(this._personasPath(adminUid), personaId);
+
+      if (!persona) {
         throw new Error('Persona not found');
       }
 
-      return {
-        id: personaDoc.id,
-        ...personaDoc.data()
-      };
+      return persona;
 
     } catch (error) {
       console.error('[PersonaService] Failed to get persona details:', error.message);
@@ -135,89 +165,379 @@ class PersonaService {
   }
 
   /**
-   * Update persona
+   * Update persona (changed fields are recorded as a revision)
    * @param {string} adminUid - Admin user ID
    * @param {string} personaId - Persona ID
    * @param {Object} updates - Fields to update
+   * @param {Object} options - Revision details
+   * @param {Object} options.actor - { uid, email } of the editor (defaults to adminUid)
+   * @param {string} options.action - Revision action (default 'update')
    * @returns {Promise<Object>} Updated persona
    */
-  async updatePersona(adminUid, personaId, updates) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+  async updatePersona(adminUid, personaId, updates, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
     try {
-      const personaRef = this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .doc(personaId);
+      const personasPath = this._personasPath(adminUid);
 
       // Check if persona exists
-      const personaDoc = await personaRef.get();
-      if (!personaDoc.exists) {
+      const persona = await this.store.get(personasPath, personaId);
+      if (!persona) {
         throw new Error('Persona not found');
       }
 
-      // Prepare updates
-      const updateData = {
-        ...updates,
-        updatedAt: new Date().toISOString()
+      // Only profile fields are written; system fields (status, counts, ...) are ignored
+      const updateData = {};
+      EDITABLE_FIELDS
+        .filter(field => updates[field] !== undefined)
+        .forEach(field => {
+          updateData[field] = updates[field];
+        });
+
+      if (updateData.name !== undefined) {
+        if (typeof updateData.name !== 'string' || !updateData.name.trim()) {
+          throw new Error('Invalid name: must be a non-empty string');
+        }
+        updateData.name = updateData.name.trim();
+      }
+
+      // Custom fields are patched: only the given keys change, null clears one
+      if (updateData.customFields !== undefined) {
+        const { fields } = await customFieldService.getSchema(adminUid);
+        const changes = customFieldService.validateValues(fields, updateData.customFields, { partial: true });
+        updateData.customFields = this._compactFields({ ...(persona.customFields || {}), ...changes });
+      }
+
+      return await this._applyUpdate(adminUid, persona, updateData, options);
+
+    } catch (error) {
+      console.error('[PersonaService] Failed to update persona:', error.message);
+      throw new Error(`Failed to update persona: ${error.message}`);
+    }
+  }
+
+  /**
+   * Roll a persona's profile back to an earlier revision
+   * The rollback itself is recorded as a new revision, so it can be undone too.
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @param {number} revision - Revision to return to (0 = before the first change)
+   * @param {Object} options - Revision details
+   * @param {Object} options.actor - { uid, email } of the editor
+   * @returns {Promise<Object>} Updated persona
+   */
+  async rollbackPersona(adminUid, personaId, revision, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    try {
+      const persona = await this.store.get(this._personasPath(adminUid), personaId);
+      if (!persona) {
+        throw new Error('Persona not found');
+      }
+
+      const fields = await revisionService.getRollbackFields(adminUid, persona, revision);
+
+      console.log(`[PersonaService] Rolling back persona ${personaId} to revision ${revision}`);
+
+      // Restored values are written as recorded, even if the field schema changed since
+      return await this._applyUpdate(adminUid, persona, fields, {
+        actor: options.actor,
+        action: 'rollback',
+        rolledBackTo: revision
+      });
+
+    } catch (error) {
+      console.error('[PersonaService] Failed to roll back persona:', error.message);
+      throw new Error(`Failed to roll back persona: ${error.message}`);
+    }
+  }
+
+  /**
+   * Archive a persona (hidden from listings and RAG retrieval until restored)
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<Object>} Updated persona
+   */
+  async archivePersona(adminUid, personaId) {
+    return this._changeStatus(adminUid, personaId, 'archive', [STATUS_ACTIVE], {
+      status: STATUS_ARCHIVED,
+      archivedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Move a persona to the trash; it is purged permanently after the purge window
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<Object>} Updated persona
+   */
+  async trashPersona(adminUid, personaId) {
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + this.purgeAfterDays * 24 * 60 * 60 * 1000);
+
+    return this._changeStatus(adminUid, personaId, 'trash', [STATUS_ACTIVE, STATUS_ARCHIVED], {
+      status: STATUS_DELETED,
+      deletedAt: now.toISOString(),
+      purgeAfter: purgeAfter.toISOString()
+    });
+  }
+
+  /**
+   * Restore an archived or trashed persona
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<Object>} Updated persona
+   */
+  async restorePersona(adminUid, personaId) {
+    return this._changeStatus(adminUid, personaId, 'restore', [STATUS_ARCHIVED, STATUS_DELETED], {
+      status: STATUS_ACTIVE,
+      archivedAt: null,
+      deletedAt: null,
+      purgeAfter: null
+    });
+  }
+
+  /**
+   * Merge a duplicate persona into another one
+   * Moves the source's analyses (keeping their IDs, so a failed merge can be re-run),
+   * memories and relationship edges to the target, combines tags and notes,
+   * recomputes the target's analysis stats and archives the source.
+   * @param {string} adminUid - Admin user ID
+   * @param {string} targetId - Persona that survives
+   * @param {string} sourceId - Duplicate persona to fold into the target
+   * @returns {Promise<Object>} Merge report
+   */
+  async mergePersonas(adminUid, targetId, sourceId) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    try {
+      if (targetId === sourceId) {
+        throw new Error('Cannot merge a persona into itself');
+      }
+
+      const personasPath = this._personasPath(adminUid);
+      const [target, source] = await Promise.all([
+        this.store.get(personasPath, targetId),
+        this.store.get(personasPath, sourceId)
+      ]);
+
+      if (!target) {
+        throw new Error('Target persona not found');
+      }
+      if (!source) {
+        throw new Error('Source persona not found');
+      }
+      if (!this.isActive(target)) {
+        throw new Error(`Cannot merge into a persona that is ${this.getStatus(target)}`);
+      }
+      if (this.getStatus(source) === STATUS_DELETED) {
+        throw new Error('Cannot merge a persona that is deleted');
+      }
+
+      // Fail before moving anything if memories can't follow the analyses
+      if (vectorService.ragEnabled && !vectorService.isReady()) {
+        throw new Error('Vector service not available. Cannot move persona memories.');
+      }
+
+      const analysesMoved = await this._moveAllAnalyses(adminUid, sourceId, targetId);
+      const memoriesRetagged = await vectorService.reassignPersonaMemories(adminUid, sourceId, targetId);
+      const edgesMoved = await relationshipService.reassignPersonaEdges(adminUid, sourceId, targetId);
+
+      // Combine profile fields
+      const targetTags = target.tags || [];
+      const tagsAdded = (source.tags || []).filter(tag => !targetTags.includes(tag));
+      const notes = this._mergeNotes(target.notes, source);
+
+      // Recompute stats from what is now in the target's subcollection
+      const { analysisCount, reviewCount, lastAnalyzedAt } = await this._computeAnalysisStats(adminUid, targetId);
+
+      const now = new Date().toISOString();
+      const targetUpdate = {
+        tags: [...targetTags, ...tagsAdded],
+        notes: notes,
+        summary: target.summary || source.summary || '',
+        customFields: { ...(source.customFields || {}), ...(target.customFields || {}) },
+        analysisCount: analysisCount,
+        reviewCount: reviewCount,
+        lastAnalyzedAt: lastAnalyzedAt,
+        updatedAt: now
       };
 
-      // Remove fields that shouldn't be updated
-      delete updateData.id;
-      delete updateData.createdAt;
-      delete updateData.analysisCount;
+      const { persona: mergedTarget } = await revisionService.updateWithRevision(adminUid, targetId, targetUpdate, { action: 'merge' });
 
-      await personaRef.update(updateData);
+      await this.store.update(personasPath, sourceId, {
+        status: STATUS_ARCHIVED,
+        archivedAt: source.archivedAt || now,
+        mergedInto: targetId,
+        analysisCount: 0,
+        reviewCount: 0,
+        lastAnalyzedAt: null,
+        updatedAt: now
+      });
 
-      console.log(`[PersonaService] Updated persona ${personaId}`);
+      console.log(`[PersonaService] Merged persona ${sourceId} into ${targetId} (${analysesMoved} analyses, ${memoriesRetagged} memories)`);
 
       return {
-        id: personaId,
-        ...personaDoc.data(),
-        ...updateData
+        targetId: targetId,
+        sourceId: sourceId,
+        analysesMoved: analysesMoved,
+        memoriesRetagged: memoriesRetagged,
+        edgesMoved: edgesMoved,
+        tagsAdded: tagsAdded,
+        notesMerged: notes !== (target.notes || ''),
+        analysisCount: analysisCount,
+        lastAnalyzedAt: targetUpdate.lastAnalyzedAt,
+        sourceStatus: STATUS_ARCHIVED,
+        persona: mergedTarget
       };
 
     } catch (error) {
-      console.error('[PersonaService] Failed to update persona:', error.message);
-      throw new Error(`Failed to update persona: ${error.message}`);
+      console.error('[PersonaService] Failed to merge personas:', error.message);
+      throw new Error(`Failed to merge personas: ${error.message}`);
     }
   }
 
   /**
-   * Delete persona
+   * Get personas in the trash
+   * @param {string} adminUid - Admin user ID
+   * @returns {Promise<Array>} Trashed personas, most recently deleted first
+   */
+  async getTrash(adminUid) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    try {
+      const personas = await this.store.query(this._personasPath(adminUid), {
+        where: [['status', '==', STATUS_DELETED]]
+      });
+
+      return personas.sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+
+    } catch (error) {
+      console.error('[PersonaService] Failed to get trash:', error.message);
+      throw new Error(`Failed to get trash: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get IDs of personas whose memories must be left out of RAG retrieval
+   * @param {string} adminUid - Admin user ID
+   * @returns {Promise<Array<string>>} Archived and trashed persona IDs
+   */
+  async getInactivePersonaIds(adminUid) {
+    if (!this.store.isReady()) {
+      return [];
+    }
+
+    const personas = await this.store.query(this._personasPath(adminUid), {
+      where: [['status', 'in', [STATUS_ARCHIVED, STATUS_DELETED]]]
+    });
+
+    return personas.map(persona => persona.id);
+  }
+
+  /**
+   * Permanently delete every trashed persona whose purge window has passed
+   * @returns {Promise<number>} Number of personas purged
+   */
+  async purgeExpiredPersonas() {
+    if (!this.store.isReady()) {
+      return 0;
+    }
+
+    // Needs the collection-group index on personas.purgeAfter in firestore.indexes.json
+    const now = new Date().toISOString();
+    const expired = await this.store.queryGroup('personas', {
+      where: [['purgeAfter', '<=', now]]
+    });
+
+    let purged = 0;
+    for (const { collectionPath: personasPath, doc } of expired) {
+      // users/{uid}/personas
+      const adminUid = personasPath.split('/')[1];
+
+      try {
+        // Skipped if it was restored since the query
+        if (!(await this._startDeletion(adminUid, doc.id, now))) {
+          continue;
+        }
+
+        await this.deletePersona(adminUid, doc.id);
+        purged++;
+      } catch (error) {
+        // Left in the trash; the next run retries
+        console.error(`[PersonaService] Failed to purge persona ${doc.id}:`, error.message);
+      }
+    }
+
+    if (purged > 0) {
+      console.log(`[PersonaService] Purged ${purged} expired personas`);
+    }
+    return purged;
+  }
+
+  /**
+   * Get a persona's lifecycle status
+   * @param {Object} persona - Persona document
+   * @returns {string} 'active', 'archived' or 'deleted'
+   */
+  getStatus(persona) {
+    return persona.status || STATUS_ACTIVE;
+  }
+
+  /**
+   * Check whether a persona is active (not archived or trashed)
+   * @param {Object} persona - Persona document
+   * @returns {boolean}
+   */
+  isActive(persona) {
+    return this.getStatus(persona) === STATUS_ACTIVE;
+  }
+
+  /**
+   * Delete persona and everything attached to it
+   * Order: analyses (batched) -> vector memories -> revisions -> edges -> media (saved transcripts) -> persona document.
+   * The persona document goes last so a failed run can simply be retried.
    * @param {string} adminUid - Admin user ID
    * @param {string} personaId - Persona ID
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object>} Deleted counts per store
    */
   async deletePersona(adminUid, personaId) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
     try {
-      const personaRef = this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .doc(personaId);
+      const personasPath = this._personasPath(adminUid);
 
-      // Check if persona exists
-      const personaDoc = await personaRef.get();
-      if (!personaDoc.exists) {
+      // Mark as in-progress so partially deleted personas are identifiable (and can't be restored)
+      const persona = await this._startDeletion(adminUid, personaId);
+      if (!persona) {
         throw new Error('Persona not found');
       }
 
-      // Delete persona document
-      await personaRef.delete();
+      const report = {
+        analyses: await this._deleteAllAnalyses(adminUid, personaId),
+        memories: await vectorService.deletePersonaMemories(adminUid, personaId),
+        revisions: await revisionService.deleteAllRevisions(adminUid, personaId),
+        edges: await relationshipService.deletePersonaEdges(adminUid, personaId),
+        media: await deletePersonaMedia(adminUid, personaId),
+        persona: 0
+      };
 
-      // Note: Analyses subcollection will need to be deleted separately
-      // or use a Cloud Function for cascading deletes
+      // Delete persona document
+      await this.store.delete(personasPath, personaId);
+      report.persona = 1;
 
-      console.log(`[PersonaService] Deleted persona ${personaId}`);
-      return true;
+      console.log(`[PersonaService] Deleted persona ${personaId} (${report.analyses} analyses, ${report.memories} memories, ${report.media} media files)`);
+      return report;
 
     } catch (error) {
       console.error('[PersonaService] Failed to delete persona:', error.message);
@@ -233,43 +553,41 @@ class PersonaService {
    * @returns {Promise<string>} Analysis document ID
    */
   async saveAnalysis(adminUid, personaId, analysisData) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
     try {
-      // Add analysis to persona's subcollection
-      const analysisRef = this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .doc(personaId)
-        .collection('analyses')
-        .doc();
-
+      const now = new Date().toISOString();
       const analysisDoc = {
         ...analysisData,
-        timestamp: new Date().toISOString(),
-        createdAt: new Date().toISOString()
+        timestamp: now,
+        createdAt: now
       };
 
-      await analysisRef.set(analysisDoc);
+      // Analysis and counters are written together, so concurrent saves don't lose increments
+      const personasPath = this._personasPath(adminUid);
+      const analysisId = await this.store.transaction(async (tx) => {
+        // Deleted since the request started
+        const persona = await tx.get(personasPath, personaId);
+        if (!persona) {
+          throw new Error('Persona not found');
+        }
+
+        const id = tx.add(this._analysesPath(adminUid, personaId), analysisDoc);
 
-      // Update persona's analysis count and last analyzed time
-      const personaRef = this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .doc(personaId);
+        tx.update(personasPath, personaId, {
+          analysisCount: (persona.analysisCount || 0) + 1,
+          ...(analysisData.needs_review ? { reviewCount: (persona.reviewCount || 0) + 1 } : {}),
+          lastAnalyzedAt: now,
+          updatedAt: now
+        });
 
-      await personaRef.update({
-        analysisCount: (await personaRef.get()).data().analysisCount + 1,
-        lastAnalyzedAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+        return id;
       });
 
-      console.log(`[PersonaService] Saved analysis ${analysisRef.id} for persona ${personaId}`);
-      return analysisRef.id;
+      console.log(`[PersonaService] Saved analysis ${analysisId} for persona ${personaId}`);
+      return analysisId;
 
     } catch (error) {
       console.error('[PersonaService] Failed to save analysis:', error.message);
@@ -278,38 +596,130 @@ class PersonaService {
   }
 
   /**
-   * Get persona's analyses
+   * Write existing analysis records (e.g. from an import) into a persona's subcollection
+   * Unlike saveAnalysis, original timestamps are kept. New IDs are issued unless keepIds is set.
    * @param {string} adminUid - Admin user ID
    * @param {string} personaId - Persona ID
-   * @param {number} limit - Number of analyses to retrieve
-   * @returns {Promise<Array>} List of analyses
+   * @param {Array<Object>} analyses - Analysis records
+   * @param {Object} options - Import options
+   * @param {boolean} options.keepIds - Reuse each record's id (makes re-running idempotent)
+   * @param {Object} options.fields - Extra fields stamped on every record
+   * @returns {Promise<Object>} { imported, analysisCount, reviewCount, lastAnalyzedAt }
    */
-  async getPersonaAnalyses(adminUid, personaId, limit = 10) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+  async importAnalyses(adminUid, personaId, analyses, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
     try {
-      const analysesRef = this.db
-        .collection('users')
-        .doc(adminUid)
-        .collection('personas')
-        .doc(personaId)
-        .collection('analyses')
-        .orderBy('timestamp', 'desc')
-        .limit(limit);
-
-      const snapshot = await analysesRef.get();
-
-      const analyses = [];
-      snapshot.forEach(doc => {
-        analyses.push({
-          id: doc.id,
-          ...doc.data()
-        });
+      const analysesPath = this._analysesPath(adminUid, personaId);
+      const now = new Date().toISOString();
+
+      for (const { id, ...analysis } of analyses) {
+        const data = {
+          ...analysis,
+          ...options.fields,
+          timestamp: this._isoTimestamp(analysis.timestamp) || this._isoTimestamp(analysis.createdAt) || now,
+          createdAt: this._isoTimestamp(analysis.createdAt) || now
+        };
+
+        if (options.keepIds && id) {
+          await this.store.set(analysesPath, id, data);
+        } else {
+          await this.store.add(analysesPath, data);
+        }
+      }
+
+      const stats = await this._computeAnalysisStats(adminUid, personaId);
+      await this.store.update(this._personasPath(adminUid), personaId, {
+        ...stats,
+        updatedAt: now
       });
 
-      return analyses;
+      console.log(`[PersonaService] Imported ${analyses.length} analyses for persona ${personaId}`);
+      return { imported: analyses.length, ...stats };
+
+    } catch (error) {
+      console.error('[PersonaService] Failed to import analyses:', error.message);
+      throw new Error(`Failed to import analyses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark an analysis flagged needs_review as reviewed
+   * Reviewing an analysis that isn't flagged just returns it.
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @param {string} analysisId - Analysis ID
+   * @param {Object} review - { reviewedBy, note? }
+   * @returns {Promise<Object>} The updated analysis
+   */
+  async markAnalysisReviewed(adminUid, personaId, analysisId, review = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const personasPath = this._personasPath(adminUid);
+    const persona = await this.store.get(personasPath, personaId);
+    if (!persona) {
+      throw new Error('Persona not found');
+    }
+
+    const analysesPath = this._analysesPath(adminUid, personaId);
+    const analysis = await this.store.get(analysesPath, analysisId);
+    if (!analysis) {
+      throw new Error('Analysis not found');
+    }
+
+    if (!analysis.needs_review) {
+      return analysis;
+    }
+
+    const now = new Date().toISOString();
+    const update = {
+      needs_review: false,
+      reviewedAt: now,
+      reviewedBy: review.reviewedBy || null,
+      reviewNote: review.note || null
+    };
+
+    await this.store.update(analysesPath, analysisId, update);
+    await this.store.update(personasPath, personaId, {
+      reviewCount: Math.max((persona.reviewCount || 1) - 1, 0),
+      updatedAt: now
+    });
+
+    console.log(`[PersonaService] Analysis ${analysisId} of persona ${personaId} reviewed`);
+    return { ...analysis, ...update };
+  }
+
+  /**
+   * Get a page of a persona's analyses, newest first
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor from the previous page
+   * @param {Object} options.filters - { sentiments, traits, from, to } (see listFilters)
+   * @returns {Promise<Object>} { analyses, nextCursor }
+   */
+  async getPersonaAnalyses(adminUid, personaId, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const { limit = 10, cursor, filters = {} } = options;
+
+    try {
+      const { items: analyses, nextCursor } = await paginate(
+        this.store,
+        this._analysesPath(adminUid, personaId),
+        // Ordered by createdAt so the date range can be filtered in the query
+        { where: buildDateWhere(filters), orderBy: 'createdAt', order: 'desc', limit, cursor },
+        buildAnalysisPredicate(filters)
+      );
+
+      return { analyses, nextCursor };
 
     } catch (error) {
       console.error('[PersonaService] Failed to get persona analyses:', error.message);
@@ -319,43 +729,59 @@ class PersonaService {
 
   /**
    * Get persona statistics
+   * Overall counts plus a breakdown per taxonomy version (byTaxonomy); analyses
+   * saved before taxonomies existed count as the built-in "default" version 1.
+   * bigFive summarizes the OCEAN scores of analyses made in big_five mode.
+   * Only the newest STATS_SAMPLE_SIZE analyses are included; truncated says whether older ones were left out.
    * @param {string} adminUid - Admin user ID
    * @param {string} personaId - Persona ID
    * @returns {Promise<Object>} Statistics
    */
   async getPersonaStats(adminUid, personaId) {
-    if (!this.db) {
-      throw new Error('Firestore not initialized');
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
     }
 
     try {
-      const analyses = await this.getPersonaAnalyses(adminUid, personaId, 100);
-
-      // Calculate statistics
-      const sentiments = {};
-      const traits = {};
+      const { analyses } = await this.getPersonaAnalyses(adminUid, personaId, { limit: STATS_SAMPLE_SIZE });
+      const analysisCount = analyses.length < STATS_SAMPLE_SIZE
+        ? analyses.length
+        : await this.store.count(this._analysesPath(adminUid, personaId));
 
+      // Labels are only comparable within one taxonomy version, so also break the counts down by it
+      const groups = new Map();
       analyses.forEach(analysis => {
-        // Count sentiments
-        if (analysis.sentiment) {
-          sentiments[analysis.sentiment] = (sentiments[analysis.sentiment] || 0) + 1;
-        }
+        const taxonomyId = analysis.taxonomy_id || 'default';
+        const taxonomyVersion = analysis.taxonomy_version || 1;
+        const key = `${taxonomyId}@${taxonomyVersion}`;
 
-        // Count personality traits
-        if (analysis.personality_traits) {
-          analysis.personality_traits.forEach(trait => {
-            traits[trait] = (traits[trait] || 0) + 1;
-          });
+        if (!groups.has(key)) {
+          groups.set(key, { taxonomyId, taxonomyVersion, analyses: [] });
         }
+        groups.get(key).analyses.push(analysis);
       });
 
+      const taxonomyNames = new Map([['default', taxonomyService.getDefaultTaxonomy().name]]);
+      if ([...groups.values()].some(group => group.taxonomyId !== 'default')) {
+        (await taxonomyService.listTaxonomies(adminUid)).forEach(taxonomy => {
+          taxonomyNames.set(taxonomy.id, taxonomy.name);
+        });
+      }
+
       return {
         totalAnalyses: analyses.length,
-        sentimentDistribution: sentiments,
-        topTraits: Object.entries(traits)
-          .sort((a, b) => b[1] - a[1])
-          .slice(0, 5)
-          .map(([trait, count]) => ({ trait, count })),
+        sampleSize: STATS_SAMPLE_SIZE,
+        truncated: analysisCount > analyses.length,
+        ...this._countLabels(analyses),
+        byTaxonomy: [...groups.values()].map(group => ({
+          taxonomyId: group.taxonomyId,
+          taxonomyVersion: group.taxonomyVersion,
+          taxonomyName: taxonomyNames.get(group.taxonomyId) || null,
+          totalAnalyses: group.analyses.length,
+          ...this._countLabels(group.analyses)
+        })),
+        bigFive: this._bigFiveStats(analyses),
+        emotions: this._emotionStats(analyses),
         recentAnalyses: analyses.slice(0, 5)
       };
 
@@ -364,6 +790,374 @@ class PersonaService {
       throw new Error(`Failed to get persona stats: ${error.message}`);
     }
   }
+
+  /**
+   * Sentiment distribution and top traits of a set of analyses
+   * @private
+   */
+  _countLabels(analyses) {
+    const sentiments = {};
+    const traits = {};
+
+    analyses.forEach(analysis => {
+      // Count sentiments
+      if (analysis.sentiment) {
+        sentiments[analysis.sentiment] = (sentiments[analysis.sentiment] || 0) + 1;
+      }
+
+      // Count personality traits
+      if (analysis.personality_traits) {
+        analysis.personality_traits.forEach(trait => {
+          traits[trait] = (traits[trait] || 0) + 1;
+        });
+      }
+    });
+
+    return {
+      sentimentDistribution: sentiments,
+      topTraits: Object.entries(traits)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([trait, count]) => ({ trait, count }))
+    };
+  }
+
+  /**
+   * Mean, variance and oldest-first time series per Big Five dimension
+   * Each series point carries the running mean up to that analysis.
+   * @private
+   */
+  _bigFiveStats(analyses) {
+    const scored = analyses
+      .filter(analysis => analysis.big_five)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+    const dimensions = {};
+    analysisService.bigFiveDimensions.forEach(dimension => {
+      let count = 0;
+      let mean = 0;
+      let m2 = 0;
+      const series = [];
+
+      // Welford's online algorithm, so the running mean/variance come out of one pass
+      scored.forEach(analysis => {
+        const entry = analysis.big_five[dimension];
+        if (!entry || typeof entry.score !== 'number') {
+          return;
+        }
+
+        count++;
+        const delta = entry.score - mean;
+        mean += delta / count;
+        m2 += delta * (entry.score - mean);
+
+        series.push({
+          analysisId: analysis.id,
+          createdAt: analysis.createdAt,
+          score: entry.score,
+          runningMean: this._round(mean)
+        });
+      });
+
+      dimensions[dimension] = {
+        count: count,
+        mean: count > 0 ? this._round(mean) : null,
+        variance: count > 0 ? this._round(m2 / count) : null,
+        series: series
+      };
+    });
+
+    return {
+      analysesScored: scored.length,
+      dimensions: dimensions
+    };
+  }
+
+  /**
+   * Average intensity and 5-bin histogram per emotion, plus valence/arousal and dominant emotion counts
+   * @private
+   */
+  _emotionStats(analyses) {
+    const scored = analyses.filter(analysis => analysis.emotions);
+
+    const summarize = (values, min) => {
+      // Bins of equal width across [min, 1]; a score of exactly 1 falls in the last bin
+      const width = (1 - min) / 5;
+      const distribution = {};
+      for (let bin = 0; bin < 5; bin++) {
+        const from = min + bin * width;
+        distribution[`${from.toFixed(1)} to ${(from + width).toFixed(1)}`] = 0;
+      }
+      const labels = Object.keys(distribution);
+      values.forEach(value => {
+        distribution[labels[Math.min(4, Math.floor(this._round((value - min) / width)))]]++;
+      });
+
+      return {
+        average: values.length > 0 ? this._round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+        distribution: distribution
+      };
+    };
+    const scores = (read) => scored.map(read).filter(value => typeof value === 'number');
+
+    const emotions = {};
+    analysisService.emotions.forEach(emotion => {
+      emotions[emotion] = summarize(scores(analysis => analysis.emotions[emotion]), 0);
+    });
+
+    const dominantEmotions = {};
+    scored.forEach(analysis => {
+      const dominant = analysis.dominant_emotion || 'none';
+      dominantEmotions[dominant] = (dominantEmotions[dominant] || 0) + 1;
+    });
+
+    return {
+      analysesScored: scored.length,
+      emotions: emotions,
+      valence: summarize(scores(analysis => analysis.valence), -1),
+      arousal: summarize(scores(analysis => analysis.arousal), 0),
+      dominantEmotions: dominantEmotions
+    };
+  }
+
+  /**
+   * Round a statistic to 4 decimals
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Write profile changes to a persona, recording a revision when something changed
+   * @private
+   * @returns {Promise<Object>} Updated persona
+   */
+  async _applyUpdate(adminUid, persona, fields, revisionOptions) {
+    const updateData = {
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+
+    const { persona: updated } = await revisionService.updateWithRevision(adminUid, persona.id, updateData, revisionOptions);
+
+    console.log(`[PersonaService] Updated persona ${persona.id}`);
+
+    return updated;
+  }
+
+  /**
+   * Drop cleared (null) custom field values
+   * @private
+   */
+  _compactFields(values) {
+    const compact = {};
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        compact[key] = value;
+      }
+    });
+    return compact;
+  }
+
+  /**
+   * Apply a lifecycle transition after checking the current status
+   * @private
+   */
+  async _changeStatus(adminUid, personaId, action, allowedFrom, fields) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    try {
+      const personasPath = this._personasPath(adminUid);
+
+      // Read and write in one transaction so a deletion starting meanwhile can't be undone
+      const { persona, currentStatus, updateData } = await this.store.transaction(async (tx) => {
+        const persona = await tx.get(personasPath, personaId);
+        if (!persona) {
+          throw new Error('Persona not found');
+        }
+
+        if (persona.deletionStartedAt) {
+          throw new Error(`Cannot ${action} a persona that is being deleted`);
+        }
+
+        const currentStatus = this.getStatus(persona);
+        if (!allowedFrom.includes(currentStatus)) {
+          throw new Error(`Cannot ${action} a persona that is ${currentStatus}`);
+        }
+
+        const updateData = {
+          ...fields,
+          updatedAt: new Date().toISOString()
+        };
+
+        tx.update(personasPath, personaId, updateData);
+        return { persona, currentStatus, updateData };
+      });
+
+      console.log(`[PersonaService] Persona ${personaId}: ${currentStatus} -> ${fields.status}`);
+
+      return {
+        ...persona,
+        ...updateData,
+        id: personaId
+      };
+
+    } catch (error) {
+      console.error(`[PersonaService] Failed to ${action} persona:`, error.message);
+      throw new Error(`Failed to ${action} persona: ${error.message}`);
+    }
+  }
+
+  /**
+   * ISO string for a stored time: legacy history analyses hold Firestore Timestamps,
+   * persona analyses ISO strings, and one ordered field must not mix the two
+   * @private
+   * @returns {string|null} ISO string, or null when there is no value
+   */
+  _isoTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+    if (typeof value.toDate === 'function') {
+      return value.toDate().toISOString();
+    }
+    return value instanceof Date ? value.toISOString() : value;
+  }
+
+  /**
+   * Mark a persona as being deleted, unless it already is
+   * @private
+   * @param {string} expiredBefore - Only mark a trashed persona whose purgeAfter is at or before this time
+   * @returns {Promise<Object|null>} The persona, or null if it doesn't exist (or isn't due for purging)
+   */
+  async _startDeletion(adminUid, personaId, expiredBefore = null) {
+    const personasPath = this._personasPath(adminUid);
+
+    return this.store.transaction(async (tx) => {
+      const persona = await tx.get(personasPath, personaId);
+      if (!persona) {
+        return null;
+      }
+
+      if (expiredBefore && !persona.deletionStartedAt &&
+          (this.getStatus(persona) !== STATUS_DELETED || !persona.purgeAfter || persona.purgeAfter > expiredBefore)) {
+        return null;
+      }
+
+      if (!persona.deletionStartedAt) {
+        persona.deletionStartedAt = new Date().toISOString();
+        tx.update(personasPath, personaId, { deletionStartedAt: persona.deletionStartedAt });
+      }
+      return persona;
+    });
+  }
+
+  /**
+   * Move every analysis of one persona into another persona's subcollection
+   * @private
+   * @returns {Promise<number>} Number of analyses moved
+   */
+  async _moveAllAnalyses(adminUid, fromPersonaId, toPersonaId) {
+    const fromPath = this._analysesPath(adminUid, fromPersonaId);
+    const toPath = this._analysesPath(adminUid, toPersonaId);
+    let moved = 0;
+
+    while (true) {
+      const batch = await this.store.query(fromPath, { limit: this.deleteBatchSize });
+      if (batch.length === 0) {
+        break;
+      }
+
+      // Copy first, then delete: an interrupted move leaves duplicates, never gaps
+      for (const { id, ...analysis } of batch) {
+        await this.store.set(toPath, id, { ...analysis, mergedFrom: fromPersonaId });
+      }
+      await this.store.deleteMany(fromPath, batch.map(doc => doc.id));
+      moved += batch.length;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Count a persona's analyses and find the most recent one
+   * @private
+   * @returns {Promise<Object>} { analysisCount, reviewCount, lastAnalyzedAt }
+   */
+  async _computeAnalysisStats(adminUid, personaId) {
+    const analysesPath = this._analysesPath(adminUid, personaId);
+    const analysisCount = await this.store.count(analysesPath);
+    const reviewCount = await this.store.count(analysesPath, { where: [['needs_review', '==', true]] });
+    const [latest] = await this.store.query(analysesPath, {
+      orderBy: 'timestamp',
+      order: 'desc',
+      limit: 1
+    });
+
+    return {
+      analysisCount: analysisCount,
+      reviewCount: reviewCount,
+      lastAnalyzedAt: latest ? latest.timestamp : null
+    };
+  }
+
+  /**
+   * Append a merged persona's notes to the target's notes
+   * @private
+   */
+  _mergeNotes(targetNotes, source) {
+    const current = targetNotes || '';
+    const incoming = (source.notes || '').trim();
+
+    // Skip empty notes and notes already appended by an earlier (interrupted) merge
+    if (!incoming || current.includes(incoming)) {
+      return current;
+    }
+
+    const header = `--- Merged from ${source.name} ---`;
+    return current ? `${current}\n\n${header}\n${incoming}` : `${header}\n${incoming}`;
+  }
+
+  /**
+   * Delete a persona's analyses subcollection in batches
+   * @private
+   * @returns {Promise<number>} Number of analyses deleted
+   */
+  async _deleteAllAnalyses(adminUid, personaId) {
+    const analysesPath = this._analysesPath(adminUid, personaId);
+    let deleted = 0;
+
+    while (true) {
+      const batch = await this.store.query(analysesPath, { limit: this.deleteBatchSize });
+      if (batch.length === 0) {
+        break;
+      }
+
+      await this.store.deleteMany(analysesPath, batch.map(doc => doc.id));
+      deleted += batch.length;
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Collection path for a user's personas
+   * @private
+   */
+  _personasPath(adminUid) {
+    return collectionPath('users', adminUid, 'personas');
+  }
+
+  /**
+   * Collection path for a persona's analyses
+   * @private
+   */
+  _analysesPath(adminUid, personaId) {
+    return collectionPath('users', adminUid, 'personas', personaId, 'analyses');
+  }
 }
 
 module.exports = new PersonaService();
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { getStore, collectionPath } = require('../storage');
+
+const SETTINGS_DOC_ID = 'prompts';
+const VERSION_FILE = /^([A-Za-z0-9][A-Za-z0-9._-]*)\.txt$/;
+
+// {{#name}}...{{/name}} repeats over an array or shows when truthy, {{^name}}...{{/name}} shows when empty, {{name}} inserts a value
+const TOKEN = /\{\{([#^])([\w-]+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{([\w-]+)\}\}/g;
+
+/**
+ * Prompt Service - Registry of named, versioned prompt templates
+ * Templates are read at startup from PROMPTS_DIR (default: prompts/), one
+ * directory per prompt and one <version>.txt file per version, e.g.
+ * prompts/analysis/v1.txt. The default version of a prompt is its highest
+ * version; an admin can pin another one for everyone at settings/prompts.
+ * A prompt named <name>-<language> (e.g. analysis-hi) is the variant of <name>
+ * used for texts in that language.
+ */
+class PromptService {
+  constructor() {
+    this.store = getStore();
+    this.directory = process.env.PROMPTS_DIR || path.join(__dirname, '..', '..', 'prompts');
+    this.templates = this._loadTemplates();
+  }
+
+  /**
+   * List prompts with their versions and the active version
+   * @returns {Promise<Array>} [{ name, versions, defaultVersion, activeVersion }]
+   */
+  async listPrompts() {
+    const active = await this._getActiveVersions();
+
+    return [...this.templates.keys()].map(name => ({
+      name: name,
+      versions: [...this.templates.get(name).keys()],
+      defaultVersion: this._defaultVersion(name),
+      activeVersion: this._activeVersion(name, active)
+    }));
+  }
+
+  /**
+   * Get a prompt with the text of every version
+   * @param {string} name - Prompt name
+   * @returns {Promise<Object>} { name, versions: [{ version, template }], defaultVersion, activeVersion }
+   */
+  async getPrompt(name) {
+    const versions = this._versionsOf(name);
+    const active = await this._getActiveVersions();
+
+    return {
+      name: name,
+      versions: [...versions.entries()].map(([version, template]) => ({ version, template })),
+      defaultVersion: this._defaultVersion(name),
+      activeVersion: this._activeVersion(name, active)
+    };
+  }
+
+  /**
+   * Pin the version of a prompt every analysis and answer uses (admins only)
+   * @param {string} adminUid - Admin making the change
+   * @param {string} name - Prompt name
+   * @param {string|null} version - Version to use; null goes back to the default (latest) version
+   * @returns {Promise<Object>} { name, activeVersion, pinned }
+   */
+  async setActiveVersion(adminUid, name, version) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const versions = this._versionsOf(name);
+    if (version !== null && (typeof version !== 'string' || !versions.has(version))) {
+      throw new Error(`Invalid version: use one of ${[...versions.keys()].join(', ')} (or null for the default)`);
+    }
+
+    const active = { ...(await this._getActiveVersions()) };
+    if (version === null) {
+      delete active[name];
+    } else {
+      active[name] = version;
+    }
+
+    await this.store.set(collectionPath('settings'), SETTINGS_DOC_ID, {
+      active: active,
+      updatedBy: adminUid,
+      updatedAt: new Date().toISOString()
+    });
+
+    console.log(`[PromptService] ${adminUid} set ${name}@${this._activeVersion(name, active)} as the active version`);
+    return { name: name, activeVersion: this._activeVersion(name, active), pinned: version !== null };
+  }
+
+  /**
+   * The active version of every prompt
+   * @returns {Promise<Object>} { <name>: { name, version, template } }
+   */
+  async getActivePrompts() {
+    const active = await this._getActiveVersions();
+    const prompts = {};
+
+    this.templates.forEach((versions, name) => {
+      const version = this._activeVersion(name, active);
+      prompts[name] = { name: name, version: version, template: versions.get(version) };
+    });
+
+    return prompts;
+  }
+
+  /**
+   * Pick a prompt from a getActivePrompts() result, falling back to its default version
+   * @param {Object} prompts - Active prompts (optional)
+   * @param {string} name - Prompt name
+   * @returns {Object} { name, version, template }
+   */
+  resolve(prompts, name) {
+    if (prompts && prompts[name]) {
+      return prompts[name];
+    }
+
+    const version = this._defaultVersion(name);
+    return { name: name, version: version, template: this._versionsOf(name).get(version) };
+  }
+
+  /**
+   * Name of the variant of a prompt for a language (e.g. analysis-hi), if there is one
+   * @param {string} name - Prompt name
+   * @param {string} language - ISO 639 code
+   * @returns {string} Name of the variant, else the prompt's own name
+   */
+  localize(name, language) {
+    const localized = `${name}-${language}`;
+    return this.templates.has(localized) ? localized : name;
+  }
+
+  /**
+   * Fill a template with values
+   * Values are inserted as-is and never re-read as template syntax.
+   * @param {Object|string} prompt - Prompt from resolve() or a template string
+   * @param {Object} variables - Values by name; arrays of objects feed {{#name}} sections
+   * @returns {string} Rendered text
+   */
+  render(prompt, variables = {}) {
+    const template = typeof prompt === 'string' ? prompt : prompt.template;
+
+    return template.replace(TOKEN, (match, kind, section, inner, name) => {
+      if (section) {
+        const value = variables[section];
+        const present = Array.isArray(value) ? value.length > 0 : !!value;
+
+        if (kind === '^') {
+          return present ? '' : this.render(inner, variables);
+        }
+        if (Array.isArray(value)) {
+          return value.map(item => this.render(inner, { ...variables, ...item })).join('');
+        }
+        return present ? this.render(inner, variables) : '';
+      }
+
+      const value = variables[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Read every prompt directory (versions sorted oldest first)
+   * @private
+   */
+  _loadTemplates() {
+    const templates = new Map();
+
+    if (!fs.existsSync(this.directory)) {
+      console.warn(`[PromptService] Prompt directory not found: ${this.directory}`);
+      return templates;
+    }
+
+    fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const versions = fs.readdirSync(path.join(this.directory, entry.name))
+          .map(file => file.match(VERSION_FILE))
+          .filter(Boolean)
+          .map(match => match[1])
+          .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+        if (versions.length > 0) {
+          // Editors add a final newline that isn't part of the prompt
+          templates.set(entry.name, new Map(versions.map(version => [
+            version,
+            fs.readFileSync(path.join(this.directory, entry.name, `${version}.txt`), 'utf8').replace(/\r?\n$/, '')
+          ])));
+        }
+      });
+
+    console.log(`[PromptService] Loaded ${templates.size} prompts from ${this.directory}`);
+    return templates;
+  }
+
+  /**
+   * Versions of a prompt
+   * @private
+   */
+  _versionsOf(name) {
+    const versions = this.templates.get(name);
+    if (!versions) {
+      throw new Error(`Prompt not found: ${name}`);
+    }
+    return versions;
+  }
+
+  /**
+   * Latest version of a prompt
+   * @private
+   */
+  _defaultVersion(name) {
+    return [...this._versionsOf(name).keys()].pop();
+  }
+
+  /**
+   * The pinned version if it still exists, else the default
+   * @private
+   */
+  _activeVersion(name, active) {
+    const pinned = active[name];
+    if (pinned && this.templates.get(name).has(pinned)) {
+      return pinned;
+    }
+    if (pinned) {
+      console.warn(`[PromptService] Pinned version ${name}@${pinned} no longer exists, using the default`);
+    }
+    return this._defaultVersion(name);
+  }
+
+  /**
+   * Pinned versions ({} without storage, so prompts still work)
+   * @private
+   */
+  async _getActiveVersions() {
+    if (!this.store.isReady()) {
+      return {};
+    }
+
+    const doc = await this.store.get(collectionPath('settings'), SETTINGS_DOC_ID);
+    return doc && doc.active ? doc.active : {};
+  }
+}
+
+module.exports = new PromptService();
@@ -1,15 +1,18 @@
 const vectorService = require('./vectorService');
 const personaService = require('./personaService');
+const relationshipService = require('./relationshipService');
+const customFieldService = require('./customFieldService');
+const llmService = require('./llmService');
+const promptService = require('./promptService');
 
 /**
  * Query Service - RAG-based persona question answering
  */
 class QueryService {
   constructor() {
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
     this.model = process.env.OLLAMA_MODEL || 'llama3.1:8b';
-    this.timeout = parseInt(process.env.OLLAMA_TIMEOUT || '30000', 10);
     this.contextLimit = parseInt(process.env.RAG_QUERY_CONTEXT_LIMIT || '5', 10);
+    this.connectedContextLimit = parseInt(process.env.RAG_CONNECTED_CONTEXT_LIMIT || '3', 10);
   }
 
   /**
@@ -17,9 +20,13 @@ class QueryService {
    * @param {string} userId - User ID (admin)
    * @param {string} personaId - Persona ID
    * @param {string} question - User's question
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeArchived - Allow querying archived personas
+   * @param {boolean} options.includeConnected - Also use memories of directly connected personas
+   * @param {string} options.model - Model to answer with (default: OLLAMA_MODEL); callers validate it
    * @returns {Promise<Object>} Answer and context
    */
-  async queryPersona(userId, personaId, question) {
+  async queryPersona(userId, personaId, question, options = {}) {
     if (!userId || !personaId || !question) {
       throw new Error('userId, personaId, and question are required');
     }
@@ -31,70 +38,17 @@ class QueryService {
     console.log(`[QueryService] Querying persona ${personaId} with question: "${question.substring(0, 50)}..."`);
 
     try {
-      // STEP 1: CONTEXT RETRIEVAL - Get relevant memories from ChromaDB
-      let relevantMemories = [];
-      let contextUsed = false;
-
-      if (vectorService.isReady()) {
-        try {
-          relevantMemories = await vectorService.searchMemory(
-            userId,
-            question,
-            this.contextLimit,
-            personaId
-          );
-          
-          if (relevantMemories.length > 0) {
-            console.log(`[QueryService] Found ${relevantMemories.length} relevant memories`);
-            contextUsed = true;
-          } else {
-            console.log(`[QueryService] No relevant memories found for persona ${personaId}`);
-          }
-        } catch (error) {
-          console.error('[QueryService] Failed to retrieve memories:', error.message);
-          // Continue without context
-        }
-      } else {
-        throw new Error('Vector service not available. Cannot query persona without RAG context.');
-      }
-
-      // STEP 2: PROFILE FETCH - Get persona details
-      let persona = null;
-      try {
-        persona = await personaService.getPersonaDetails(userId, personaId);
-        console.log(`[QueryService] Retrieved persona: ${persona.name}`);
-      } catch (error) {
-        console.error('[QueryService] Failed to fetch persona:', error.message);
-        throw new Error(`Persona not found: ${error.message}`);
-      }
+      const query = await this._prepareQuery(userId, personaId, question, options);
 
-      // STEP 3: PROMPT ENGINEERING - Construct RAG prompt
-      const prompt = this._buildQueryPrompt(persona, relevantMemories, question);
-
-      // STEP 4: GENERATION - Call Ollama
-      const answer = await this._callOllama(prompt);
+      // STEP 4: GENERATION - Call the LLM
+      const answer = await this._callLLM(query.prompt, query.model);
 
       console.log(`[QueryService] Generated answer (${answer.length} chars)`);
 
       return {
         answer: answer,
-        context_used: relevantMemories.map(m => ({
-          text: m.text,
-          sentiment: m.metadata.sentiment,
-          traits: m.metadata.personality_traits,
-          timestamp: m.metadata.timestamp,
-          similarity: m.similarity
-        })),
-        persona: {
-          id: persona.id,
-          name: persona.name,
-          relationship: persona.relationship
-        },
-        metadata: {
-          memories_used: relevantMemories.length,
-          has_context: contextUsed,
-          model_used: this.model
-        }
+        ...this._formatContext(query, options),
+        metadata: this._buildMetadata(query)
       };
 
     } catch (error) {
@@ -104,118 +58,283 @@ class QueryService {
   }
 
   /**
-   * Build RAG prompt for persona query
-   * @private
+   * Query a persona and stream the answer as it is generated
+   * Retrieval and validation happen before anything is emitted, so errors
+   * there reject without a single event.
+   * @param {string} userId - User ID (admin)
+   * @param {string} personaId - Persona ID
+   * @param {string} question - User's question
+   * @param {Object} options - Query options (see queryPersona), plus:
+   * @param {Function} options.onContext - Called once with { context_used, connected_context, persona } before generation
+   * @param {Function} options.onToken - Called with each answer chunk
+   * @param {AbortSignal} options.signal - Aborts the generation
+   * @returns {Promise<Object>} { answer, metadata }
    */
-  _buildQueryPrompt(persona, memories, question) {
-    const personaName = persona.name || 'Unknown';
-    const personaSummary = persona.summary || 'No summary available';
-    const personaRelationship = persona.relationship || 'Unknown';
-
-    // Format context from memories
-    let contextSection = '';
-    if (memories && memories.length > 0) {
-      const contextParts = memories.map((memory, index) => {
-        const sentiment = memory.metadata.sentiment || 'Unknown';
-        const traits = memory.metadata.personality_traits || [];
-        const timestamp = memory.metadata.timestamp || '';
-        const similarity = (memory.similarity * 100).toFixed(1);
-
-        return `[Context ${index + 1}] (Relevance: ${similarity}%)
-Text: "${memory.text}"
-Sentiment: ${sentiment}
-Personality Traits: ${traits.join(', ')}
-Date: ${new Date(timestamp).toLocaleDateString()}`;
-      });
-
-      contextSection = `\n\nRELEVANT BEHAVIORAL CONTEXT:\n${contextParts.join('\n\n')}`;
-    } else {
-      contextSection = '\n\nRELEVANT BEHAVIORAL CONTEXT:\nNo previous analyses available for this persona.';
+  async streamQueryPersona(userId, personaId, question, options = {}) {
+    if (!userId || !personaId || !question) {
+      throw new Error('userId, personaId, and question are required');
     }
 
-    const prompt = `You are an expert Behavioral Analyst with deep expertise in psychology and personality assessment.
+    if (typeof question !== 'string' || question.trim().length === 0) {
+      throw new Error('Question must be a non-empty string');
+    }
 
-TARGET SUBJECT:
-Name: ${personaName}
-Relationship: ${personaRelationship}
-Summary: ${personaSummary}
-${contextSection}
+    console.log(`[QueryService] Streaming answer for persona ${personaId}: "${question.substring(0, 50)}..."`);
+
+    let query;
+    try {
+      query = await this._prepareQuery(userId, personaId, question, options);
+    } catch (error) {
+      console.error('[QueryService] Query failed:', error.message);
+      throw new Error(`Failed to query persona: ${error.message}`);
+    }
 
-USER QUESTION:
-"${question}"
+    if (options.onContext) {
+      options.onContext(this._formatContext(query, options));
+    }
 
-INSTRUCTIONS:
-1. Answer the question using ONLY the behavioral context provided above.
-2. Cite specific traits, sentiments, or patterns from the context when possible.
-3. If the context doesn't contain enough information to answer the question, clearly state that.
-4. Be specific and reference the actual data points from the context.
-5. Maintain a professional, analytical tone.
-6. Do NOT make assumptions beyond what the context shows.
+    const answer = await llmService.generateStream(query.prompt, {
+      ...this._generationOptions(query.model),
+      onToken: options.onToken,
+      signal: options.signal
+    });
 
-ANSWER:`;
+    console.log(`[QueryService] Streamed answer (${answer.length} chars)`);
 
-    return prompt;
+    return {
+      answer: answer.trim(),
+      metadata: this._buildMetadata(query)
+    };
   }
 
   /**
-   * Call Ollama API for generation
+   * Retrieve context, load the persona and build the prompt for a question
    * @private
+   * @returns {Promise<Object>} { persona, relevantMemories, contextUsed, connections, connectedMemories, prompt, promptVersion, model }
    */
-  async _callOllama(prompt) {
-    const url = `${this.ollamaUrl}/api/generate`;
-
-    const payload = {
-      model: this.model,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: 0.3, // Lower for more factual responses
-        top_p: 0.9,
-        num_predict: 500 // Allow longer responses for detailed answers
-      }
-    };
-
-    console.log(`[QueryService] Calling Ollama at ${url}`);
-
+  async _prepareQuery(userId, personaId, question, options) {
+    // STEP 1: PROFILE FETCH - Get persona details
+    let persona = null;
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Ollama API error (${response.status}): ${errorText}`);
-      }
+      persona = await personaService.getPersonaDetails(userId, personaId);
+      console.log(`[QueryService] Retrieved persona: ${persona.name}`);
+    } catch (error) {
+      console.error('[QueryService] Failed to fetch persona:', error.message);
+      throw new Error(`Persona not found: ${error.message}`);
+    }
+
+    // Archived personas are only queryable on request; trashed ones never.
+    // Checked before retrieval so their memories are never read.
+    const status = personaService.getStatus(persona);
+    if (status === 'deleted' || (status === 'archived' && !options.includeArchived)) {
+      throw new Error(`Persona is ${status}. Restore it before querying.`);
+    }
 
-      const data = await response.json();
+    // STEP 2: CONTEXT RETRIEVAL - Get relevant memories from ChromaDB
+    let relevantMemories = [];
+    let contextUsed = false;
 
-      if (!data.response) {
-        throw new Error('Ollama returned empty response');
+    if (vectorService.isReady()) {
+      try {
+        relevantMemories = await vectorService.searchMemory(
+          userId,
+          question,
+          this.contextLimit,
+          personaId
+        );
+
+        if (relevantMemories.length > 0) {
+          console.log(`[QueryService] Found ${relevantMemories.length} relevant memories`);
+          contextUsed = true;
+        } else {
+          console.log(`[QueryService] No relevant memories found for persona ${personaId}`);
+        }
+      } catch (error) {
+        console.error('[QueryService] Failed to retrieve memories:', error.message);
+        // Continue without context
       }
+    } else {
+      throw new Error('Vector service not available. Cannot query persona without RAG context.');
+    }
 
-      return data.response.trim();
+    // STEP 2b: RELATIONAL CONTEXT - Memories of directly connected personas
+    let connections = [];
+    let connectedMemories = [];
+    if (options.includeConnected) {
+      ({ connections, connectedMemories } = await this._getConnectedContext(userId, personaId, question));
+    }
 
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`Ollama request timeout (${this.timeout}ms exceeded)`);
-      }
+    // Custom profile fields, labelled per the user's schema
+    const { fields } = await customFieldService.getSchema(userId);
+    const profileLines = customFieldService.describeValues(fields, persona.customFields);
+
+    // STEP 3: PROMPT ENGINEERING - Construct RAG prompt from the globally active version (admin pin in settings/prompts)
+    const template = promptService.resolve(await promptService.getActivePrompts(), 'query');
+    const prompt = this._buildQueryPrompt(persona, relevantMemories, question, {
+      profileLines,
+      connections,
+      connectedMemories,
+      template
+    });
+
+    return {
+      persona,
+      relevantMemories,
+      contextUsed,
+      connections,
+      connectedMemories,
+      prompt,
+      promptVersion: template.version,
+      model: options.model || this.model
+    };
+  }
 
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to Ollama at ${this.ollamaUrl}. Is Ollama running?`);
+  /**
+   * Shape the retrieved context and persona for the response
+   * @private
+   */
+  _formatContext(query, options) {
+    return {
+      context_used: query.relevantMemories.map(m => ({
+        text: m.text,
+        sentiment: m.metadata.sentiment,
+        traits: m.metadata.personality_traits,
+        timestamp: m.metadata.timestamp,
+        similarity: m.similarity
+      })),
+      connected_context: options.includeConnected ? query.connectedMemories.map(m => ({
+        text: m.text,
+        persona_id: m.connection.personaId,
+        persona_name: m.connection.name,
+        relation: m.connection.type,
+        direction: m.connection.direction,
+        similarity: m.similarity
+      })) : undefined,
+      persona: {
+        id: query.persona.id,
+        name: query.persona.name,
+        relationship: query.persona.relationship
       }
+    };
+  }
+
+  /**
+   * Response metadata for a query
+   * @private
+   */
+  _buildMetadata(query) {
+    return {
+      memories_used: query.relevantMemories.length,
+      has_context: query.contextUsed,
+      connected_personas: query.connections.length,
+      connected_memories_used: query.connectedMemories.length,
+      model_used: query.model,
+      prompt_versions: { query: query.promptVersion }
+    };
+  }
 
-      throw error;
+  /**
+   * Find personas connected to this one and their memories relevant to the question
+   * @private
+   */
+  async _getConnectedContext(userId, personaId, question) {
+    const connections = await relationshipService.getConnectedPersonas(userId, personaId);
+    if (connections.length === 0 || !vectorService.isReady()) {
+      return { connections, connectedMemories: [] };
     }
+
+    const byPersona = new Map(connections.map(connection => [connection.personaId, connection]));
+    const memories = await vectorService.searchMemory(
+      userId,
+      question,
+      this.connectedContextLimit,
+      null,
+      { personaIds: [...byPersona.keys()] }
+    );
+
+    console.log(`[QueryService] Found ${memories.length} memories across ${connections.length} connected personas`);
+
+    return {
+      connections,
+      connectedMemories: memories.map(memory => ({
+        ...memory,
+        connection: byPersona.get(memory.metadata.personaId)
+      }))
+    };
+  }
+
+  /**
+   * Describe an edge from the queried persona's point of view
+   * @private
+   */
+  _describeConnection(personaName, connection) {
+    const sentence = connection.direction === 'out'
+      ? `${personaName} is ${connection.type} of ${connection.name}`
+      : `${connection.name} is ${connection.type} of ${personaName}`;
+    return connection.notes ? `${sentence} (${connection.notes})` : sentence;
+  }
+
+  /**
+   * Build RAG prompt for persona query
+   * @private
+   * @param {Object} extras - { profileLines, connections, connectedMemories, template }
+   */
+  _buildQueryPrompt(persona, memories, question, extras = {}) {
+    const { profileLines = [], connections = [], connectedMemories = [] } = extras;
+    const personaName = persona.name || 'Unknown';
+
+    return promptService.render(extras.template || promptService.resolve(null, 'query'), {
+      name: personaName,
+      relationship: persona.relationship || 'Unknown',
+      summary: persona.summary || 'No summary available',
+      profile: profileLines.map(line => ({ line })),
+      memories: (memories || []).map((memory, index) => ({
+        index: index + 1,
+        first: index === 0,
+        similarity: (memory.similarity * 100).toFixed(1),
+        text: memory.text,
+        sentiment: memory.metadata.sentiment || 'Unknown',
+        traits: (memory.metadata.personality_traits || []).join(', '),
+        date: new Date(memory.metadata.timestamp || '').toLocaleDateString()
+      })),
+      // Relationships to other personas and what is known about them
+      hasConnections: connections.length > 0,
+      connections: connections.map(connection => ({ description: this._describeConnection(personaName, connection) })),
+      hasConnectedMemories: connections.length > 0 && connectedMemories.length > 0,
+      connectedMemories: connectedMemories.map((memory, index) => ({
+        index: index + 1,
+        first: index === 0,
+        name: memory.connection.name,
+        relation: memory.connection.type,
+        text: memory.text,
+        sentiment: memory.metadata.sentiment || 'Unknown',
+        traits: (memory.metadata.personality_traits || []).join(', ')
+      })),
+      question: question
+    });
+  }
+
+  /**
+   * Call the LLM for generation
+   * @private
+   */
+  async _callLLM(prompt, model) {
+    const answer = await llmService.generate(prompt, this._generationOptions(model));
+    return answer.trim();
+  }
+
+  /**
+   * Generation settings for answers
+   * @private
+   */
+  _generationOptions(model) {
+    return {
+      model: model || this.model,
+      temperature: 0.3, // Lower for more factual responses
+      topP: 0.9,
+      maxTokens: 500, // Allow longer responses for detailed answers
+      caller: 'QueryService'
+    };
   }
 
   /**
@@ -223,9 +342,10 @@ ANSWER:`;
    * @param {string} userId - User ID
    * @param {string} personaId - Persona ID
    * @param {Array<string>} questions - Array of questions
+   * @param {Object} options - Query options (see queryPersona)
    * @returns {Promise<Array>} Array of answers
    */
-  async batchQueryPersona(userId, personaId, questions) {
+  async batchQueryPersona(userId, personaId, questions, options = {}) {
     if (!Array.isArray(questions) || questions.length === 0) {
       throw new Error('Questions must be a non-empty array');
     }
@@ -239,7 +359,7 @@ ANSWER:`;
     const results = [];
     for (let i = 0; i < questions.length; i++) {
       try {
-        const result = await this.queryPersona(userId, personaId, questions[i]);
+        const result = await this.queryPersona(userId, personaId, questions[i], options);
         results.push({
           success: true,
           question: questions[i],
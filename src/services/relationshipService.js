@@ -0,0 +1,377 @@
+const { getStore, collectionPath } = require('../storage');
+
+const MAX_TYPE_LENGTH = 50;
+
+/**
+ * Relationship Service - Typed, directed edges between personas
+ * An edge { fromPersonaId, toPersonaId, type } reads "from is <type> of to",
+ * e.g. { from: alice, to: bob, type: 'manager' } = Alice is Bob's manager.
+ * Edges live in one collection per user (users/{uid}/personaEdges).
+ */
+class RelationshipService {
+  constructor() {
+    this.store = getStore();
+  }
+
+  /**
+   * Add an edge from one persona to another
+   * @param {string} adminUid - Admin user ID
+   * @param {string} fromPersonaId - Source persona ID
+   * @param {Object} data - Edge data
+   * @param {string} data.toPersonaId - Target persona ID
+   * @param {string} data.type - Relationship type (e.g. manager, sibling, partner)
+   * @param {string} data.notes - Optional notes about the relationship
+   * @returns {Promise<Object>} Created edge
+   */
+  async addEdge(adminUid, fromPersonaId, data) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const toPersonaId = data.toPersonaId;
+    const type = this._normalizeType(data.type);
+
+    if (!toPersonaId || typeof toPersonaId !== 'string') {
+      throw new Error('Invalid edge: toPersonaId is required');
+    }
+    if (toPersonaId === fromPersonaId) {
+      throw new Error('Invalid edge: a persona cannot be linked to itself');
+    }
+
+    try {
+      await this._getLinkablePersona(adminUid, fromPersonaId);
+      await this._getLinkablePersona(adminUid, toPersonaId);
+
+      const existing = await this.store.query(this._edgesPath(adminUid), {
+        where: [
+          ['fromPersonaId', '==', fromPersonaId],
+          ['toPersonaId', '==', toPersonaId],
+          ['type', '==', type]
+        ],
+        limit: 1
+      });
+      if (existing.length > 0) {
+        throw new Error(`Edge already exists: ${existing[0].id}`);
+      }
+
+      const now = new Date().toISOString();
+      const edge = {
+        fromPersonaId: fromPersonaId,
+        toPersonaId: toPersonaId,
+        type: type,
+        notes: typeof data.notes === 'string' ? data.notes : '',
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const edgeId = await this.store.add(this._edgesPath(adminUid), edge);
+
+      console.log(`[RelationshipService] ${fromPersonaId} -[${type}]-> ${toPersonaId}: ${edgeId}`);
+
+      return { id: edgeId, ...edge };
+
+    } catch (error) {
+      console.error('[RelationshipService] Failed to add edge:', error.message);
+      throw new Error(`Failed to add edge: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an edge that touches the given persona
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona on either end of the edge
+   * @param {string} edgeId - Edge ID
+   * @returns {Promise<Object>} Removed edge
+   */
+  async removeEdge(adminUid, personaId, edgeId) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    try {
+      const edge = await this.store.get(this._edgesPath(adminUid), edgeId);
+      if (!edge || (edge.fromPersonaId !== personaId && edge.toPersonaId !== personaId)) {
+        throw new Error('Edge not found');
+      }
+
+      await this.store.delete(this._edgesPath(adminUid), edgeId);
+
+      console.log(`[RelationshipService] Removed edge ${edgeId}`);
+      return edge;
+
+    } catch (error) {
+      console.error('[RelationshipService] Failed to remove edge:', error.message);
+      throw new Error(`Failed to remove edge: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the edges of a persona, with the persona on the other end
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @param {Object} options - List options
+   * @param {string} options.direction - 'out', 'in' or 'both' (default)
+   * @returns {Promise<Array>} Edges with direction and otherPersona { id, name, status }
+   */
+  async getEdges(adminUid, personaId, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const { direction = 'both' } = options;
+    if (!['out', 'in', 'both'].includes(direction)) {
+      throw new Error('Invalid direction: use out, in or both');
+    }
+
+    try {
+      await this._getPersona(adminUid, personaId);
+
+      const edges = await this._getPersonaEdges(adminUid, personaId, direction);
+      const personas = await this._getPersonasById(adminUid);
+
+      return edges.map(edge => {
+        const outgoing = edge.fromPersonaId === personaId;
+        const other = personas.get(outgoing ? edge.toPersonaId : edge.fromPersonaId);
+
+        return {
+          ...edge,
+          direction: outgoing ? 'out' : 'in',
+          otherPersona: other
+            ? { id: other.id, name: other.name, status: other.status || 'active' }
+            : null
+        };
+      });
+
+    } catch (error) {
+      console.error('[RelationshipService] Failed to get edges:', error.message);
+      throw new Error(`Failed to get edges: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every persona and edge of a user as a graph
+   * Trashed personas are never included; archived ones only on request.
+   * @param {string} adminUid - Admin user ID
+   * @param {Object} options - Graph options
+   * @param {boolean} options.includeArchived - Include archived personas
+   * @returns {Promise<Object>} { nodes, edges }
+   */
+  async getGraph(adminUid, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    try {
+      const personas = await this._getPersonasById(adminUid);
+      const allowed = options.includeArchived ? ['active', 'archived'] : ['active'];
+
+      const nodes = [...personas.values()]
+        .filter(persona => allowed.includes(persona.status || 'active'))
+        .map(persona => ({
+          id: persona.id,
+          name: persona.name,
+          relationship: persona.relationship || 'Unknown',
+          tags: persona.tags || [],
+          status: persona.status || 'active',
+          analysisCount: persona.analysisCount || 0
+        }));
+
+      const nodeIds = new Set(nodes.map(node => node.id));
+      const edges = (await this.store.query(this._edgesPath(adminUid)))
+        .filter(edge => nodeIds.has(edge.fromPersonaId) && nodeIds.has(edge.toPersonaId))
+        .map(edge => ({
+          id: edge.id,
+          source: edge.fromPersonaId,
+          target: edge.toPersonaId,
+          type: edge.type,
+          notes: edge.notes || ''
+        }));
+
+      return { nodes, edges };
+
+    } catch (error) {
+      console.error('[RelationshipService] Failed to build graph:', error.message);
+      throw new Error(`Failed to build graph: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the active personas directly connected to a persona
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<Array>} [{ personaId, name, type, direction, notes }]
+   */
+  async getConnectedPersonas(adminUid, personaId) {
+    const edges = await this._getPersonaEdges(adminUid, personaId, 'both');
+    if (edges.length === 0) {
+      return [];
+    }
+
+    const personas = await this._getPersonasById(adminUid);
+
+    return edges
+      .map(edge => {
+        const outgoing = edge.fromPersonaId === personaId;
+        const other = personas.get(outgoing ? edge.toPersonaId : edge.fromPersonaId);
+        return other && (other.status || 'active') === 'active'
+          ? {
+            personaId: other.id,
+            name: other.name,
+            type: edge.type,
+            direction: outgoing ? 'out' : 'in',
+            notes: edge.notes || ''
+          }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Delete every edge touching a persona
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<number>} Number of edges deleted
+   */
+  async deletePersonaEdges(adminUid, personaId) {
+    const edges = await this._getPersonaEdges(adminUid, personaId, 'both');
+
+    if (edges.length > 0) {
+      await this.store.deleteMany(this._edgesPath(adminUid), edges.map(edge => edge.id));
+    }
+
+    return edges.length;
+  }
+
+  /**
+   * Re-point a persona's edges to another persona (used by merges)
+   * Edges that would become self-links or duplicates are dropped.
+   * @param {string} adminUid - Admin user ID
+   * @param {string} fromPersonaId - Persona whose edges move
+   * @param {string} toPersonaId - Persona that takes them over
+   * @returns {Promise<number>} Number of edges moved
+   */
+  async reassignPersonaEdges(adminUid, fromPersonaId, toPersonaId) {
+    const edgesPath = this._edgesPath(adminUid);
+    const edges = await this._getPersonaEdges(adminUid, fromPersonaId, 'both');
+    const existing = new Set(
+      (await this._getPersonaEdges(adminUid, toPersonaId, 'both')).map(edge => this._edgeKey(edge))
+    );
+
+    const dropped = [];
+    let moved = 0;
+
+    for (const edge of edges) {
+      const updated = {
+        fromPersonaId: edge.fromPersonaId === fromPersonaId ? toPersonaId : edge.fromPersonaId,
+        toPersonaId: edge.toPersonaId === fromPersonaId ? toPersonaId : edge.toPersonaId,
+        type: edge.type
+      };
+
+      if (updated.fromPersonaId === updated.toPersonaId || existing.has(this._edgeKey(updated))) {
+        dropped.push(edge.id);
+        continue;
+      }
+
+      await this.store.update(edgesPath, edge.id, {
+        fromPersonaId: updated.fromPersonaId,
+        toPersonaId: updated.toPersonaId,
+        updatedAt: new Date().toISOString()
+      });
+      existing.add(this._edgeKey(updated));
+      moved++;
+    }
+
+    if (dropped.length > 0) {
+      await this.store.deleteMany(edgesPath, dropped);
+    }
+
+    return moved;
+  }
+
+  /**
+   * Query a persona's edges in one or both directions
+   * @private
+   */
+  async _getPersonaEdges(adminUid, personaId, direction) {
+    const edgesPath = this._edgesPath(adminUid);
+    const [outgoing, incoming] = await Promise.all([
+      direction !== 'in' ? this.store.query(edgesPath, { where: [['fromPersonaId', '==', personaId]] }) : [],
+      direction !== 'out' ? this.store.query(edgesPath, { where: [['toPersonaId', '==', personaId]] }) : []
+    ]);
+
+    return [...outgoing, ...incoming];
+  }
+
+  /**
+   * Load all of a user's personas keyed by ID
+   * @private
+   */
+  async _getPersonasById(adminUid) {
+    const personas = await this.store.query(this._personasPath(adminUid));
+    return new Map(personas.map(persona => [persona.id, persona]));
+  }
+
+  /**
+   * Get a persona or fail
+   * @private
+   */
+  async _getPersona(adminUid, personaId) {
+    const persona = await this.store.get(this._personasPath(adminUid), personaId);
+    if (!persona) {
+      throw new Error('Persona not found');
+    }
+    return persona;
+  }
+
+  /**
+   * Get a persona that can take part in a new edge (not trashed)
+   * @private
+   */
+  async _getLinkablePersona(adminUid, personaId) {
+    const persona = await this._getPersona(adminUid, personaId);
+    if (persona.status === 'deleted') {
+      throw new Error('Cannot link a persona that is deleted');
+    }
+    return persona;
+  }
+
+  /**
+   * Validate and normalize a relationship type
+   * @private
+   */
+  _normalizeType(type) {
+    if (typeof type !== 'string' || type.trim().length === 0) {
+      throw new Error('Invalid edge: type is required');
+    }
+    if (type.trim().length > MAX_TYPE_LENGTH) {
+      throw new Error(`Invalid edge: type must be at most ${MAX_TYPE_LENGTH} characters`);
+    }
+    return type.trim().toLowerCase();
+  }
+
+  /**
+   * Identity of an edge for duplicate checks
+   * @private
+   */
+  _edgeKey(edge) {
+    return `${edge.fromPersonaId}|${edge.toPersonaId}|${edge.type}`;
+  }
+
+  /**
+   * Collection path for a user's personas
+   * @private
+   */
+  _personasPath(adminUid) {
+    return collectionPath('users', adminUid, 'personas');
+  }
+
+  /**
+   * Collection path for a user's persona edges
+   * @private
+   */
+  _edgesPath(adminUid) {
+    return collectionPath('users', adminUid, 'personaEdges');
+  }
+}
+
+module.exports = new RelationshipService();
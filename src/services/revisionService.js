@@ -0,0 +1,241 @@
+const config = require('../config');
+const { getStore, collectionPath } = require('../storage');
+const { paginate } = require('../utils/pagination');
+
+// Bookkeeping fields that change on every write and are not part of the profile
+const UNTRACKED_FIELDS = ['updatedAt', 'analysisCount', 'reviewCount', 'lastAnalyzedAt', 'revisionCount'];
+
+/**
+ * Revision Service - Edit history for persona profiles
+ * Each profile change is stored as a numbered revision (1, 2, ...) under
+ * users/{uid}/personas/{personaId}/revisions. Revision 0 is the profile
+ * as it was before the first recorded change.
+ */
+class RevisionService {
+  constructor() {
+    this.store = getStore();
+    this.deleteBatchSize = config.deleteBatchSize;
+  }
+
+  /**
+   * Update a persona and record a revision for the fields the update actually changes
+   * The revision number is allocated from the persona's revisionCount, and the
+   * revision and the persona update are written in one transaction, so
+   * concurrent edits get distinct numbers and no revision exists without its update.
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @param {Object} updates - Fields to write
+   * @param {Object} options - Revision details
+   * @param {Object} options.actor - { uid, email } of whoever made the change
+   * @param {string} options.action - 'update', 'rollback' or 'merge'
+   * @param {number} options.rolledBackTo - Target revision (rollbacks only)
+   * @returns {Promise<Object>} { persona (after the update), revision (entry, or null if nothing changed) }
+   */
+  async updateWithRevision(adminUid, personaId, updates, options = {}) {
+    const personasPath = collectionPath('users', adminUid, 'personas');
+
+    return this.store.transaction(async (tx) => {
+      const persona = await tx.get(personasPath, personaId);
+      if (!persona) {
+        throw new Error('Persona not found');
+      }
+
+      const data = { ...updates };
+      const revision = this._buildRevision(adminUid, persona, updates, options);
+      if (revision) {
+        revision.id = tx.add(this._revisionsPath(adminUid, personaId), revision.entry);
+        data.revisionCount = revision.entry.revision;
+      }
+
+      tx.update(personasPath, personaId, data);
+
+      return {
+        persona: { ...persona, ...data, id: personaId },
+        revision: revision ? { id: revision.id, ...revision.entry } : null
+      };
+    });
+  }
+
+  /**
+   * Revision entry for the fields an update changes (null if none)
+   * @private
+   */
+  _buildRevision(adminUid, persona, updates, options) {
+    const changes = Object.keys(updates)
+      .filter(field => !UNTRACKED_FIELDS.includes(field))
+      .filter(field => !this._isEqual(persona[field], updates[field]))
+      .map(field => ({
+        field: field,
+        oldValue: persona[field] === undefined ? null : persona[field],
+        newValue: updates[field] === undefined ? null : updates[field]
+      }));
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    const actor = options.actor || { uid: adminUid };
+    const entry = {
+      revision: (persona.revisionCount || 0) + 1,
+      action: options.action || 'update',
+      changes: changes,
+      actor: { uid: actor.uid, email: actor.email || null },
+      createdAt: new Date().toISOString()
+    };
+
+    if (options.rolledBackTo !== undefined) {
+      entry.rolledBackTo = options.rolledBackTo;
+    }
+
+    return { entry };
+  }
+
+  /**
+   * Get a page of a persona's revisions, newest first
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor from the previous page
+   * @returns {Promise<Object>} { revisions, nextCursor }
+   */
+  async getRevisions(adminUid, personaId, options = {}) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const { limit = 20, cursor } = options;
+
+    try {
+      const { items: revisions, nextCursor } = await paginate(
+        this.store,
+        this._revisionsPath(adminUid, personaId),
+        { orderBy: 'revision', order: 'desc', limit, cursor }
+      );
+
+      return { revisions, nextCursor };
+
+    } catch (error) {
+      console.error('[RevisionService] Failed to get revisions:', error.message);
+      throw new Error(`Failed to get revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare the profile at two revisions
+   * Replays the revisions in between, so only fields that were edited appear.
+   * @param {string} adminUid - Admin user ID
+   * @param {Object} persona - Current persona
+   * @param {number} from - Older revision (0 = before the first change)
+   * @param {number} to - Newer revision
+   * @returns {Promise<Object>} { from, to, changes: [{ field, from, to }] }
+   */
+  async diffRevisions(adminUid, persona, from, to) {
+    this._checkRevision(persona, from);
+    this._checkRevision(persona, to);
+
+    if (from >= to) {
+      throw new Error('Invalid revision range: from must be lower than to');
+    }
+
+    const revisions = await this.store.query(this._revisionsPath(adminUid, persona.id), {
+      where: [['revision', '>', from], ['revision', '<=', to]],
+      orderBy: 'revision',
+      order: 'asc'
+    });
+
+    const fields = new Map();
+    revisions.forEach(revision => {
+      revision.changes.forEach(change => {
+        const entry = fields.get(change.field) || { field: change.field, from: change.oldValue };
+        entry.to = change.newValue;
+        fields.set(change.field, entry);
+      });
+    });
+
+    return {
+      from: from,
+      to: to,
+      changes: [...fields.values()].filter(change => !this._isEqual(change.from, change.to))
+    };
+  }
+
+  /**
+   * Work out the field values that bring a persona back to a revision
+   * @param {string} adminUid - Admin user ID
+   * @param {Object} persona - Current persona
+   * @param {number} revision - Revision to return to
+   * @returns {Promise<Object>} Fields to write
+   */
+  async getRollbackFields(adminUid, persona, revision) {
+    this._checkRevision(persona, revision);
+
+    const newer = await this.store.query(this._revisionsPath(adminUid, persona.id), {
+      where: [['revision', '>', revision]],
+      orderBy: 'revision',
+      order: 'desc'
+    });
+
+    // Undo the newer revisions, most recent first
+    const fields = {};
+    newer.forEach(entry => {
+      entry.changes.forEach(change => {
+        fields[change.field] = change.oldValue;
+      });
+    });
+
+    return fields;
+  }
+
+  /**
+   * Delete a persona's revisions in batches
+   * @param {string} adminUid - Admin user ID
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<number>} Number of revisions deleted
+   */
+  async deleteAllRevisions(adminUid, personaId) {
+    const revisionsPath = this._revisionsPath(adminUid, personaId);
+    let deleted = 0;
+
+    while (true) {
+      const batch = await this.store.query(revisionsPath, { limit: this.deleteBatchSize });
+      if (batch.length === 0) {
+        break;
+      }
+
+      await this.store.deleteMany(revisionsPath, batch.map(doc => doc.id));
+      deleted += batch.length;
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Make sure a revision number exists for a persona
+   * @private
+   */
+  _checkRevision(persona, revision) {
+    const latest = persona.revisionCount || 0;
+    if (!Number.isInteger(revision) || revision < 0 || revision > latest) {
+      throw new Error(`Invalid revision: ${revision} (persona has revisions 0-${latest})`);
+    }
+  }
+
+  /**
+   * Compare two field values (arrays and objects by content)
+   * @private
+   */
+  _isEqual(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+  }
+
+  /**
+   * Collection path for a persona's revisions
+   * @private
+   */
+  _revisionsPath(adminUid, personaId) {
+    return collectionPath('users', adminUid, 'personas', personaId, 'revisions');
+  }
+}
+
+module.exports = new RevisionService();
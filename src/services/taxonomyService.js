@@ -0,0 +1,288 @@
+const { getStore, collectionPath } = require('../storage');
+
+const DEFAULT_TAXONOMY_ID = 'default';
+const MAX_LABEL_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 300;
+const LIMITS = {
+  sentiments: { min: 2, max: 30 },
+  traits: { min: 2, max: 100 }
+};
+
+const entries = (labels, synonyms) => labels.map(label => ({
+  label: label,
+  description: '',
+  synonyms: Object.keys(synonyms).filter(word => synonyms[word] === label)
+}));
+
+// Built-in vocabulary, used when a request names no taxonomy (and for analyses stored before taxonomies existed)
+const DEFAULT_TAXONOMY = Object.freeze({
+  id: DEFAULT_TAXONOMY_ID,
+  name: 'Default',
+  description: 'Built-in sentiments and personality traits',
+  version: 1,
+  builtIn: true,
+  sentiments: entries(
+    ['Positive', 'Negative', 'Neutral', 'Anxious', 'Sad', 'Angry', 'Excited'],
+    {
+      happy: 'Positive', joyful: 'Positive', content: 'Positive', grateful: 'Positive', hopeful: 'Positive',
+      optimistic: 'Positive', pleased: 'Positive', satisfied: 'Positive',
+      pessimistic: 'Negative', hostile: 'Negative', critical: 'Negative', dissatisfied: 'Negative',
+      calm: 'Neutral', indifferent: 'Neutral', mixed: 'Neutral', objective: 'Neutral',
+      worried: 'Anxious', nervous: 'Anxious', stressed: 'Anxious', fearful: 'Anxious', afraid: 'Anxious',
+      scared: 'Anxious', anxiety: 'Anxious', uneasy: 'Anxious',
+      unhappy: 'Sad', depressed: 'Sad', melancholic: 'Sad', upset: 'Sad', disappointed: 'Sad', lonely: 'Sad',
+      frustrated: 'Angry', annoyed: 'Angry', irritated: 'Angry', furious: 'Angry', mad: 'Angry',
+      enthusiastic: 'Excited', thrilled: 'Excited', eager: 'Excited', elated: 'Excited'
+    }
+  ),
+  traits: entries(
+    [
+      'Assertive', 'Curious', 'Empathetic', 'Analytical', 'Creative', 'Cautious', 'Confident',
+      'Introverted', 'Extroverted', 'Optimistic', 'Pessimistic', 'Thoughtful', 'Impulsive',
+      'Reserved', 'Expressive'
+    ],
+    {
+      decisive: 'Assertive', direct: 'Assertive', dominant: 'Assertive',
+      inquisitive: 'Curious', 'open-minded': 'Curious', interested: 'Curious',
+      compassionate: 'Empathetic', caring: 'Empathetic', kind: 'Empathetic', supportive: 'Empathetic',
+      logical: 'Analytical', rational: 'Analytical', methodical: 'Analytical', 'detail-oriented': 'Analytical',
+      imaginative: 'Creative', innovative: 'Creative', inventive: 'Creative',
+      careful: 'Cautious', prudent: 'Cautious', 'risk-averse': 'Cautious',
+      'self-assured': 'Confident', 'self-confident': 'Confident',
+      shy: 'Introverted',
+      outgoing: 'Extroverted', sociable: 'Extroverted', extravert: 'Extroverted', extraverted: 'Extroverted',
+      hopeful: 'Optimistic', positive: 'Optimistic',
+      negative: 'Pessimistic', cynical: 'Pessimistic',
+      reflective: 'Thoughtful', considerate: 'Thoughtful', introspective: 'Thoughtful',
+      spontaneous: 'Impulsive', reckless: 'Impulsive',
+      quiet: 'Reserved', private: 'Reserved',
+      emotional: 'Expressive', communicative: 'Expressive', articulate: 'Expressive'
+    }
+  )
+});
+
+/**
+ * Taxonomy Service - Per-user sentiment and trait vocabularies
+ * A taxonomy lists the sentiment and trait labels the analyzer may use, with
+ * optional descriptions (shown to the LLM) and synonyms (mapped back to the
+ * label). Taxonomies live at users/{uid}/taxonomies; the built-in "default"
+ * taxonomy is always available and cannot be changed. Editing the labels of a
+ * taxonomy bumps its version, which is stored on every analysis.
+ */
+class TaxonomyService {
+  constructor() {
+    this.store = getStore();
+  }
+
+  /**
+   * The built-in taxonomy
+   * @returns {Object} Default taxonomy
+   */
+  getDefaultTaxonomy() {
+    return DEFAULT_TAXONOMY;
+  }
+
+  /**
+   * List the built-in taxonomy followed by the user's own
+   * @param {string} adminUid - Admin user ID
+   * @returns {Promise<Array>} Taxonomies
+   */
+  async listTaxonomies(adminUid) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const taxonomies = await this.store.query(this._taxonomiesPath(adminUid), {
+      orderBy: 'createdAt',
+      order: 'asc'
+    });
+
+    return [DEFAULT_TAXONOMY, ...taxonomies];
+  }
+
+  /**
+   * Get a taxonomy by ID (no ID = the default taxonomy)
+   * @param {string} adminUid - Admin user ID
+   * @param {string} taxonomyId - Taxonomy ID
+   * @returns {Promise<Object>} Taxonomy
+   */
+  async getTaxonomy(adminUid, taxonomyId) {
+    if (!taxonomyId || taxonomyId === DEFAULT_TAXONOMY_ID) {
+      return DEFAULT_TAXONOMY;
+    }
+
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const taxonomy = await this.store.get(this._taxonomiesPath(adminUid), taxonomyId);
+    if (!taxonomy) {
+      throw new Error('Taxonomy not found');
+    }
+
+    return taxonomy;
+  }
+
+  /**
+   * Create a taxonomy
+   * @param {string} adminUid - Admin user ID
+   * @param {Object} data - Taxonomy data
+   * @param {string} data.name - Display name
+   * @param {string} data.description - Optional description
+   * @param {Array<Object>} data.sentiments - [{ label, description?, synonyms? }]
+   * @param {Array<Object>} data.traits - [{ label, description?, synonyms? }]
+   * @returns {Promise<Object>} Created taxonomy
+   */
+  async createTaxonomy(adminUid, data) {
+    if (!this.store.isReady()) {
+      throw new Error('Storage not initialized');
+    }
+
+    const now = new Date().toISOString();
+    const taxonomy = {
+      ...this._validateTaxonomy(data || {}),
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const taxonomyId = await this.store.add(this._taxonomiesPath(adminUid), taxonomy);
+
+    console.log(`[TaxonomyService] Created taxonomy ${taxonomyId} for user ${adminUid}`);
+    return { id: taxonomyId, ...taxonomy };
+  }
+
+  /**
+   * Replace a taxonomy's name, description and vocabularies
+   * The version is bumped when the sentiments or traits change.
+   * @param {string} adminUid - Admin user ID
+   * @param {string} taxonomyId - Taxonomy ID
+   * @param {Object} data - Same shape as createTaxonomy
+   * @returns {Promise<Object>} Updated taxonomy
+   */
+  async updateTaxonomy(adminUid, taxonomyId, data) {
+    if (taxonomyId === DEFAULT_TAXONOMY_ID) {
+      throw new Error('Cannot modify the built-in taxonomy');
+    }
+
+    const existing = await this.getTaxonomy(adminUid, taxonomyId);
+    const validated = this._validateTaxonomy(data || {});
+
+    const vocabularyChanged =
+      JSON.stringify([existing.sentiments, existing.traits]) !==
+      JSON.stringify([validated.sentiments, validated.traits]);
+
+    const updates = {
+      ...validated,
+      version: vocabularyChanged ? existing.version + 1 : existing.version,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.update(this._taxonomiesPath(adminUid), taxonomyId, updates);
+
+    console.log(`[TaxonomyService] Updated taxonomy ${taxonomyId} (version ${updates.version})`);
+    return { ...existing, ...updates, id: taxonomyId };
+  }
+
+  /**
+   * Delete a taxonomy (analyses made with it keep its ID and version)
+   * @param {string} adminUid - Admin user ID
+   * @param {string} taxonomyId - Taxonomy ID
+   * @returns {Promise<void>}
+   */
+  async deleteTaxonomy(adminUid, taxonomyId) {
+    if (taxonomyId === DEFAULT_TAXONOMY_ID) {
+      throw new Error('Cannot delete the built-in taxonomy');
+    }
+
+    await this.getTaxonomy(adminUid, taxonomyId);
+    await this.store.delete(this._taxonomiesPath(adminUid), taxonomyId);
+
+    console.log(`[TaxonomyService] Deleted taxonomy ${taxonomyId}`);
+  }
+
+  /**
+   * Validate and normalize taxonomy input
+   * @private
+   */
+  _validateTaxonomy(data) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.trim().length > 100) {
+      throw new Error('Invalid taxonomy: name is required (max 100 characters)');
+    }
+
+    return {
+      name: data.name.trim(),
+      description: typeof data.description === 'string' ? data.description.trim() : '',
+      sentiments: this._validateEntries('sentiments', data.sentiments),
+      traits: this._validateEntries('traits', data.traits)
+    };
+  }
+
+  /**
+   * Validate one vocabulary: unique labels, synonyms that don't clash
+   * Entries may be given as plain label strings.
+   * @private
+   */
+  _validateEntries(kind, list) {
+    const { min, max } = LIMITS[kind];
+
+    if (!Array.isArray(list) || list.length < min || list.length > max) {
+      throw new Error(`Invalid taxonomy: ${kind} must be an array of ${min}-${max} entries`);
+    }
+
+    const taken = new Map();
+    const claim = (word, label) => {
+      const key = word.toLowerCase();
+      if (taken.has(key) && taken.get(key) !== label) {
+        throw new Error(`Invalid taxonomy: "${word}" is used by both ${taken.get(key)} and ${label} in ${kind}`);
+      }
+      taken.set(key, label);
+    };
+
+    const normalized = list.map((entry, index) => {
+      const item = typeof entry === 'string' ? { label: entry } : entry || {};
+      const label = typeof item.label === 'string' ? item.label.trim() : '';
+
+      if (!label || label.length > MAX_LABEL_LENGTH) {
+        throw new Error(`Invalid taxonomy: ${kind}[${index}] needs a label of 1-${MAX_LABEL_LENGTH} characters`);
+      }
+      if (taken.has(label.toLowerCase())) {
+        throw new Error(`Invalid taxonomy: duplicate label "${label}" in ${kind}`);
+      }
+      claim(label, label);
+
+      const description = typeof item.description === 'string' ? item.description.trim() : '';
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`Invalid taxonomy: description of ${label} exceeds ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+
+      if (item.synonyms !== undefined && (!Array.isArray(item.synonyms) || item.synonyms.some(s => typeof s !== 'string'))) {
+        throw new Error(`Invalid taxonomy: synonyms of ${label} must be an array of strings`);
+      }
+
+      return {
+        label: label,
+        description: description,
+        synonyms: [...new Set((item.synonyms || []).map(s => s.trim().toLowerCase()).filter(Boolean))]
+      };
+    });
+
+    // Synonyms are checked after all labels are known, so a synonym can't shadow a later label
+    normalized.forEach(entry => {
+      entry.synonyms = entry.synonyms.filter(synonym => synonym !== entry.label.toLowerCase());
+      entry.synonyms.forEach(synonym => claim(synonym, entry.label));
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Collection path for a user's taxonomies
+   * @private
+   */
+  _taxonomiesPath(adminUid) {
+    return collectionPath('users', adminUid, 'taxonomies');
+  }
+}
+
+module.exports = new TaxonomyService();
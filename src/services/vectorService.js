@@ -1,4 +1,7 @@
 const { ChromaClient } = require('chromadb');
+const llmService = require('./llmService');
+const promptService = require('./promptService');
+const cacheService = require('./cacheService');
 
 /**
  * Vector Service - Handles ChromaDB operations for RAG
@@ -15,7 +18,6 @@ class VectorService {
     this.chromaUrl = process.env.CHROMADB_URL || 'http://localhost:8000';
     this.collectionName = process.env.CHROMADB_COLLECTION || 'k_psyche_memories';
     this.embeddingModel = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
     this.ragEnabled = process.env.RAG_ENABLED !== 'false';
     this.contextLimit = parseInt(process.env.RAG_CONTEXT_LIMIT || '3', 10);
     this.similarityThreshold = parseFloat(process.env.RAG_SIMILARITY_THRESHOLD || '0.7');
@@ -83,48 +85,38 @@ class VectorService {
   }
 
   /**
-   * Generate embedding for text using Ollama
+   * Generate embedding for text using the configured LLM provider
+   * Embeddings are cached by text and embedding model.
    * @param {string} text - Text to embed
+   * @param {Object} options - { bypassCache: true embeds even if cached }
    * @returns {Promise<Array<number>>} Embedding vector
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, options = {}) {
     if (!text || text.trim().length === 0) {
       throw new Error('Text is required for embedding generation');
     }
 
-    try {
-      const url = `${this.ollamaUrl}/api/embeddings`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: this.embeddingModel,
-          prompt: text.substring(0, 2000) // Limit to 2000 chars for embedding
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Ollama embeddings API error (${response.status}): ${errorText}`);
+    const input = text.substring(0, 2000); // Limit to 2000 chars for embedding
+    const cacheKey = cacheService.key([this.embeddingModel, input]);
+    if (options.bypassCache !== true) {
+      const cached = await cacheService.get('embeddings', cacheKey);
+      if (cached) {
+        return cached;
       }
+    }
 
-      const data = await response.json();
-
-      if (!data.embedding || !Array.isArray(data.embedding)) {
-        throw new Error('Invalid embedding response from Ollama');
-      }
-
-      return data.embedding;
-
+    let embedding;
+    try {
+      embedding = await llmService.embed(input, {
+        model: this.embeddingModel,
+        caller: 'VectorService'
+      });
     } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to Ollama at ${this.ollamaUrl}. Is Ollama running?`);
-      }
       throw new Error(`Failed to generate embedding: ${error.message}`);
     }
+
+    await cacheService.set('embeddings', cacheKey, embedding);
+    return embedding;
   }
 
   /**
@@ -133,9 +125,11 @@ class VectorService {
    * @param {string} text - Text to store
    * @param {Object} metadata - Additional metadata
    * @param {string} metadata.personaId - Optional persona ID for filtering
+   * @param {Object} options - Save options
+   * @param {Array<number>} options.embedding - Precomputed embedding (skips the Ollama call)
    * @returns {Promise<string>} Document ID
    */
-  async saveMemory(userId, text, metadata = {}) {
+  async saveMemory(userId, text, metadata = {}, options = {}) {
     if (!this.isInitialized) {
       console.warn('[VectorService] ChromaDB not initialized, skipping memory save');
       return null;
@@ -147,7 +141,7 @@ class VectorService {
 
     try {
       // Generate embedding
-      const embedding = await this.generateEmbedding(text);
+      const embedding = options.embedding || await this.generateEmbedding(text);
 
       // Create unique document ID
       const personaPrefix = metadata.personaId ? `${metadata.personaId}_` : '';
@@ -206,9 +200,13 @@ class VectorService {
    * @param {string} queryText - Query text
    * @param {number} limit - Number of results
    * @param {string} personaId - Optional persona ID to filter by
+   * @param {Object} options - Search options
+   * @param {Array<string>} options.excludePersonaIds - Persona IDs whose memories are skipped (archived/trashed)
+   * @param {Array<string>} options.personaIds - Search several personas at once (instead of personaId)
+   * @param {boolean} options.bypassCache - Embed the query even if its embedding is cached
    * @returns {Promise<Array>} Relevant memories
    */
-  async searchMemory(userId, queryText, limit = null, personaId = null) {
+  async searchMemory(userId, queryText, limit = null, personaId = null, options = {}) {
     if (!this.isInitialized) {
       console.warn('[VectorService] ChromaDB not initialized, returning empty context');
       return [];
@@ -222,12 +220,18 @@ class VectorService {
 
     try {
       // Generate query embedding
-      const queryEmbedding = await this.generateEmbedding(queryText);
+      const queryEmbedding = await this.generateEmbedding(queryText, { bypassCache: options.bypassCache });
 
       // Build where clause with optional persona filter
-      const whereClause = personaId 
-        ? { userId: userId, personaId: personaId } // CRITICAL: Filter by user AND persona
-        : { userId: userId }; // Filter by user only
+      const filters = { userId: userId };
+      if (personaId) {
+        filters.personaId = personaId; // CRITICAL: Filter by user AND persona
+      } else if (options.personaIds && options.personaIds.length > 0) {
+        filters.personaId = { $in: options.personaIds };
+      } else if (options.excludePersonaIds && options.excludePersonaIds.length > 0) {
+        filters.personaId = { $nin: options.excludePersonaIds };
+      }
+      const whereClause = this._buildWhere(filters);
 
       // Query collection
       const results = await this.collection.query({
@@ -314,6 +318,181 @@ class VectorService {
     }
   }
 
+  /**
+   * Delete every memory belonging to a persona and report how many were removed
+   * Unlike deleteMemory, failures are thrown so callers can retry the cascade
+   * @param {string} userId - User ID
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<number>} Number of memories deleted
+   */
+  async deletePersonaMemories(userId, personaId) {
+    if (!this.ragEnabled) {
+      return 0;
+    }
+
+    if (!this.isInitialized) {
+      throw new Error('Vector service not available. Cannot delete persona memories.');
+    }
+
+    const results = await this.collection.get({
+      where: this._buildWhere({ userId: userId, personaId: personaId }),
+      include: []
+    });
+
+    const ids = results.ids || [];
+    if (ids.length > 0) {
+      await this.collection.delete({ ids: ids });
+    }
+
+    console.log(`[VectorService] Deleted ${ids.length} memories for user ${userId}, persona ${personaId}`);
+    return ids.length;
+  }
+
+  /**
+   * Get every memory of a persona (for export)
+   * @param {string} userId - User ID
+   * @param {string} personaId - Persona ID
+   * @param {Object} options - Read options
+   * @param {boolean} options.includeEmbeddings - Also return embedding vectors
+   * @returns {Promise<Array>} Memories with id, text, metadata and optional embedding
+   */
+  async getPersonaMemories(userId, personaId, options = {}) {
+    if (!this.ragEnabled) {
+      return [];
+    }
+
+    if (!this.isInitialized) {
+      throw new Error('Vector service not available. Cannot read persona memories.');
+    }
+
+    const include = ['documents', 'metadatas'];
+    if (options.includeEmbeddings) {
+      include.push('embeddings');
+    }
+
+    const results = await this.collection.get({
+      where: this._buildWhere({ userId: userId, personaId: personaId }),
+      include: include
+    });
+
+    return (results.ids || []).map((id, i) => ({
+      id: id,
+      text: results.documents[i],
+      metadata: results.metadatas[i],
+      ...(options.includeEmbeddings ? { embedding: Array.from(results.embeddings[i]) } : {})
+    }));
+  }
+
+  /**
+   * Get a user's memories that belong to no persona (saved by analyses without personaId)
+   * @param {string} userId - User ID
+   * @param {Object} match - Which memories to read: { ids } or { text } (the first 1000 characters saved with the memory)
+   * @param {number} limit - Maximum number of memories read for a text match
+   * @returns {Promise<Array>} Memories with id, text and metadata
+   */
+  async getUnassignedMemories(userId, match, limit = 50) {
+    if (!this.ragEnabled) {
+      return [];
+    }
+
+    if (!this.isInitialized) {
+      throw new Error('Vector service not available. Cannot read memories.');
+    }
+
+    if (!match || (!Array.isArray(match.ids) && typeof match.text !== 'string')) {
+      throw new Error('getUnassignedMemories needs ids or text to match');
+    }
+
+    if (Array.isArray(match.ids) && match.ids.length === 0) {
+      return [];
+    }
+
+    const results = await this.collection.get(Array.isArray(match.ids)
+      ? { ids: match.ids, where: { userId: userId }, include: ['documents', 'metadatas'] }
+      : { where: this._buildWhere({ userId: userId, text: match.text }), limit: limit, include: ['documents', 'metadatas'] });
+
+    return (results.ids || [])
+      .map((id, i) => ({ id: id, text: results.documents[i], metadata: results.metadatas[i] }))
+      .filter(memory => !memory.metadata.personaId);
+  }
+
+  /**
+   * Tag specific memories with a persona
+   * @param {string} userId - User ID (memories of other users are left alone)
+   * @param {Array<string>} memoryIds - Memory IDs
+   * @param {string} personaId - Persona ID
+   * @returns {Promise<number>} Number of memories updated
+   */
+  async assignMemoriesToPersona(userId, memoryIds, personaId) {
+    if (!this.ragEnabled || memoryIds.length === 0) {
+      return 0;
+    }
+
+    if (!this.isInitialized) {
+      throw new Error('Vector service not available. Cannot assign memories.');
+    }
+
+    const results = await this.collection.get({
+      ids: memoryIds,
+      where: { userId: userId },
+      include: ['metadatas']
+    });
+
+    const ids = results.ids || [];
+    if (ids.length > 0) {
+      await this.collection.update({
+        ids: ids,
+        metadatas: results.metadatas.map(metadata => ({ ...metadata, personaId: personaId }))
+      });
+    }
+
+    console.log(`[VectorService] Assigned ${ids.length} memories to persona ${personaId}`);
+    return ids.length;
+  }
+
+  /**
+   * Move every memory of one persona to another by rewriting its personaId metadata
+   * @param {string} userId - User ID
+   * @param {string} fromPersonaId - Persona the memories currently belong to
+   * @param {string} toPersonaId - Persona to assign them to
+   * @returns {Promise<number>} Number of memories re-tagged
+   */
+  async reassignPersonaMemories(userId, fromPersonaId, toPersonaId) {
+    if (!this.ragEnabled) {
+      return 0;
+    }
+
+    if (!this.isInitialized) {
+      throw new Error('Vector service not available. Cannot reassign persona memories.');
+    }
+
+    const results = await this.collection.get({
+      where: this._buildWhere({ userId: userId, personaId: fromPersonaId }),
+      include: ['metadatas']
+    });
+
+    const ids = results.ids || [];
+    if (ids.length > 0) {
+      await this.collection.update({
+        ids: ids,
+        metadatas: results.metadatas.map(metadata => ({ ...metadata, personaId: toPersonaId }))
+      });
+    }
+
+    console.log(`[VectorService] Re-tagged ${ids.length} memories from persona ${fromPersonaId} to ${toPersonaId}`);
+    return ids.length;
+  }
+
+  /**
+   * Build a Chroma where clause from per-key filters (values or operator objects)
+   * Chroma requires an explicit $and when filtering on more than one key
+   * @private
+   */
+  _buildWhere(filters) {
+    const conditions = Object.entries(filters).map(([key, value]) => ({ [key]: value }));
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  }
+
   /**
    * Get user's memory count
    * @param {string} userId - User ID
@@ -365,27 +544,49 @@ class VectorService {
   /**
    * Format memories for prompt context
    * @param {Array} memories - Array of memory objects
+   * @param {Object} prompts - Prompt templates from promptService.getActivePrompts (default: latest "memory-context")
    * @returns {string} Formatted context string
    */
-  formatMemoriesForContext(memories) {
+  formatMemoriesForContext(memories, prompts = null) {
     if (!memories || memories.length === 0) {
       return '';
     }
 
-    const contextParts = memories.map((memory, index) => {
-      const sentiment = memory.metadata.sentiment || 'Unknown';
-      const traits = memory.metadata.personality_traits || [];
-      const timestamp = memory.metadata.timestamp || '';
-      
-      return `[Past Context ${index + 1}]
-Text: "${memory.text}"
-Previous Sentiment: ${sentiment}
-Previous Traits: ${traits.join(', ')}
-Date: ${new Date(timestamp).toLocaleDateString()}
-Similarity: ${(memory.similarity * 100).toFixed(1)}%`;
+    return promptService.render(promptService.resolve(prompts, 'memory-context'), {
+      memories: memories.map((memory, index) => ({
+        index: index + 1,
+        first: index === 0,
+        text: memory.text,
+        sentiment: memory.metadata.sentiment || 'Unknown',
+        traits: (memory.metadata.personality_traits || []).join(', '),
+        emotions: this._describeEmotions(memory.metadata),
+        date: new Date(memory.metadata.timestamp || '').toLocaleDateString(),
+        similarity: (memory.similarity * 100).toFixed(1)
+      }))
     });
+  }
+
+  /**
+   * Summarize the strongest emotion scores stored on a memory (emotions mode only)
+   * @private
+   */
+  _describeEmotions(metadata) {
+    const scores = Object.keys(metadata)
+      .filter(key => key.startsWith('emotion_') && typeof metadata[key] === 'number' && metadata[key] >= 0.2)
+      .map(key => ({ emotion: key.slice('emotion_'.length), score: metadata[key] }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+
+    if (scores.length === 0) {
+      return '';
+    }
+
+    const parts = scores.map(({ emotion, score }) => `${emotion} ${score}`);
+    if (typeof metadata.valence === 'number') {
+      parts.push(`valence ${metadata.valence}`);
+    }
 
-    return `\n\nRELEVANT PAST CONTEXT:\n${contextParts.join('\n\n')}`;
+    return parts.join(', ');
   }
 }
 
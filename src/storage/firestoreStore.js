@@ -0,0 +1,252 @@
+const { admin, getFirestore } = require('../config/firebase');
+
+/**
+ * Firestore Store - Document storage backed by Cloud Firestore
+ * Collection paths use Firestore's slash notation (e.g. "users/{uid}/personas")
+ */
+class FirestoreStore {
+  /**
+   * @param {admin.firestore.Firestore} db - Firestore instance (defaults to the configured app's)
+   */
+  constructor(db = getFirestore()) {
+    this.name = 'firestore';
+    this.db = db;
+  }
+
+  /**
+   * Check if the backend is usable
+   * @returns {boolean}
+   */
+  isReady() {
+    return !!this.db;
+  }
+
+  /**
+   * Value used for server-side write timestamps
+   * @returns {admin.firestore.FieldValue}
+   */
+  serverTimestamp() {
+    return admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  /**
+   * Generate a new document ID without writing anything
+   * @param {string} collectionPath - Collection path
+   * @returns {string} Document ID
+   */
+  generateId(collectionPath) {
+    return this.db.collection(collectionPath).doc().id;
+  }
+
+  /**
+   * Get a single document
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} Document with ID, or null if missing
+   */
+  async get(collectionPath, id) {
+    const doc = await this.db.collection(collectionPath).doc(id).get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return { id: doc.id, ...doc.data() };
+  }
+
+  /**
+   * Add a document with a generated ID
+   * @param {string} collectionPath - Collection path
+   * @param {Object} data - Document data
+   * @returns {Promise<string>} Document ID
+   */
+  async add(collectionPath, data) {
+    const docRef = await this.db.collection(collectionPath).add(data);
+    return docRef.id;
+  }
+
+  /**
+   * Create or overwrite a document
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @param {Object} data - Document data
+   * @returns {Promise<void>}
+   */
+  async set(collectionPath, id, data) {
+    await this.db.collection(collectionPath).doc(id).set(data);
+  }
+
+  /**
+   * Merge fields into an existing document
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<void>}
+   */
+  async update(collectionPath, id, data) {
+    await this.db.collection(collectionPath).doc(id).update(data);
+  }
+
+  /**
+   * Delete a document (no-op if it does not exist)
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @returns {Promise<void>}
+   */
+  async delete(collectionPath, id) {
+    await this.db.collection(collectionPath).doc(id).delete();
+  }
+
+  /**
+   * Delete several documents in one batched write
+   * @param {string} collectionPath - Collection path
+   * @param {Array<string>} ids - Document IDs (max 500, Firestore batch limit)
+   * @returns {Promise<void>}
+   */
+  async deleteMany(collectionPath, ids) {
+    const batch = this.db.batch();
+    const collection = this.db.collection(collectionPath);
+
+    ids.forEach(id => batch.delete(collection.doc(id)));
+
+    await batch.commit();
+  }
+
+  /**
+   * Run reads and writes as one Firestore transaction
+   * The callback may run several times if a document it read changes before commit;
+   * all its reads must come before its writes.
+   * @param {Function} fn - async (tx) => result, with tx.get(path, id), tx.add(path, data)
+   *   (returns the new ID), tx.set(path, id, data) and tx.update(path, id, data)
+   * @returns {Promise<*>} What fn returned
+   */
+  async transaction(fn) {
+    return this.db.runTransaction(async (transaction) => {
+      const ref = (collectionPath, id) => this.db.collection(collectionPath).doc(id);
+
+      return fn({
+        get: async (collectionPath, id) => {
+          const doc = await transaction.get(ref(collectionPath, id));
+          return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        },
+        add: (collectionPath, data) => {
+          const docRef = this.db.collection(collectionPath).doc();
+          transaction.set(docRef, data);
+          return docRef.id;
+        },
+        set: (collectionPath, id, data) => {
+          transaction.set(ref(collectionPath, id), data);
+        },
+        update: (collectionPath, id, data) => {
+          transaction.update(ref(collectionPath, id), data);
+        }
+      });
+    });
+  }
+
+  /**
+   * Query documents in a collection
+   * @param {string} collectionPath - Collection path
+   * @param {Object} options - Query options
+   * @param {Array<Array>} options.where - Filters as [field, op, value] tuples
+   * @param {string} options.orderBy - Field to order by
+   * @param {string} options.order - 'asc' or 'desc'
+   * @param {number} options.limit - Maximum number of documents
+   * @param {Object} options.startAfter - Resume after { value, id } (requires orderBy)
+   * @returns {Promise<Array>} Documents with IDs
+   */
+  async query(collectionPath, options = {}) {
+    const snapshot = await this._buildQuery(this.db.collection(collectionPath), options).get();
+
+    const docs = [];
+    snapshot.forEach(doc => {
+      docs.push({ id: doc.id, ...doc.data() });
+    });
+
+    return docs;
+  }
+
+  /**
+   * Count documents in a collection
+   * @param {string} collectionPath - Collection path
+   * @param {Object} options - Query options
+   * @param {Array<Array>} options.where - Filters as [field, op, value] tuples
+   * @returns {Promise<number>} Number of matching documents
+   */
+  async count(collectionPath, options = {}) {
+    const query = this._buildQuery(this.db.collection(collectionPath), { where: options.where });
+    const snapshot = await query.count().get();
+    return snapshot.data().count;
+  }
+
+  /**
+   * Query every collection with the given ID, regardless of parent
+   * (e.g. "personas" across all users)
+   * @param {string} collectionId - Last segment of the collection path
+   * @param {Object} options - Same options as query(), except startAfter
+   * @returns {Promise<Array<{collectionPath: string, doc: Object}>>} Matches with their collection path
+   */
+  async queryGroup(collectionId, options = {}) {
+    // Firestore resumes collection-group queries from a full document path, not an ID
+    if (options.startAfter) {
+      throw new Error('queryGroup does not support startAfter');
+    }
+
+    const snapshot = await this._buildQuery(this.db.collectionGroup(collectionId), options).get();
+
+    const matches = [];
+    snapshot.forEach(doc => {
+      matches.push({
+        collectionPath: doc.ref.parent.path,
+        doc: { id: doc.id, ...doc.data() }
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Apply query options to a collection reference
+   * @private
+   */
+  _buildQuery(query, options) {
+    const { where = [], orderBy, order = 'asc', limit, startAfter } = options;
+
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+
+    if (orderBy) {
+      // Tie-break on document ID on every page, so pages and cursors agree on the order
+      query = query
+        .orderBy(orderBy, order)
+        .orderBy(admin.firestore.FieldPath.documentId(), order);
+    }
+
+    if (startAfter) {
+      if (!orderBy) {
+        throw new Error('startAfter requires orderBy');
+      }
+      query = query.startAfter(this._fromCursorValue(startAfter.value), startAfter.id);
+    }
+
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    return query;
+  }
+
+  /**
+   * Turn a timestamp encoded in a pagination cursor back into a Firestore Timestamp
+   * @private
+   */
+  _fromCursorValue(value) {
+    if (value && Array.isArray(value.__timestamp)) {
+      return new admin.firestore.Timestamp(value.__timestamp[0], value.__timestamp[1]);
+    }
+    return value;
+  }
+}
+
+module.exports = FirestoreStore;
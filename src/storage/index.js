@@ -0,0 +1,56 @@
+const config = require('../config');
+
+/**
+ * Storage - Selects the persistence backend from configuration
+ *
+ * Backends share one document-store interface:
+ *   isReady(), serverTimestamp(), generateId(collectionPath),
+ *   get(), add(), set(), update(), delete(), deleteMany(), query(), queryGroup(), count(),
+ *   transaction(fn) - fn(tx) reads with tx.get() and then writes with tx.add()/set()/update(),
+ *   all committed together (retried when a document it read changed meanwhile)
+ * Collection paths use Firestore slash notation, e.g. "users/{uid}/personas".
+ */
+
+let store = null;
+
+/**
+ * Get the configured store (created on first use)
+ * @returns {FirestoreStore|SqliteStore}
+ */
+function getStore() {
+  if (store) {
+    return store;
+  }
+
+  switch (config.storageBackend) {
+    case 'sqlite': {
+      const SqliteStore = require('./sqliteStore');
+      store = new SqliteStore(config.sqlitePath);
+      break;
+    }
+    case 'firestore': {
+      const FirestoreStore = require('./firestoreStore');
+      store = new FirestoreStore();
+      break;
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${config.storageBackend}. Use "firestore" or "sqlite".`);
+  }
+
+  console.log(`[Storage] Backend: ${store.name}`);
+  return store;
+}
+
+/**
+ * Build a collection path from segments
+ * @param {...string} segments - Alternating collection names and document IDs
+ * @returns {string} Collection path
+ */
+function collectionPath(...segments) {
+  return segments.join('/');
+}
+
+module.exports = {
+  getStore,
+  collectionPath
+};
@@ -0,0 +1,441 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const TRANSACTION_ATTEMPTS = 5;
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const FIELD_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+/**
+ * SQLite Store - File-backed document storage for local and air-gapped deployments
+ * Mirrors the Firestore document model: every document lives in a single table
+ * keyed by (collection path, document ID) with its fields stored as JSON.
+ */
+class SqliteStore {
+  constructor(filePath) {
+    this.name = 'sqlite';
+    this.filePath = path.resolve(filePath);
+    this.db = null;
+    this.initializationError = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      this.db = new Database(this.filePath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+          collection TEXT NOT NULL,
+          id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (collection, id)
+        )
+      `);
+
+      console.log(`[SqliteStore] ✅ Using SQLite database at ${this.filePath}`);
+
+    } catch (error) {
+      this.db = null;
+      this.initializationError = error;
+      console.error('[SqliteStore] ❌ Failed to open SQLite database');
+      console.error('[SqliteStore] Error:', error.message);
+    }
+  }
+
+  /**
+   * Check if the backend is usable
+   * @returns {boolean}
+   */
+  isReady() {
+    return !!this.db;
+  }
+
+  /**
+   * Value used for server-side write timestamps
+   * @returns {string} ISO timestamp
+   */
+  serverTimestamp() {
+    return new Date().toISOString();
+  }
+
+  /**
+   * Generate a new document ID (20 chars, same shape as Firestore auto-IDs)
+   * @returns {string} Document ID
+   */
+  generateId() {
+    const bytes = crypto.randomBytes(20);
+    let id = '';
+    for (let i = 0; i < bytes.length; i++) {
+      id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+    }
+    return id;
+  }
+
+  /**
+   * Get a single document
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|null>} Document with ID, or null if missing
+   */
+  async get(collectionPath, id) {
+    const row = this.db
+      .prepare('SELECT id, data FROM documents WHERE collection = ? AND id = ?')
+      .get(collectionPath, id);
+
+    return row ? this._toDoc(row) : null;
+  }
+
+  /**
+   * Add a document with a generated ID
+   * @param {string} collectionPath - Collection path
+   * @param {Object} data - Document data
+   * @returns {Promise<string>} Document ID
+   */
+  async add(collectionPath, data) {
+    const id = this.generateId();
+    await this.set(collectionPath, id, data);
+    return id;
+  }
+
+  /**
+   * Create or overwrite a document
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @param {Object} data - Document data
+   * @returns {Promise<void>}
+   */
+  async set(collectionPath, id, data) {
+    this._write(collectionPath, id, data);
+  }
+
+  /**
+   * Merge fields into an existing document
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<void>}
+   */
+  async update(collectionPath, id, data) {
+    this._merge(collectionPath, id, data);
+  }
+
+  /**
+   * Delete a document (no-op if it does not exist)
+   * @param {string} collectionPath - Collection path
+   * @param {string} id - Document ID
+   * @returns {Promise<void>}
+   */
+  async delete(collectionPath, id) {
+    this.db
+      .prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+      .run(collectionPath, id);
+  }
+
+  /**
+   * Delete several documents in one transaction
+   * @param {string} collectionPath - Collection path
+   * @param {Array<string>} ids - Document IDs
+   * @returns {Promise<void>}
+   */
+  async deleteMany(collectionPath, ids) {
+    const statement = this.db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+    const removeAll = this.db.transaction(() => {
+      ids.forEach(id => statement.run(collectionPath, id));
+    });
+
+    removeAll();
+  }
+
+  /**
+   * Run reads and writes as one transaction (optimistic, like Firestore)
+   * Writes are buffered and committed in one SQLite transaction, but only if
+   * every document fn read is unchanged; otherwise fn runs again.
+   * @param {Function} fn - async (tx) => result, with tx.get(path, id), tx.add(path, data)
+   *   (returns the new ID), tx.set(path, id, data) and tx.update(path, id, data)
+   * @returns {Promise<*>} What fn returned
+   */
+  async transaction(fn) {
+    const readStatement = this.db.prepare('SELECT id, data FROM documents WHERE collection = ? AND id = ?');
+
+    for (let attempt = 1; attempt <= TRANSACTION_ATTEMPTS; attempt++) {
+      const reads = [];
+      const writes = [];
+
+      const result = await fn({
+        get: async (collectionPath, id) => {
+          const row = readStatement.get(collectionPath, id);
+          reads.push({ collectionPath, id, data: row ? row.data : null });
+          return row ? this._toDoc(row) : null;
+        },
+        add: (collectionPath, data) => {
+          const id = this.generateId();
+          writes.push(() => this._write(collectionPath, id, data));
+          return id;
+        },
+        set: (collectionPath, id, data) => {
+          writes.push(() => this._write(collectionPath, id, data));
+        },
+        update: (collectionPath, id, data) => {
+          writes.push(() => this._merge(collectionPath, id, data));
+        }
+      });
+
+      const commit = this.db.transaction(() => {
+        const unchanged = reads.every(read => {
+          const row = readStatement.get(read.collectionPath, read.id);
+          return (row ? row.data : null) === read.data;
+        });
+        if (unchanged) {
+          writes.forEach(write => write());
+        }
+        return unchanged;
+      });
+
+      if (commit()) {
+        return result;
+      }
+    }
+
+    throw new Error('Transaction failed: documents kept changing, try again');
+  }
+
+  /**
+   * Query documents in a collection
+   * Supports the Firestore operators used by the services:
+   * ==, !=, <, <=, >, >=, in, not-in, array-contains, array-contains-any
+   * @param {string} collectionPath - Collection path
+   * @param {Object} options - Query options
+   * @param {Array<Array>} options.where - Filters as [field, op, value] tuples
+   * @param {string} options.orderBy - Field to order by
+   * @param {string} options.order - 'asc' or 'desc'
+   * @param {number} options.limit - Maximum number of documents
+   * @param {Object} options.startAfter - Resume after { value, id } (requires orderBy)
+   * @returns {Promise<Array>} Documents with IDs
+   */
+  async query(collectionPath, options = {}) {
+    const rows = this._select('collection = ?', [collectionPath], options);
+    return rows.map(row => this._toDoc(row));
+  }
+
+  /**
+   * Count documents in a collection
+   * @param {string} collectionPath - Collection path
+   * @param {Object} options - Query options
+   * @param {Array<Array>} options.where - Filters as [field, op, value] tuples
+   * @returns {Promise<number>} Number of matching documents
+   */
+  async count(collectionPath, options = {}) {
+    const clauses = ['collection = ?'];
+    const params = [collectionPath];
+
+    (options.where || []).forEach(([field, op, value]) => {
+      const { sql, values } = this._buildCondition(field, op, value);
+      clauses.push(sql);
+      params.push(...values);
+    });
+
+    const row = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM documents WHERE ${clauses.join(' AND ')}`)
+      .get(...params);
+
+    return row.total;
+  }
+
+  /**
+   * Query every collection with the given ID, regardless of parent
+   * (e.g. "personas" across all users)
+   * @param {string} collectionId - Last segment of the collection path
+   * @param {Object} options - Same options as query(), except startAfter
+   * @returns {Promise<Array<{collectionPath: string, doc: Object}>>} Matches with their collection path
+   */
+  async queryGroup(collectionId, options = {}) {
+    // Matches FirestoreStore, where group cursors would need full document paths
+    if (options.startAfter) {
+      throw new Error('queryGroup does not support startAfter');
+    }
+
+    const rows = this._select(
+      '(collection = ? OR collection LIKE ?)',
+      [collectionId, `%/${collectionId}`],
+      options
+    );
+
+    return rows
+      // LIKE also matches ids that merely end with the name (e.g. "old_personas")
+      .filter(row => row.collection.split('/').pop() === collectionId)
+      .map(row => ({ collectionPath: row.collection, doc: this._toDoc(row) }));
+  }
+
+  /**
+   * Create or overwrite a document (synchronous, for transactions)
+   * @private
+   */
+  _write(collectionPath, id, data) {
+    this.db
+      .prepare('INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)')
+      .run(collectionPath, id, JSON.stringify(data));
+  }
+
+  /**
+   * Merge fields into an existing document (synchronous, for transactions)
+   * @private
+   */
+  _merge(collectionPath, id, data) {
+    const merge = this.db.transaction(() => {
+      const row = this.db
+        .prepare('SELECT data FROM documents WHERE collection = ? AND id = ?')
+        .get(collectionPath, id);
+
+      if (!row) {
+        throw new Error(`No document to update: ${collectionPath}/${id}`);
+      }
+
+      const merged = { ...JSON.parse(row.data), ...data };
+
+      this.db
+        .prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?')
+        .run(JSON.stringify(merged), collectionPath, id);
+    });
+
+    merge();
+  }
+
+  /**
+   * Run a SELECT with query options applied
+   * @private
+   */
+  _select(collectionClause, collectionParams, options) {
+    const { where = [], orderBy, order = 'asc', limit, startAfter } = options;
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+
+    const clauses = [collectionClause];
+    const params = [...collectionParams];
+
+    where.forEach(([field, op, value]) => {
+      const { sql, values } = this._buildCondition(field, op, value);
+      clauses.push(sql);
+      params.push(...values);
+    });
+
+    if (orderBy) {
+      // Firestore omits documents that lack the ordering field
+      clauses.push('json_type(data, ?) IS NOT NULL');
+      params.push(this._jsonPath(orderBy));
+    }
+
+    if (startAfter) {
+      if (!orderBy) {
+        throw new Error('startAfter requires orderBy');
+      }
+      const comparison = direction === 'DESC' ? '<' : '>';
+      clauses.push(`(json_extract(data, ?), id) ${comparison} (?, ?)`);
+      params.push(this._jsonPath(orderBy), this._toSqlValue(startAfter.value), startAfter.id);
+    }
+
+    let sql = `SELECT collection, id, data FROM documents WHERE ${clauses.join(' AND ')}`;
+
+    if (orderBy) {
+      sql += ` ORDER BY json_extract(data, ?) ${direction}, id ${direction}`;
+      params.push(this._jsonPath(orderBy));
+    }
+
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.db.prepare(sql).all(...params);
+  }
+
+  /**
+   * Build a SQL condition for a single where tuple
+   * @private
+   */
+  _buildCondition(field, op, value) {
+    const jsonPath = this._jsonPath(field);
+    const column = 'json_extract(data, ?)';
+
+    switch (op) {
+      case '==':
+        return value === null
+          ? { sql: `json_type(data, ?) = 'null'`, values: [jsonPath] }
+          : { sql: `${column} = ?`, values: [jsonPath, this._toSqlValue(value)] };
+      case '!=':
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return { sql: `${column} ${op} ?`, values: [jsonPath, this._toSqlValue(value)] };
+      case 'in':
+      case 'not-in': {
+        const list = this._toSqlList(value, op);
+        const keyword = op === 'in' ? 'IN' : 'NOT IN';
+        return {
+          sql: `${column} ${keyword} (${list.map(() => '?').join(', ')})`,
+          values: [jsonPath, ...list]
+        };
+      }
+      case 'array-contains':
+        return {
+          sql: 'EXISTS (SELECT 1 FROM json_each(data, ?) WHERE value = ?)',
+          values: [jsonPath, this._toSqlValue(value)]
+        };
+      case 'array-contains-any': {
+        const list = this._toSqlList(value, op);
+        return {
+          sql: `EXISTS (SELECT 1 FROM json_each(data, ?) WHERE value IN (${list.map(() => '?').join(', ')}))`,
+          values: [jsonPath, ...list]
+        };
+      }
+      default:
+        throw new Error(`Unsupported query operator: ${op}`);
+    }
+  }
+
+  /**
+   * Convert a dotted field name to a JSON path
+   * @private
+   */
+  _jsonPath(field) {
+    if (!FIELD_PATTERN.test(field)) {
+      throw new Error(`Invalid field name: ${field}`);
+    }
+    return `$.${field}`;
+  }
+
+  /**
+   * Convert a JS value to something SQLite can bind
+   * @private
+   */
+  _toSqlValue(value) {
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return value;
+  }
+
+  /**
+   * Validate and convert a list operand
+   * @private
+   */
+  _toSqlList(value, op) {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`Operator ${op} requires a non-empty array`);
+    }
+    return value.map(v => this._toSqlValue(v));
+  }
+
+  /**
+   * Convert a database row to a document object
+   * @private
+   */
+  _toDoc(row) {
+    return { id: row.id, ...JSON.parse(row.data) };
+  }
+}
+
+module.exports = SqliteStore;
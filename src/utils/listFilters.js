@@ -0,0 +1,294 @@
+/**
+ * List Filter Utility
+ * Parses listing query parameters and turns them into document predicates
+ */
+
+/**
+ * Split a comma-separated query value into trimmed, non-empty items
+ * @private
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const raw = Array.isArray(value) ? value.join(',') : String(value);
+  return raw.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an ISO date query value
+ * @private
+ */
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Parse a true/false query value (absent = not filtered)
+ * @private
+ */
+function parseFlag(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`Invalid ${name}: use true or false`);
+  }
+  return value === 'true';
+}
+
+/**
+ * Parse the date range shared by all listings
+ * @private
+ */
+function parseDateRange(query) {
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+
+  if (from && to && from > to) {
+    throw new Error('Invalid date range: from is after to');
+  }
+
+  return { from, to };
+}
+
+/**
+ * Check a document's createdAt against a date range
+ * @private
+ */
+function inDateRange(doc, { from, to }) {
+  if (!from && !to) {
+    return true;
+  }
+  const createdAt = doc.createdAt || '';
+  return (!from || createdAt >= from) && (!to || createdAt <= to);
+}
+
+/**
+ * Store-level filters for the date range, so out-of-range documents are never read
+ * Only for listings ordered by createdAt (Firestore needs the range field ordered first).
+ * @param {Object} filters - From parseAnalysisFilters or parsePersonaFilters
+ * @returns {Array<Array>} where tuples on createdAt
+ */
+function buildDateWhere(filters = {}) {
+  const where = [];
+  if (filters.from) {
+    where.push(['createdAt', '>=', filters.from]);
+  }
+  if (filters.to) {
+    where.push(['createdAt', '<=', filters.to]);
+  }
+  return where;
+}
+
+/**
+ * Parse analysis listing filters from a request query
+ * @param {Object} query - req.query
+ * @returns {Object} { sentiments, traits, needsReview, from, to }
+ */
+function parseAnalysisFilters(query) {
+  return {
+    sentiments: parseList(query.sentiment),
+    traits: parseList(query.trait),
+    needsReview: parseFlag(query.needsReview, 'needsReview'),
+    ...parseDateRange(query)
+  };
+}
+
+/**
+ * Parse custom field filters: field.<key>=value, field.<key>.min=..., field.<key>.max=...
+ * @private
+ */
+function parseFieldFilters(query) {
+  const fields = {};
+
+  Object.entries(query).forEach(([param, value]) => {
+    const match = /^field\.([A-Za-z][A-Za-z0-9_]*)(?:\.(min|max))?$/.exec(param);
+    if (!match) {
+      return;
+    }
+    const [, key, bound] = match;
+    fields[key] = fields[key] || {};
+    fields[key][bound || 'value'] = Array.isArray(value) ? value.join(',') : String(value);
+  });
+
+  return fields;
+}
+
+/**
+ * Parse persona listing filters from a request query
+ * @param {Object} query - req.query
+ * @returns {Object} { tags, relationship, needsReview, from, to, fields }
+ */
+function parsePersonaFilters(query) {
+  return {
+    tags: parseList(query.tags),
+    relationship: query.relationship ? String(query.relationship).trim() : null,
+    needsReview: parseFlag(query.needsReview, 'needsReview'),
+    ...parseDateRange(query),
+    fields: parseFieldFilters(query)
+  };
+}
+
+/**
+ * Build a predicate for analysis documents
+ * Sentiment matches any of the given values; every listed trait must be present.
+ * @param {Object} filters - From parseAnalysisFilters
+ * @returns {Function|null} Predicate, or null when nothing is filtered
+ */
+function buildAnalysisPredicate(filters = {}) {
+  const { sentiments = [], traits = [], needsReview = null, from = null, to = null } = filters;
+
+  if (sentiments.length === 0 && traits.length === 0 && needsReview === null && !from && !to) {
+    return null;
+  }
+
+  const wantedSentiments = sentiments.map(s => s.toLowerCase());
+  const wantedTraits = traits.map(t => t.toLowerCase());
+
+  return analysis => {
+    if (wantedSentiments.length > 0 &&
+        !wantedSentiments.includes(String(analysis.sentiment || '').toLowerCase())) {
+      return false;
+    }
+
+    if (wantedTraits.length > 0) {
+      const analysisTraits = (analysis.personality_traits || []).map(t => String(t).toLowerCase());
+      if (!wantedTraits.every(trait => analysisTraits.includes(trait))) {
+        return false;
+      }
+    }
+
+    if (needsReview !== null && !!analysis.needs_review !== needsReview) {
+      return false;
+    }
+
+    return inDateRange(analysis, { from, to });
+  };
+}
+
+/**
+ * Parse a number or date bound of a custom field filter
+ * @private
+ */
+function parseFieldBound(field, raw) {
+  if (raw === undefined) {
+    return null;
+  }
+
+  if (field.type === 'date') {
+    return parseDate(raw, `field.${field.key}`);
+  }
+
+  const number = Number(raw);
+  if (raw.trim() === '' || isNaN(number)) {
+    throw new Error(`Invalid number for field.${field.key}: ${raw}`);
+  }
+  return number;
+}
+
+/**
+ * Build a test for one custom field filter, interpreted by the field's type
+ * string/enum: any of the comma-separated values; list: contains all of them;
+ * number/date: equals value and/or lies within min..max.
+ * @private
+ */
+function buildFieldTest(field, filter) {
+  const key = field.key;
+
+  if (field.type === 'number' || field.type === 'date') {
+    const value = parseFieldBound(field, filter.value);
+    const min = parseFieldBound(field, filter.min);
+    const max = parseFieldBound(field, filter.max);
+
+    return persona => {
+      const actual = (persona.customFields || {})[key];
+      if (actual === undefined || actual === null) {
+        return false;
+      }
+      return (value === null || actual === value)
+        && (min === null || actual >= min)
+        && (max === null || actual <= max);
+    };
+  }
+
+  const wanted = parseList(filter.value).map(v => v.toLowerCase());
+  if (wanted.length === 0) {
+    throw new Error(`Invalid filter: field.${key} needs a value`);
+  }
+
+  return persona => {
+    const actual = (persona.customFields || {})[key];
+    if (field.type === 'list') {
+      const items = (actual || []).map(item => String(item).toLowerCase());
+      return wanted.every(item => items.includes(item));
+    }
+    return actual !== undefined && actual !== null && wanted.includes(String(actual).toLowerCase());
+  };
+}
+
+/**
+ * Build a predicate for persona documents
+ * Every listed tag must be present; relationship is compared case-insensitively;
+ * needsReview matches personas with (or without) analyses flagged for review;
+ * custom field filters are typed by the user's field schema.
+ * @param {Object} filters - From parsePersonaFilters
+ * @param {Array<Object>} fieldSchema - The user's custom field definitions
+ * @returns {Function|null} Predicate, or null when nothing is filtered
+ */
+function buildPersonaPredicate(filters = {}, fieldSchema = []) {
+  const { tags = [], relationship = null, needsReview = null, from = null, to = null, fields = {} } = filters;
+
+  const fieldTests = Object.entries(fields).map(([key, filter]) => {
+    const field = fieldSchema.find(definition => definition.key === key);
+    if (!field) {
+      throw new Error(`Invalid filter: unknown custom field ${key}`);
+    }
+    return buildFieldTest(field, filter);
+  });
+
+  if (tags.length === 0 && !relationship && needsReview === null && !from && !to && fieldTests.length === 0) {
+    return null;
+  }
+
+  const wantedTags = tags.map(t => t.toLowerCase());
+  const wantedRelationship = relationship ? relationship.toLowerCase() : null;
+
+  return persona => {
+    if (wantedTags.length > 0) {
+      const personaTags = (persona.tags || []).map(t => String(t).toLowerCase());
+      if (!wantedTags.every(tag => personaTags.includes(tag))) {
+        return false;
+      }
+    }
+
+    if (wantedRelationship && String(persona.relationship || '').toLowerCase() !== wantedRelationship) {
+      return false;
+    }
+
+    if (needsReview !== null && ((persona.reviewCount || 0) > 0) !== needsReview) {
+      return false;
+    }
+
+    if (!fieldTests.every(test => test(persona))) {
+      return false;
+    }
+
+    return inDateRange(persona, { from, to });
+  };
+}
+
+module.exports = {
+  parseAnalysisFilters,
+  parsePersonaFilters,
+  buildDateWhere,
+  buildAnalysisPredicate,
+  buildPersonaPredicate
+};
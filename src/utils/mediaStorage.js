@@ -0,0 +1,136 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Media Storage Utility
+ * Files kept for a persona live under uploads/personas/{uid}/{personaId}/
+ * (transcripts saved by POST /api/ai/transcribe with a personaId go in transcripts/)
+ */
+
+// Transcript file names: no path separators and no leading dot (so never "." or "..")
+const TRANSCRIPT_NAME = /^[A-Za-z0-9_][A-Za-z0-9_ .()-]{0,199}$/;
+
+/**
+ * Get the media directory for a persona
+ * @param {string} adminUid - Admin user ID
+ * @param {string} personaId - Persona ID
+ * @returns {string} Absolute directory path
+ */
+function getPersonaMediaDir(adminUid, personaId) {
+  return path.join(__dirname, '../..', config.uploadsDir, 'personas', adminUid, personaId);
+}
+
+/**
+ * Delete all stored media for a persona
+ * @param {string} adminUid - Admin user ID
+ * @param {string} personaId - Persona ID
+ * @returns {Promise<number>} Number of files deleted
+ */
+async function deletePersonaMedia(adminUid, personaId) {
+  const mediaDir = getPersonaMediaDir(adminUid, personaId);
+
+  if (!fs.existsSync(mediaDir)) {
+    return 0;
+  }
+
+  const entries = await fs.promises.readdir(mediaDir, { recursive: true, withFileTypes: true });
+  const fileCount = entries.filter(entry => entry.isFile()).length;
+
+  await fs.promises.rm(mediaDir, { recursive: true, force: true });
+
+  console.log(`[MediaStorage] Deleted ${fileCount} files for persona ${personaId}`);
+  return fileCount;
+}
+
+/**
+ * Check that a transcript name is a plain file name
+ * @param {string} name - Transcript name
+ * @returns {boolean}
+ */
+function isValidTranscriptName(name) {
+  return typeof name === 'string' && TRANSCRIPT_NAME.test(name);
+}
+
+/**
+ * Save the text of a transcribed recording in a persona's transcripts/ directory
+ * @param {string} adminUid - Admin user ID
+ * @param {string} personaId - Persona ID
+ * @param {string} sourceName - Name of the transcribed file
+ * @param {string} text - Transcript text
+ * @returns {Promise<string>} Transcript name
+ */
+async function savePersonaTranscript(adminUid, personaId, sourceName, text) {
+  const base = path.parse(String(sourceName || 'recording')).name.replace(/[^A-Za-z0-9_ .()-]/g, '_').substring(0, 100);
+  const name = `${Date.now()}-${base || 'recording'}.txt`;
+
+  const transcriptsDir = path.join(getPersonaMediaDir(adminUid, personaId), 'transcripts');
+  await fs.promises.mkdir(transcriptsDir, { recursive: true });
+  await fs.promises.writeFile(path.join(transcriptsDir, name), String(text || ''), 'utf8');
+
+  console.log(`[MediaStorage] Saved transcript ${name} for persona ${personaId}`);
+  return name;
+}
+
+/**
+ * Read a persona's stored transcripts (text files under transcripts/)
+ * @param {string} adminUid - Admin user ID
+ * @param {string} personaId - Persona ID
+ * @returns {Promise<Array<{name: string, text: string}>>} Transcripts
+ */
+async function readPersonaTranscripts(adminUid, personaId) {
+  const transcriptsDir = path.join(getPersonaMediaDir(adminUid, personaId), 'transcripts');
+
+  if (!fs.existsSync(transcriptsDir)) {
+    return [];
+  }
+
+  const entries = await fs.promises.readdir(transcriptsDir, { withFileTypes: true });
+  const transcripts = [];
+
+  for (const entry of entries.filter(e => e.isFile())) {
+    transcripts.push({
+      name: entry.name,
+      text: await fs.promises.readFile(path.join(transcriptsDir, entry.name), 'utf8')
+    });
+  }
+
+  return transcripts;
+}
+
+/**
+ * Write transcripts into a persona's transcripts/ directory
+ * Every name is checked before anything is written.
+ * @param {string} adminUid - Admin user ID
+ * @param {string} personaId - Persona ID
+ * @param {Array<{name: string, text: string}>} transcripts - Transcripts to write
+ * @returns {Promise<number>} Number of files written
+ */
+async function writePersonaTranscripts(adminUid, personaId, transcripts) {
+  if (!transcripts || transcripts.length === 0) {
+    return 0;
+  }
+
+  const invalid = transcripts.find(transcript => !isValidTranscriptName(transcript.name));
+  if (invalid) {
+    throw new Error(`Invalid transcript name: ${JSON.stringify(invalid.name)}`);
+  }
+
+  const transcriptsDir = path.join(getPersonaMediaDir(adminUid, personaId), 'transcripts');
+  await fs.promises.mkdir(transcriptsDir, { recursive: true });
+
+  for (const transcript of transcripts) {
+    await fs.promises.writeFile(path.join(transcriptsDir, transcript.name), String(transcript.text || ''), 'utf8');
+  }
+
+  return transcripts.length;
+}
+
+module.exports = {
+  getPersonaMediaDir,
+  deletePersonaMedia,
+  isValidTranscriptName,
+  savePersonaTranscript,
+  readPersonaTranscripts,
+  writePersonaTranscripts
+};
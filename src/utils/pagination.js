@@ -0,0 +1,129 @@
+/**
+ * Pagination Utility
+ * Cursor-based paging over store queries with optional in-memory filters
+ *
+ * Cursors are opaque base64url tokens holding the ID and ordering value of the
+ * last document returned. The next page resumes after that position, so a cursor
+ * stays valid when its document is deleted or re-sorted in the meantime.
+ * Firestore timestamps are kept to the nanosecond as { __timestamp: [seconds, nanoseconds] },
+ * which the Firestore store turns back into a Timestamp.
+ */
+
+// Documents read per round trip when a filter may discard most of them
+const FILTERED_SCAN_SIZE = 100;
+
+// Documents examined per request at most; a selective filter then gets a short page and a cursor
+const MAX_SCANNED_DOCS = 1000;
+
+/**
+ * Encode a cursor pointing at a document
+ * @param {Object} doc - Last document of the page
+ * @param {string} orderBy - Ordering field
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(doc, orderBy, order) {
+  let value = doc[orderBy] === undefined ? null : doc[orderBy];
+  if (value && typeof value.toDate === 'function') {
+    value = { __timestamp: [value.seconds, value.nanoseconds] };
+  }
+
+  return Buffer.from(JSON.stringify({ id: doc.id, value, orderBy, order })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {string} orderBy - Ordering field of the current request
+ * @param {string} order - Sort order of the current request
+ * @returns {Object} { value, id } to resume after
+ */
+function decodeCursor(cursor, orderBy, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || !('value' in decoded)) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (decoded.orderBy !== orderBy || decoded.order !== order) {
+    throw new Error('Invalid cursor: it was issued for a different sort order');
+  }
+
+  return { value: decoded.value, id: decoded.id };
+}
+
+/**
+ * Fetch one page of an ordered collection
+ * Keeps reading until `limit` documents pass the predicate, the collection ends or
+ * MAX_SCANNED_DOCS documents were examined. In the last case the page may be short
+ * (even empty) and nextCursor resumes after the last examined document.
+ * @param {Object} store - Storage backend
+ * @param {string} path - Collection path
+ * @param {Object} options - Page options
+ * @param {Array<Array>} options.where - Store-level filters
+ * @param {string} options.orderBy - Ordering field
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - Cursor from a previous page
+ * @param {Function} predicate - Optional in-memory filter
+ * @returns {Promise<Object>} { items, nextCursor }
+ */
+async function paginate(store, path, options, predicate = null) {
+  const { where = [], orderBy, order = 'desc', limit, cursor } = options;
+  const scanSize = predicate ? Math.max(limit, FILTERED_SCAN_SIZE) : limit;
+  const maxScanned = Math.max(limit, MAX_SCANNED_DOCS);
+
+  let startAfter = cursor ? decodeCursor(cursor, orderBy, order) : null;
+
+  const items = [];
+  let lastScanned = null;
+  let scanned = 0;
+  let hasMore = false;
+
+  while (items.length < limit) {
+    hasMore = false;
+    const batchSize = Math.min(scanSize, maxScanned - scanned);
+    const batch = await store.query(path, { where, orderBy, order, limit: batchSize, startAfter });
+
+    for (const doc of batch) {
+      if (items.length === limit) {
+        hasMore = true;
+        break;
+      }
+      if (!predicate || predicate(doc)) {
+        items.push(doc);
+      }
+      lastScanned = doc;
+      scanned++;
+      startAfter = { value: doc[orderBy], id: doc.id };
+    }
+
+    if (hasMore || batch.length < batchSize) {
+      break;
+    }
+    hasMore = true;
+
+    if (scanned >= maxScanned) {
+      break;
+    }
+  }
+
+  // Resume after the last examined document (the last returned one unless the scan cap was hit)
+  const nextCursor = hasMore && lastScanned
+    ? encodeCursor(lastScanned, orderBy, order)
+    : null;
+
+  return { items, nextCursor };
+}
+
+module.exports = {
+  MAX_SCANNED_DOCS,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
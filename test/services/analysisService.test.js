@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const analysisService = require('../../src/services/analysisService');
+const taxonomyService = require('../../src/services/taxonomyService');
+
+const spec = mode => analysisService._buildOutputSpec(taxonomyService.getDefaultTaxonomy(), mode);
+
+// A parsed model answer, as analyzeText returns it
+const analysis = (fields = {}) => ({
+  sentiment: 'Positive',
+  personality_traits: [],
+  confidence: 'high',
+  evidence: { sentiment: [], traits: {}, rejected_quotes: 0 },
+  repairs: 0,
+  fallback: false,
+  ...fields
+});
+
+const quote = (start, end) => ({ quote: 'x'.repeat(end - start), start, end });
+
+describe('analysisService._combineAnalyses', () => {
+  it('picks the sentiment with the most weight, not the most votes', () => {
+    const combined = analysisService._combineAnalyses([
+      { analysis: analysis({ sentiment: 'Positive' }), weight: 1, offset: 0 },
+      { analysis: analysis({ sentiment: 'Positive' }), weight: 1, offset: 0 },
+      { analysis: analysis({ sentiment: 'Sad' }), weight: 3, offset: 0 }
+    ], spec('labels'));
+
+    assert.equal(combined.sentiment, 'Sad');
+    assert.equal(combined.agreement, 0.6);
+  });
+
+  it('keeps the heaviest traits, at most four', () => {
+    const combined = analysisService._combineAnalyses([
+      { analysis: analysis({ personality_traits: ['Friendly', 'Curious', 'Calm'] }), weight: 2, offset: 0 },
+      { analysis: analysis({ personality_traits: ['Curious', 'Shy', 'Bold', 'Loud'] }), weight: 1, offset: 0 }
+    ], spec('labels'));
+
+    assert.equal(combined.personality_traits.length, 4);
+    assert.deepEqual(combined.personality_traits.slice(0, 3), ['Curious', 'Friendly', 'Calm']);
+  });
+
+  it('is no more confident than the agreement between parts', () => {
+    const combined = analysisService._combineAnalyses([
+      { analysis: analysis({ sentiment: 'Positive' }), weight: 1, offset: 0 },
+      { analysis: analysis({ sentiment: 'Sad' }), weight: 1, offset: 0 },
+      { analysis: analysis({ sentiment: 'Angry' }), weight: 1, offset: 0 }
+    ], spec('labels'));
+
+    assert.equal(combined.confidence, 'low');
+  });
+
+  it('ignores fallback parts while any part succeeded', () => {
+    const combined = analysisService._combineAnalyses([
+      { analysis: analysis({ sentiment: 'Neutral', confidence: 'low', fallback: true, repairs: 2 }), weight: 10, offset: 0 },
+      { analysis: analysis({ sentiment: 'Excited', repairs: 1 }), weight: 1, offset: 0 }
+    ], spec('labels'));
+
+    assert.equal(combined.sentiment, 'Excited');
+    assert.equal(combined.agreement, 1);
+    assert.equal(combined.fallback, false);
+    // Repairs count every part, fallback or not
+    assert.equal(combined.repairs, 3);
+  });
+
+  it('falls back with low confidence when every part fell back', () => {
+    const combined = analysisService._combineAnalyses([
+      { analysis: analysis({ sentiment: 'Neutral', fallback: true }), weight: 1, offset: 0 },
+      { analysis: analysis({ sentiment: 'Neutral', fallback: true }), weight: 1, offset: 0 }
+    ], spec('labels'));
+
+    assert.equal(combined.sentiment, 'Neutral');
+    assert.equal(combined.confidence, 'low');
+    assert.equal(combined.fallback, true);
+  });
+
+  it('shifts evidence by each part\'s offset and keeps only quotes for the combined labels', () => {
+    const combined = analysisService._combineAnalyses([
+      {
+        analysis: analysis({
+          personality_traits: ['Curious'],
+          evidence: { sentiment: [quote(0, 5)], traits: { Curious: [quote(10, 20)] }, rejected_quotes: 1 }
+        }),
+        weight: 2,
+        offset: 0
+      },
+      {
+        analysis: analysis({
+          personality_traits: ['Curious'],
+          evidence: { sentiment: [quote(3, 8)], traits: { Curious: [quote(0, 4)] }, rejected_quotes: 0 }
+        }),
+        weight: 1,
+        offset: 100
+      },
+      {
+        analysis: analysis({
+          sentiment: 'Sad',
+          evidence: { sentiment: [quote(1, 2)], traits: {}, rejected_quotes: 2 }
+        }),
+        weight: 1,
+        offset: 200
+      }
+    ], spec('labels'));
+
+    assert.deepEqual(combined.evidence.sentiment.map(span => [span.start, span.end]), [[0, 5], [103, 108]]);
+    assert.deepEqual(combined.evidence.traits.Curious.map(span => [span.start, span.end]), [[10, 20], [100, 104]]);
+    assert.equal(combined.evidence.rejected_quotes, 3);
+  });
+
+  it('averages Big Five scores by weight and keeps the closest rationale', () => {
+    const bigFive = (score, rationale) => Object.fromEntries(
+      ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism']
+        .map(dimension => [dimension, { score, rationale }])
+    );
+
+    const combined = analysisService._combineAnalyses([
+      { analysis: analysis({ big_five: bigFive(0.2, 'low') }), weight: 3, offset: 0 },
+      { analysis: analysis({ big_five: bigFive(0.6, 'high') }), weight: 1, offset: 0 }
+    ], spec('big_five'));
+
+    assert.deepEqual(combined.big_five.openness, { score: 0.3, rationale: 'low' });
+  });
+
+  it('averages emotion intensities and derives the sentiment from the dominant emotion', () => {
+    const emotions = (joy, sadness) => ({ joy, sadness, anger: 0, fear: 0, surprise: 0, disgust: 0, trust: 0, anticipation: 0 });
+
+    const combined = analysisService._combineAnalyses([
+      { analysis: analysis({ emotions: emotions(0.1, 0.9), valence: -0.5, arousal: 0.4 }), weight: 1, offset: 0 },
+      { analysis: analysis({ emotions: emotions(0.5, 0.3), valence: 0.5, arousal: 0.2 }), weight: 1, offset: 0 }
+    ], spec('emotions'));
+
+    assert.equal(combined.emotions.sadness, 0.6);
+    assert.equal(combined.emotions.joy, 0.3);
+    assert.equal(combined.valence, 0);
+    assert.equal(combined.arousal, 0.3);
+    assert.equal(combined.dominant_emotion, 'sadness');
+    assert.equal(combined.sentiment, 'Sad');
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The service uses the configured store, so point it at a throwaway database first
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k-psyche-revisions-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = path.join(dir, 'store.db');
+
+const { getStore } = require('../../src/storage');
+const revisionService = require('../../src/services/revisionService');
+
+const ADMIN_UID = 'admin-1';
+const PERSONAS_PATH = `users/${ADMIN_UID}/personas`;
+
+describe('revisionService', () => {
+  let personaCount = 0;
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A persona edited three times:
+  //   1: name Ada -> Ada L.
+  //   2: tags [] -> [math], notes null -> "first"
+  //   3: name Ada L. -> Ada Lovelace, notes "first" -> null
+  const createEditedPersona = async () => {
+    const personaId = `persona-${++personaCount}`;
+    await getStore().set(PERSONAS_PATH, personaId, { name: 'Ada', tags: [], analysisCount: 0 });
+
+    await revisionService.updateWithRevision(ADMIN_UID, personaId, { name: 'Ada L.' });
+    await revisionService.updateWithRevision(ADMIN_UID, personaId, { tags: ['math'], notes: 'first' });
+    await revisionService.updateWithRevision(ADMIN_UID, personaId, { name: 'Ada Lovelace', notes: null });
+
+    return { id: personaId, ...(await getStore().get(PERSONAS_PATH, personaId)) };
+  };
+
+  describe('updateWithRevision', () => {
+    it('numbers revisions and records old and new values', async () => {
+      const persona = await createEditedPersona();
+      assert.equal(persona.revisionCount, 3);
+
+      const { revisions } = await revisionService.getRevisions(ADMIN_UID, persona.id);
+      assert.deepEqual(revisions.map(revision => revision.revision), [3, 2, 1]);
+      assert.deepEqual(revisions[2].changes, [{ field: 'name', oldValue: 'Ada', newValue: 'Ada L.' }]);
+    });
+
+    it('skips the revision when nothing tracked changed', async () => {
+      const persona = await createEditedPersona();
+
+      const { revision } = await revisionService.updateWithRevision(ADMIN_UID, persona.id, {
+        name: 'Ada Lovelace',
+        analysisCount: 5
+      });
+
+      assert.equal(revision, null);
+      assert.equal((await getStore().get(PERSONAS_PATH, persona.id)).revisionCount, 3);
+    });
+
+    it('fails for a missing persona', async () => {
+      await assert.rejects(
+        () => revisionService.updateWithRevision(ADMIN_UID, 'missing', { name: 'x' }),
+        /Persona not found/
+      );
+    });
+  });
+
+  describe('diffRevisions', () => {
+    let persona;
+
+    before(async () => {
+      persona = await createEditedPersona();
+    });
+
+    it('reports each field once, from its value before the range to its value at the end', async () => {
+      const diff = await revisionService.diffRevisions(ADMIN_UID, persona, 0, 3);
+
+      assert.equal(diff.from, 0);
+      assert.equal(diff.to, 3);
+      assert.deepEqual(diff.changes, [
+        { field: 'name', from: 'Ada', to: 'Ada Lovelace' },
+        { field: 'tags', from: [], to: ['math'] }
+      ]);
+    });
+
+    it('only replays the revisions inside the range', async () => {
+      const diff = await revisionService.diffRevisions(ADMIN_UID, persona, 1, 2);
+      assert.deepEqual(diff.changes, [
+        { field: 'tags', from: [], to: ['math'] },
+        { field: 'notes', from: null, to: 'first' }
+      ]);
+    });
+
+    it('rejects ranges that are empty or reversed', async () => {
+      await assert.rejects(() => revisionService.diffRevisions(ADMIN_UID, persona, 2, 2), /from must be lower than to/);
+      await assert.rejects(() => revisionService.diffRevisions(ADMIN_UID, persona, 3, 1), /from must be lower than to/);
+    });
+
+    it('rejects revisions the persona does not have', async () => {
+      await assert.rejects(() => revisionService.diffRevisions(ADMIN_UID, persona, 0, 4), /Invalid revision: 4/);
+      await assert.rejects(() => revisionService.diffRevisions(ADMIN_UID, persona, -1, 2), /Invalid revision: -1/);
+      await assert.rejects(() => revisionService.diffRevisions(ADMIN_UID, persona, 0.5, 2), /Invalid revision: 0.5/);
+    });
+  });
+
+  describe('getRollbackFields', () => {
+    let persona;
+
+    before(async () => {
+      persona = await createEditedPersona();
+    });
+
+    it('restores the original profile from revision 0', async () => {
+      const fields = await revisionService.getRollbackFields(ADMIN_UID, persona, 0);
+      assert.deepEqual(fields, { name: 'Ada', tags: [], notes: null });
+    });
+
+    it('undoes only the revisions after the target', async () => {
+      const fields = await revisionService.getRollbackFields(ADMIN_UID, persona, 2);
+      assert.deepEqual(fields, { name: 'Ada L.', notes: 'first' });
+    });
+
+    it('changes nothing when rolling back to the current revision', async () => {
+      assert.deepEqual(await revisionService.getRollbackFields(ADMIN_UID, persona, 3), {});
+    });
+
+    it('rejects revisions the persona does not have', async () => {
+      await assert.rejects(() => revisionService.getRollbackFields(ADMIN_UID, persona, 7), /Invalid revision: 7/);
+    });
+  });
+});
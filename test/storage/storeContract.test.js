@@ -0,0 +1,248 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SqliteStore = require('../../src/storage/sqliteStore');
+
+/**
+ * Store contract - The same cases run against every storage backend
+ * SQLite always runs. Firestore runs against the emulator when
+ * FIRESTORE_EMULATOR_HOST is set (e.g. `firebase emulators:exec --only firestore "npm test"`).
+ */
+
+const backends = [
+  {
+    name: 'SqliteStore',
+    create: () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k-psyche-store-'));
+      return { store: new SqliteStore(path.join(dir, 'store.db')), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+    }
+  },
+  {
+    name: 'FirestoreStore',
+    skip: !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set',
+    create: () => {
+      const FirestoreStore = require('../../src/storage/firestoreStore');
+      const { admin } = require('../../src/config/firebase');
+      const app = admin.initializeApp({ projectId: 'k-psyche-test' }, `store-contract-${Date.now()}`);
+      return { store: new FirestoreStore(app.firestore()), cleanup: () => app.delete() };
+    }
+  }
+];
+
+// Every test writes to its own collection, so runs never see each other's documents
+let collectionCount = 0;
+const runId = `run-${Date.now()}`;
+const freshCollection = () => `contract/${runId}/c${++collectionCount}`;
+
+const seed = async (store, collection, docs) => {
+  for (const [id, data] of Object.entries(docs)) {
+    await store.set(collection, id, data);
+  }
+};
+
+const ids = docs => docs.map(doc => doc.id);
+
+backends.forEach(backend => {
+  describe(`${backend.name} contract`, { skip: backend.skip }, () => {
+    let store;
+    let cleanup;
+
+    before(() => {
+      ({ store, cleanup } = backend.create());
+    });
+
+    after(async () => {
+      await cleanup();
+    });
+
+    it('reads back what it writes', async () => {
+      const collection = freshCollection();
+
+      const id = await store.add(collection, { name: 'Ada', tags: ['a'] });
+      assert.deepEqual(await store.get(collection, id), { id, name: 'Ada', tags: ['a'] });
+
+      await store.update(collection, id, { name: 'Grace' });
+      assert.deepEqual(await store.get(collection, id), { id, name: 'Grace', tags: ['a'] });
+
+      await store.delete(collection, id);
+      assert.equal(await store.get(collection, id), null);
+    });
+
+    describe('query operators', () => {
+      let collection;
+
+      before(async () => {
+        collection = freshCollection();
+        await seed(store, collection, {
+          a: { n: 1, tag: 'x', tags: ['red', 'blue'] },
+          b: { n: 2, tag: 'y', tags: ['blue'] },
+          c: { n: 3, tag: 'x', tags: [] },
+          d: { n: 4, tag: 'z', tags: ['green'] }
+        });
+      });
+
+      const cases = [
+        [['n', '==', 2], ['b']],
+        [['tag', '!=', 'x'], ['b', 'd']],
+        [['n', '<', 3], ['a', 'b']],
+        [['n', '<=', 3], ['a', 'b', 'c']],
+        [['n', '>', 3], ['d']],
+        [['n', '>=', 3], ['c', 'd']],
+        [['tag', 'in', ['y', 'z']], ['b', 'd']],
+        [['tag', 'not-in', ['x', 'y']], ['d']],
+        [['tags', 'array-contains', 'blue'], ['a', 'b']],
+        [['tags', 'array-contains-any', ['red', 'green']], ['a', 'd']]
+      ];
+
+      cases.forEach(([filter, expected]) => {
+        it(`supports ${filter[1]}`, async () => {
+          const docs = await store.query(collection, { where: [filter] });
+          assert.deepEqual(ids(docs).sort(), expected);
+        });
+      });
+
+      it('combines filters', async () => {
+        const docs = await store.query(collection, { where: [['tag', '==', 'x'], ['n', '>', 1]] });
+        assert.deepEqual(ids(docs), ['c']);
+      });
+
+      it('counts matches', async () => {
+        assert.equal(await store.count(collection), 4);
+        assert.equal(await store.count(collection, { where: [['tag', '==', 'x']] }), 2);
+      });
+    });
+
+    describe('ordering and startAfter cursors', () => {
+      let collection;
+
+      // Ties on score are broken by document ID
+      const ascending = ['a', 'e', 'b', 'f', 'c', 'g', 'd'];
+
+      before(async () => {
+        collection = freshCollection();
+        await seed(store, collection, {
+          a: { score: 1 }, b: { score: 2 }, c: { score: 3 }, d: { score: 4 },
+          e: { score: 1 }, f: { score: 2 }, g: { score: 3 },
+          unscored: { other: true }
+        });
+      });
+
+      const readAll = async (order) => {
+        const seen = [];
+        let startAfter;
+
+        while (true) {
+          const page = await store.query(collection, { orderBy: 'score', order, limit: 3, startAfter });
+          seen.push(...ids(page));
+          if (page.length < 3) {
+            return seen;
+          }
+          const last = page[page.length - 1];
+          startAfter = { value: last.score, id: last.id };
+        }
+      };
+
+      it('orders by the field, then by ID, and skips documents without the field', async () => {
+        const docs = await store.query(collection, { orderBy: 'score', order: 'asc' });
+        assert.deepEqual(ids(docs), ascending);
+      });
+
+      it('pages ascending without gaps or repeats', async () => {
+        assert.deepEqual(await readAll('asc'), ascending);
+      });
+
+      it('pages descending without gaps or repeats', async () => {
+        assert.deepEqual(await readAll('desc'), [...ascending].reverse());
+      });
+
+      it('resumes after a cursor whose document was deleted', async () => {
+        const deletedCollection = freshCollection();
+        await seed(store, deletedCollection, { a: { score: 1 }, b: { score: 2 }, c: { score: 3 } });
+        await store.delete(deletedCollection, 'b');
+
+        const docs = await store.query(deletedCollection, { orderBy: 'score', startAfter: { value: 2, id: 'b' } });
+        assert.deepEqual(ids(docs), ['c']);
+      });
+
+      it('rejects startAfter without orderBy', async () => {
+        await assert.rejects(
+          () => store.query(collection, { startAfter: { value: 1, id: 'a' } }),
+          /startAfter requires orderBy/
+        );
+      });
+
+      it('rejects startAfter on collection-group queries', async () => {
+        await assert.rejects(
+          () => store.queryGroup('personas', { orderBy: 'score', startAfter: { value: 1, id: 'a' } }),
+          /queryGroup does not support startAfter/
+        );
+      });
+    });
+
+    describe('transactions', () => {
+      it('commits reads and writes together', async () => {
+        const collection = freshCollection();
+        await store.set(collection, 'counter', { value: 1 });
+
+        const addedId = await store.transaction(async (tx) => {
+          const counter = await tx.get(collection, 'counter');
+          tx.update(collection, 'counter', { value: counter.value + 1 });
+          return tx.add(collection, { note: 'added' });
+        });
+
+        assert.equal((await store.get(collection, 'counter')).value, 2);
+        assert.deepEqual(await store.get(collection, addedId), { id: addedId, note: 'added' });
+      });
+
+      it('retries so that concurrent increments are not lost', async () => {
+        const collection = freshCollection();
+        await store.set(collection, 'counter', { value: 0 });
+
+        let attempts = 0;
+        const increment = () => store.transaction(async (tx) => {
+          attempts++;
+          const counter = await tx.get(collection, 'counter');
+          tx.update(collection, 'counter', { value: counter.value + 1 });
+        });
+
+        await Promise.all([increment(), increment(), increment(), increment()]);
+
+        assert.equal((await store.get(collection, 'counter')).value, 4);
+        assert.ok(attempts >= 4);
+      });
+
+      it('writes nothing when the callback throws', async () => {
+        const collection = freshCollection();
+        await store.set(collection, 'counter', { value: 0 });
+
+        await assert.rejects(() => store.transaction(async (tx) => {
+          await tx.get(collection, 'counter');
+          tx.update(collection, 'counter', { value: 1 });
+          throw new Error('Persona not found');
+        }), /Persona not found/);
+
+        assert.equal((await store.get(collection, 'counter')).value, 0);
+      });
+
+      // Firestore locks the documents a transaction read, so an outside write would wait on it instead
+      it('gives up when a document it read keeps changing', { skip: backend.name !== 'SqliteStore' }, async () => {
+        const collection = freshCollection();
+        await store.set(collection, 'counter', { value: 0 });
+
+        let attempts = 0;
+        await assert.rejects(() => store.transaction(async (tx) => {
+          attempts++;
+          const counter = await tx.get(collection, 'counter');
+          await store.update(collection, 'counter', { value: counter.value + 100 });
+          tx.update(collection, 'counter', { value: counter.value + 1 });
+        }), /documents kept changing/);
+
+        assert.equal(attempts, 5);
+        assert.equal((await store.get(collection, 'counter')).value, 500);
+      });
+    });
+  });
+});
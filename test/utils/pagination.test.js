@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SqliteStore = require('../../src/storage/sqliteStore');
+const { MAX_SCANNED_DOCS, encodeCursor, decodeCursor, paginate } = require('../../src/utils/pagination');
+
+describe('pagination', () => {
+  let dir;
+  let store;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k-psyche-pagination-'));
+    store = new SqliteStore(path.join(dir, 'store.db'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Documents d00..d{count-1}, createdAt increasing with the index
+  const seed = async (collection, count, fields = () => ({})) => {
+    for (let i = 0; i < count; i++) {
+      const id = `d${String(i).padStart(4, '0')}`;
+      await store.set(collection, id, { createdAt: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(), ...fields(i) });
+    }
+  };
+
+  const readAll = async (collection, options, predicate) => {
+    const pages = [];
+    let cursor;
+
+    do {
+      const page = await paginate(store, collection, { ...options, cursor }, predicate);
+      pages.push(page.items.map(doc => doc.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return pages;
+  };
+
+  describe('cursors', () => {
+    it('round-trip the ordering value and ID', () => {
+      const cursor = encodeCursor({ id: 'abc', createdAt: '2024-01-01T00:00:00.000Z' }, 'createdAt', 'desc');
+      assert.deepEqual(decodeCursor(cursor, 'createdAt', 'desc'), { value: '2024-01-01T00:00:00.000Z', id: 'abc' });
+    });
+
+    it('keep Firestore timestamps to the nanosecond', () => {
+      const timestamp = { seconds: 1700000000, nanoseconds: 123456789, toDate: () => new Date() };
+      const cursor = encodeCursor({ id: 'abc', createdAt: timestamp }, 'createdAt', 'desc');
+      assert.deepEqual(decodeCursor(cursor, 'createdAt', 'desc').value, { __timestamp: [1700000000, 123456789] });
+    });
+
+    it('reject tokens that are not cursors', () => {
+      assert.throws(() => decodeCursor('not-a-cursor', 'createdAt', 'desc'), /Invalid cursor/);
+    });
+
+    it('reject cursors issued for another sort order', () => {
+      const cursor = encodeCursor({ id: 'abc', createdAt: 'x' }, 'createdAt', 'desc');
+      assert.throws(() => decodeCursor(cursor, 'createdAt', 'asc'), /different sort order/);
+      assert.throws(() => decodeCursor(cursor, 'name', 'desc'), /different sort order/);
+    });
+  });
+
+  describe('paginate', () => {
+    it('walks a collection page by page', async () => {
+      const collection = 'pages/a/docs';
+      await seed(collection, 5);
+
+      const pages = await readAll(collection, { orderBy: 'createdAt', order: 'desc', limit: 2 });
+      assert.deepEqual(pages, [['d0004', 'd0003'], ['d0002', 'd0001'], ['d0000']]);
+    });
+
+    it('has no nextCursor once the collection is exhausted', async () => {
+      const collection = 'pages/b/docs';
+      await seed(collection, 3);
+
+      const page = await paginate(store, collection, { orderBy: 'createdAt', order: 'asc', limit: 5 });
+      assert.equal(page.items.length, 3);
+      assert.equal(page.nextCursor, null);
+    });
+
+    it('applies the store-level where filters', async () => {
+      const collection = 'pages/c/docs';
+      await seed(collection, 6);
+
+      const page = await paginate(store, collection, {
+        where: [['createdAt', '>=', '2024-01-01T00:00:02.000Z']],
+        orderBy: 'createdAt',
+        order: 'asc',
+        limit: 10
+      });
+      assert.deepEqual(page.items.map(doc => doc.id), ['d0002', 'd0003', 'd0004', 'd0005']);
+    });
+
+    it('fills pages through the predicate', async () => {
+      const collection = 'pages/d/docs';
+      await seed(collection, 10, i => ({ even: i % 2 === 0 }));
+
+      const pages = await readAll(collection, { orderBy: 'createdAt', order: 'asc', limit: 2 }, doc => doc.even);
+      assert.deepEqual(pages, [['d0000', 'd0002'], ['d0004', 'd0006'], ['d0008']]);
+    });
+
+    it('resumes after a cursor whose document was deleted', async () => {
+      const collection = 'pages/e/docs';
+      await seed(collection, 4);
+
+      const first = await paginate(store, collection, { orderBy: 'createdAt', order: 'asc', limit: 2 });
+      await store.delete(collection, 'd0001');
+
+      const second = await paginate(store, collection, { orderBy: 'createdAt', order: 'asc', limit: 2, cursor: first.nextCursor });
+      assert.deepEqual(second.items.map(doc => doc.id), ['d0002', 'd0003']);
+    });
+
+    it('stops after MAX_SCANNED_DOCS and resumes after the last scanned document', async () => {
+      const collection = 'pages/f/docs';
+      const count = MAX_SCANNED_DOCS + 50;
+      await seed(collection, count, i => ({ match: i === count - 1 }));
+
+      const first = await paginate(store, collection, { orderBy: 'createdAt', order: 'asc', limit: 5 }, doc => doc.match);
+      assert.deepEqual(first.items, []);
+      assert.notEqual(first.nextCursor, null);
+      assert.equal(decodeCursor(first.nextCursor, 'createdAt', 'asc').id, `d${String(MAX_SCANNED_DOCS - 1).padStart(4, '0')}`);
+
+      const second = await paginate(store, collection, { orderBy: 'createdAt', order: 'asc', limit: 5, cursor: first.nextCursor }, doc => doc.match);
+      assert.deepEqual(second.items.map(doc => doc.id), [`d${String(count - 1).padStart(4, '0')}`]);
+      assert.equal(second.nextCursor, null);
+    });
+  });
+});
@@ -6,6 +6,7 @@ Optimized for RTX 3050 (4GB/6GB VRAM) with int8 quantization
 
 import sys
 import argparse
+import json
 import os
 from pathlib import Path
 
@@ -21,7 +22,7 @@ def transcribe_audio(audio_path, model_size="small", language=None, device="cuda
         compute_type: Computation type (int8, float16, float32)
     
     Returns:
-        Transcribed text
+        Tuple of (transcribed text, detected language code, language probability)
     """
     try:
         from faster_whisper import WhisperModel
@@ -82,9 +83,9 @@ def transcribe_audio(audio_path, model_size="small", language=None, device="cuda
     
     if not full_transcription:
         print("WARNING: No speech detected in audio", file=sys.stderr)
-        return ""
+        return "", info.language, info.language_probability
     
-    return full_transcription
+    return full_transcription, info.language, info.language_probability
 
 
 def main():
@@ -98,12 +99,14 @@ def main():
     parser.add_argument("--compute-type", default="int8", 
                        choices=["int8", "float16", "float32"],
                        help="Compute type (int8 recommended for RTX 3050)")
+    parser.add_argument("--json", action="store_true",
+                       help="Print JSON with the transcription and detected language instead of plain text")
     
     args = parser.parse_args()
     
     try:
         # Perform transcription
-        transcription = transcribe_audio(
+        transcription, language, probability = transcribe_audio(
             args.audio_path,
             model_size=args.model,
             language=args.language,
@@ -112,7 +115,14 @@ def main():
         )
         
         # Output ONLY the transcription to stdout (Node.js captures this)
-        print(transcription)
+        if args.json:
+            print(json.dumps({
+                "text": transcription,
+                "language": language,
+                "language_probability": round(probability, 2)
+            }, ensure_ascii=False))
+        else:
+            print(transcription)
         
     except Exception as e:
         print(f"ERROR: {str(e)}", file=sys.stderr)